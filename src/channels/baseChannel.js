@@ -0,0 +1,123 @@
+/**
+ * @fileoverview Base Notification Channel Classes and Factory
+ * @description Provides the common contract for notification channels (email, chat webhooks,
+ * PR comments, generic HTTP, ...) and a factory that instantiates every registered channel.
+ * NotificationService fans each notification out to all channels that accept it.
+ *
+ * @author Jürgen Efeish
+ *
+ * @module BaseChannel
+ *
+ * @example
+ * // Implement a custom channel
+ * class MyChannel extends BaseChannel {
+ *   static channelName = 'my_channel';
+ *
+ *   isEnabledFor(notification, recipients) {
+ *     return notification.eventType === 'pull_request';
+ *   }
+ *
+ *   async send(notification, recipients) {
+ *     // deliver notification.subject / notification.description ...
+ *     return { success: true };
+ *   }
+ * }
+ *
+ * @example
+ * // Register channel with factory and create instances
+ * NotificationChannelFactory.register('my_channel', MyChannel);
+ * const channels = NotificationChannelFactory.createChannels({ emailService, githubService });
+ */
+
+/**
+ * @typedef {Object} Notification
+ * @property {Object} context - GitHub webhook context (for channels that call the GitHub API)
+ * @property {string} eventType - GitHub event type (e.g. 'pull_request')
+ * @property {string} action - GitHub event action (e.g. 'opened')
+ * @property {string} subject - Notification subject
+ * @property {string} description - Short description of what happened
+ * @property {string} detailsUrl - Link to the details on GitHub
+ * @property {Object} statusInfo - Status display info ({ status, emoji, color })
+ * @property {string|null} summary - Optional longer summary
+ * @property {Object} repository - Repository info from GitHubService.getRepositoryInfo
+ * @property {Object} pullRequest - Pull request object
+ * @property {Object} repoConfig - Effective RepositoryConfig for the repository
+ */
+
+/**
+ * @abstract
+ * @class BaseChannel
+ * @description Abstract base class for all notification channels.
+ * Each channel decides whether it accepts a notification and returns its own result shape
+ * from `send`, which must at least contain a `success` flag.
+ */
+export class BaseChannel {
+  /**
+   * @param {Object} [services={}] - Application services by name (emailService, githubService, ...)
+   */
+  constructor(services = {}) {
+    this.services = services;
+  }
+
+  /**
+   * Channel name used in results and logs (subclasses set `static channelName`)
+   */
+  get name() {
+    return this.constructor.channelName || this.constructor.name;
+  }
+
+  /**
+   * Whether the channel should deliver this notification
+   * @param {Notification} notification - Normalized notification
+   * @param {Object} recipients - Resolved recipients ({ emails, summary })
+   * @returns {boolean} True if `send` should be called
+   */
+  isEnabledFor(notification, recipients) {
+    return true;
+  }
+
+  /**
+   * Deliver a notification - must be implemented by subclasses
+   * @param {Notification} notification - Normalized notification
+   * @param {Object} recipients - Resolved recipients ({ emails, summary })
+   * @returns {Promise<Object>} Channel-specific result with a `success` flag
+   */
+  async send(notification, recipients) {
+    throw new Error('Send method must be implemented by subclass');
+  }
+
+  /**
+   * Get configuration summary for health status
+   */
+  getConfigurationSummary() {
+    return { configured: true };
+  }
+}
+
+/**
+ * Factory for creating the registered notification channels
+ */
+export class NotificationChannelFactory {
+  static channels = new Map();
+
+  /**
+   * Register a channel class under a name
+   */
+  static register(name, channelClass) {
+    this.channels.set(name, channelClass);
+  }
+
+  /**
+   * Create an instance of every registered channel
+   */
+  static createChannels(services) {
+    return Array.from(this.channels.values()).map(ChannelClass => new ChannelClass(services));
+  }
+
+  /**
+   * Get all registered channel names
+   */
+  static getRegisteredChannels() {
+    return Array.from(this.channels.keys());
+  }
+}
@@ -0,0 +1,168 @@
+/**
+ * @fileoverview Email Notification Channel
+ * @description Renders notifications with EmailTemplate and delivers them to the resolved
+ * email recipients through EmailService.
+ *
+ * @author Jürgen Efeish
+ *
+ * @module EmailChannel
+ * @extends BaseChannel
+ *
+ * @requires BaseChannel - Base notification channel class
+ * @requires EmailTemplate - Email template generation
+ * @requires DigestService - Optional; recipients who chose digest delivery are queued there
+ * @requires UnsubscribeService - Optional; adds per-recipient unsubscribe links and headers
+ * @requires TemplateService - Optional; HTML template overrides of the repository
+ * @requires EmailThreadService - Optional; threads all emails about a PR into one conversation
+ * @requires AppConfig - Notification categories for the unsubscribe links
+ * @requires QuietHours - Holds recipients' copies until their quiet hours end
+ *
+ * @example
+ * // Register with factory
+ * NotificationChannelFactory.register('email', EmailChannel);
+ */
+
+import { BaseChannel } from './baseChannel.js';
+import { EmailTemplate } from '../templates/emailTemplate.js';
+import { UnsubscribeService } from '../services/unsubscribeService.js';
+import { AppConfig } from '../config/appConfig.js';
+import { QuietHours } from '../utils/quietHours.js';
+
+/**
+ * @class EmailChannel
+ * @extends BaseChannel
+ * @description Email delivery channel. Result shape is the EmailService bulk result
+ * (`{ success, results, summary }`).
+ */
+export class EmailChannel extends BaseChannel {
+  static channelName = 'email';
+
+  constructor(services = {}) {
+    super(services);
+    this.emailService = services.emailService;
+    this.digestService = services.digestService || null;
+    this.unsubscribeService = services.unsubscribeService || null;
+    this.templateService = services.templateService || null;
+    this.emailThreadService = services.emailThreadService || null;
+  }
+
+  /**
+   * Email needs at least one resolved address
+   */
+  isEnabledFor(notification, recipients) {
+    return recipients.emails.length > 0;
+  }
+
+  /**
+   * Render and send the notification to all email recipients. Recipients who want this
+   * category as a digest (or chose digest delivery in their preferences) are queued in the
+   * DigestService instead; recipients in their quiet hours get their copy when the window ends.
+   * Emails about a PR are sent with the PR's thread subject and headers (EmailThreadService);
+   * the event's own subject remains the headline of the email.
+   */
+  async send(notification, recipients) {
+    let emails = recipients.emails;
+
+    if (this.digestService) {
+      const { immediate, digest } = this.digestService.partition(emails, notification, recipients.delivery);
+      await Promise.all(digest.map(email => this.digestService.enqueue(email, notification)));
+      emails = immediate;
+
+      if (emails.length === 0) {
+        return { success: true, digested: digest.length, results: [], summary: null };
+      }
+    }
+
+    const templates = this.templateService
+      ? await this.templateService.getTemplates(notification.context, notification.repoConfig)
+      : new Map();
+    const emailData = this.generateEmailContent(notification, null, templates);
+    const thread = this.emailThreadService ? await this.emailThreadService.getThread(notification) : null;
+    const personalized = this.unsubscribeService?.isEnabled() || Object.keys(recipients.quietHours || {}).length > 0;
+
+    let personalize = null;
+    if (personalized) {
+      personalize = (email) => this.personalize(notification, email, recipients.quietHours, templates, thread);
+    } else if (thread) {
+      personalize = () => ({ htmlContent: emailData.htmlContent, textContent: emailData.textContent, headers: thread.headers, sendAt: null });
+    }
+
+    return await this.emailService.sendBulkNotifications(
+      emails,
+      thread?.subject || emailData.subject,
+      emailData.htmlContent,
+      emailData.textContent,
+      notification.eventType,
+      notification.action,
+      personalize
+    );
+  }
+
+  /**
+   * Render a recipient's copy with their unsubscribe links in the footer and headers, and when
+   * they are in their quiet hours, the time it should be delivered
+   * @param {Object} notification - Normalized notification
+   * @param {string} email - Recipient address
+   * @param {Object<string, Object>} [quietHours={}] - Address to QuietHours window
+   * @param {Map<string, string>} [templates=new Map()] - HTML template overrides
+   * @param {Object|null} [thread=null] - PR thread (EmailThreadService.getThread), whose headers are added
+   * @returns {{htmlContent: string, textContent: string, headers: Object, sendAt: (Date|null)}}
+   */
+  personalize(notification, email, quietHours = {}, templates = new Map(), thread = null) {
+    const category = AppConfig.getNotificationCategory(notification.eventType, notification.action);
+    const unsubscribe = this.unsubscribeService?.createLinks(email, notification.repository.fullName, category) || null;
+    const { htmlContent, textContent } = this.generateEmailContent(notification, unsubscribe, templates);
+    const window = quietHours[email.toLowerCase()];
+
+    return {
+      htmlContent,
+      textContent,
+      headers: { ...thread?.headers, ...UnsubscribeService.getHeaders(unsubscribe) },
+      sendAt: window ? QuietHours.getEnd(window) : null
+    };
+  }
+
+  /**
+   * Generate email content
+   * @param {Object} notification - Normalized notification
+   * @param {Object|null} [unsubscribe=null] - Recipient's unsubscribe links for the footer
+   * @param {Map<string, string>} [templates=new Map()] - HTML template overrides (TemplateService.getTemplates)
+   */
+  generateEmailContent(notification, unsubscribe = null, templates = new Map()) {
+    const { eventType, action, pullRequest: pr, repository } = notification;
+
+    const subject = notification.subject || EmailTemplate.generateSubject(eventType, action, {
+      pullRequest: pr,
+      statusInfo: notification.statusInfo,
+      ...notification
+    });
+
+    const emailData = EmailTemplate.createEmailContent({
+      subject,
+      repository: repository.fullName,
+      pullRequest: pr,
+      event: `${eventType}.${action}`,
+      description: notification.description,
+      detailsUrl: notification.detailsUrl,
+      statusInfo: notification.statusInfo,
+      summary: notification.summary,
+      summaryFormat: notification.summaryFormat,
+      checks: notification.checks,
+      failures: notification.failures,
+      unsubscribe,
+      templates
+    });
+
+    return {
+      subject,
+      ...emailData
+    };
+  }
+
+  /**
+   * Get configuration summary
+   */
+  getConfigurationSummary() {
+    return this.emailService.getConfigurationSummary();
+  }
+}
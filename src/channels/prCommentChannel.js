@@ -0,0 +1,255 @@
+/**
+ * @fileoverview PR Comment Notification Channel
+ * @description Keeps one sticky bot comment per pull request up to date with the latest check,
+ * review, ready-to-merge and deployment status. The comment is found again through a hidden
+ * marker and edited in place, so the PR timeline gets a single comment instead of one per event.
+ * Everyone watching the PR sees the status, including authors without a public email address.
+ *
+ * The comment carries its own state (base64 JSON inside the marker), so no storage is needed:
+ * each notification updates its row and the comment is re-rendered from the merged state.
+ *
+ * @author Jürgen Efeish
+ *
+ * @module PrCommentChannel
+ * @extends BaseChannel
+ *
+ * @requires BaseChannel - Base notification channel class
+ * @requires AppConfig - Application configuration
+ * @requires Logger - Logging utility
+ *
+ * @example
+ * // Register with factory
+ * NotificationChannelFactory.register('pr_comment', PrCommentChannel);
+ */
+
+import { BaseChannel } from './baseChannel.js';
+import { AppConfig } from '../config/appConfig.js';
+import { Logger } from '../utils/logger.js';
+
+/**
+ * @constant {string} PR_COMMENT_MARKER
+ * @description Hidden marker identifying the sticky status comment
+ */
+export const PR_COMMENT_MARKER = '<!-- pr-notification-app:status';
+
+const FAILED_CHECK_CONCLUSIONS = ['failure', 'timed_out', 'action_required']; // as in CheckRunHandler
+
+/**
+ * @class PrCommentChannel
+ * @extends BaseChannel
+ * @description Sticky PR comment channel. Result shape is `{ success, commentId, created }`.
+ */
+export class PrCommentChannel extends BaseChannel {
+  static channelName = 'pr_comment';
+
+  constructor(services = {}) {
+    super(services);
+    this.githubService = services.githubService;
+    this.pending = new Map();
+  }
+
+  /**
+   * Only PR-related notifications in PR_COMMENT_CATEGORIES, and only where enabled
+   */
+  isEnabledFor(notification, recipients) {
+    const enabled = notification.repoConfig
+      ? notification.repoConfig.isPrCommentEnabled()
+      : AppConfig.prComment.enabled;
+    if (!enabled || !notification.pullRequest?.number || !notification.context?.octokit) {
+      return false;
+    }
+
+    const category = AppConfig.getNotificationCategory(notification.eventType, notification.action);
+    return !!category && AppConfig.prComment.categories.includes(category);
+  }
+
+  /**
+   * Update the sticky comment. Updates for the same PR are serialized so that bursts of
+   * events (e.g. many check runs completing at once) don't overwrite each other.
+   */
+  async send(notification, recipients) {
+    const key = `${notification.repository.fullName}#${notification.pullRequest.number}`;
+    const previous = this.pending.get(key) || Promise.resolve();
+    const current = previous.then(() => this.upsert(notification));
+
+    this.pending.set(key, current.catch(() => {}));
+    try {
+      return await current;
+    } finally {
+      if (this.pending.get(key) === current) {
+        this.pending.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Find the sticky comment, merge the notification into its state, and edit or create it
+   */
+  async upsert(notification) {
+    const { context, pullRequest: pr } = notification;
+
+    const found = await this.githubService.findComment(context, pr.number, PR_COMMENT_MARKER);
+    if (!found.success) {
+      return { success: false, reason: found.error };
+    }
+
+    const state = PrCommentChannel.applyNotification(PrCommentChannel.parseState(found.comment?.body), notification);
+    const body = PrCommentChannel.render(state);
+
+    const result = found.comment
+      ? await this.githubService.updateComment(context, found.comment.id, body)
+      : await this.githubService.postComment(context, pr.number, body);
+
+    if (!result.success) {
+      return { success: false, reason: result.error };
+    }
+
+    Logger.info(`${found.comment ? 'Updated' : 'Created'} status comment on PR #${pr.number} for ${notification.eventType}.${notification.action}`);
+    return { success: true, commentId: result.comment.id, created: !found.comment };
+  }
+
+  /**
+   * Read the state embedded in an existing comment body
+   * @param {string|undefined} body - Comment body
+   * @returns {Object} State (empty state if missing or unreadable)
+   */
+  static parseState(body) {
+    const empty = { headSha: null, checks: {}, reviews: {}, readyToMerge: null, deployments: {} };
+    const match = body?.match(/<!-- pr-notification-app:status ([A-Za-z0-9+/=]+) -->/);
+    if (!match) {
+      return empty;
+    }
+
+    try {
+      return { ...empty, ...JSON.parse(Buffer.from(match[1], 'base64').toString('utf8')) };
+    } catch (error) {
+      Logger.warn('Unreadable status comment state - starting over', { error: error.message });
+      return empty;
+    }
+  }
+
+  /**
+   * Merge a notification into the comment state. A new head commit clears the check results
+   * and the ready-to-merge status, which belonged to the previous commit. A dismissed review or
+   * a failed check clears the ready-to-merge status too, even on the same commit.
+   * @param {Object} state - Current state
+   * @param {Object} notification - Normalized notification
+   * @returns {Object} Updated state
+   */
+  static applyNotification(state, notification) {
+    const { context, pullRequest: pr, statusInfo } = notification;
+    const payload = context.payload || {};
+    const category = AppConfig.getNotificationCategory(notification.eventType, notification.action);
+    const headSha = payload.check_run?.head_sha || payload.check_suite?.head_sha || pr.head?.sha || state.headSha;
+
+    const next = {
+      ...state,
+      checks: { ...state.checks },
+      reviews: { ...state.reviews },
+      deployments: { ...state.deployments }
+    };
+
+    if (headSha && state.headSha && headSha !== state.headSha) {
+      next.checks = {};
+      next.readyToMerge = null;
+    }
+    next.headSha = headSha || null;
+
+    const row = {
+      status: statusInfo?.status || notification.action,
+      emoji: statusInfo?.emoji || '',
+      description: notification.description || '',
+      url: notification.detailsUrl || null,
+      updatedAt: new Date().toISOString()
+    };
+
+    switch (category) {
+      case 'CHECK_RESULTS':
+        next.checks[payload.check_run?.name || payload.check_suite?.app?.name || 'Checks'] = row;
+        if (PrCommentChannel.isFailedCheck(notification)) {
+          next.readyToMerge = null;
+        }
+        break;
+      case 'PR_REVIEWS':
+        next.reviews[payload.review?.user?.login || 'unknown'] = row;
+        if (notification.action === 'dismissed') {
+          next.readyToMerge = null;
+        }
+        break;
+      case 'READY_TO_MERGE':
+        next.readyToMerge = row;
+        break;
+      case 'DEPLOYMENTS':
+        next.deployments[payload.deployment?.environment || 'deployment'] = row;
+        break;
+      default:
+        break;
+    }
+
+    return next;
+  }
+
+  /**
+   * Check if a check notification reports a failure: the check run or suite failed, or other
+   * checks of the commit did
+   */
+  static isFailedCheck(notification) {
+    const payload = notification.context.payload || {};
+    const conclusion = payload.check_run?.conclusion || payload.check_suite?.conclusion;
+    return FAILED_CHECK_CONCLUSIONS.includes(conclusion) || notification.statusInfo?.status === 'CHECKS FAILED';
+  }
+
+  /**
+   * Render the comment body (Markdown) for a state
+   * @param {Object} state - Comment state
+   * @returns {string} Comment body including the hidden marker
+   */
+  static render(state) {
+    const encoded = Buffer.from(JSON.stringify(state), 'utf8').toString('base64');
+    const cell = (text) => String(text || '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+    const link = (text, url) => url ? `[${cell(text)}](${url})` : cell(text);
+    const status = (row) => `${row.emoji ? `${row.emoji} ` : ''}${cell(row.status)}`;
+
+    const table = (title, heading, rows) => {
+      const entries = Object.entries(rows);
+      if (entries.length === 0) {
+        return [];
+      }
+      return [
+        `**${title}**`,
+        '',
+        `| ${heading} | Status | Details |`,
+        '|---|---|---|',
+        ...entries.map(([name, row]) => `| ${link(name, row.url)} | ${status(row)} | ${cell(row.description)} |`),
+        ''
+      ];
+    };
+
+    const lines = [
+      `${PR_COMMENT_MARKER} ${encoded} -->`,
+      '### 📋 Pull request status',
+      '',
+      state.readyToMerge
+        ? `**Ready to merge:** ${status(state.readyToMerge)} - ${cell(state.readyToMerge.description)}`
+        : '**Ready to merge:** not yet',
+      '',
+      ...table('Checks', 'Check', state.checks),
+      ...table('Reviews', 'Reviewer', state.reviews),
+      ...table('Deployments', 'Environment', state.deployments),
+      `<sub>Updated ${new Date().toISOString()}${state.headSha ? ` for ${state.headSha.substring(0, 7)}` : ''}. This comment is edited in place by PR Notification App.</sub>`
+    ];
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Get configuration summary
+   */
+  getConfigurationSummary() {
+    const config = AppConfig.prComment;
+    return {
+      configured: config.enabled,
+      categories: config.categories
+    };
+  }
+}
@@ -0,0 +1,59 @@
+/**
+ * @fileoverview Slack Notification Channel
+ * @description Posts notifications to the Slack incoming webhook configured for the
+ * notification's category. Does not need email recipients.
+ *
+ * @author Jürgen Efeish
+ *
+ * @module SlackChannel
+ * @extends BaseChannel
+ *
+ * @requires BaseChannel - Base notification channel class
+ *
+ * @example
+ * // Register with factory
+ * NotificationChannelFactory.register('slack', SlackChannel);
+ */
+
+import { BaseChannel } from './baseChannel.js';
+
+/**
+ * @class SlackChannel
+ * @extends BaseChannel
+ * @description Slack delivery channel. Result shape is `{ success, status }` from SlackService.
+ */
+export class SlackChannel extends BaseChannel {
+  static channelName = 'slack';
+
+  constructor(services = {}) {
+    super(services);
+    this.slackService = services.slackService;
+  }
+
+  /**
+   * Only post categories that have a Slack webhook configured
+   */
+  isEnabledFor(notification, recipients) {
+    return this.slackService.isEnabledFor(notification.eventType, notification.action);
+  }
+
+  /**
+   * Post the notification as a Block Kit message
+   */
+  async send(notification, recipients) {
+    return await this.slackService.sendNotification(
+      notification,
+      notification.repository,
+      notification.pullRequest,
+      notification.eventType,
+      notification.action
+    );
+  }
+
+  /**
+   * Get configuration summary
+   */
+  getConfigurationSummary() {
+    return this.slackService.getConfigurationSummary();
+  }
+}
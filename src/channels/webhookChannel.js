@@ -0,0 +1,99 @@
+/**
+ * @fileoverview Outbound Webhook Notification Channel
+ * @description Normalizes notifications into a versioned JSON document and POSTs it to the
+ * configured outbound webhook URLs, so internal tools can consume the enriched events
+ * without parsing email. The payload schema is documented in docs/OUTBOUND_WEBHOOKS.md.
+ *
+ * @author Jürgen Efeish
+ *
+ * @module WebhookChannel
+ * @extends BaseChannel
+ *
+ * @requires crypto - Payload IDs
+ * @requires BaseChannel - Base notification channel class
+ *
+ * @example
+ * // Register with factory
+ * NotificationChannelFactory.register('webhook', WebhookChannel);
+ */
+
+import crypto from 'crypto';
+import { BaseChannel } from './baseChannel.js';
+
+/**
+ * @constant {string} WEBHOOK_SCHEMA_VERSION
+ * @description Version of the outbound payload schema. Bump the major version on breaking changes.
+ */
+export const WEBHOOK_SCHEMA_VERSION = '1.0';
+
+/**
+ * @class WebhookChannel
+ * @extends BaseChannel
+ * @description Generic HTTP delivery channel. Result shape is `{ success, deliveries }`
+ * with one entry per configured URL.
+ */
+export class WebhookChannel extends BaseChannel {
+  static channelName = 'webhook';
+
+  constructor(services = {}) {
+    super(services);
+    this.webhookService = services.webhookService;
+  }
+
+  /**
+   * Deliver categories selected by OUTBOUND_WEBHOOK_CATEGORIES (all when unset)
+   */
+  isEnabledFor(notification, recipients) {
+    return this.webhookService.isEnabledFor(notification.eventType, notification.action);
+  }
+
+  /**
+   * POST the normalized payload to every configured URL
+   */
+  async send(notification, recipients) {
+    const payload = this.buildPayload(notification, recipients);
+    return await this.webhookService.deliver(payload, `${notification.eventType}.${notification.action}`);
+  }
+
+  /**
+   * Build the versioned payload from a notification
+   */
+  buildPayload(notification, recipients) {
+    const { eventType, action, repository, pullRequest: pr, statusInfo } = notification;
+
+    return {
+      schema_version: WEBHOOK_SCHEMA_VERSION,
+      id: crypto.randomUUID(),
+      timestamp: new Date().toISOString(),
+      event: eventType,
+      action,
+      repository: {
+        full_name: repository.fullName,
+        url: repository.url
+      },
+      pull_request: pr ? {
+        number: pr.number,
+        title: pr.title,
+        url: pr.html_url,
+        author: pr.user?.login || null
+      } : null,
+      status: statusInfo ? {
+        status: statusInfo.status || null,
+        emoji: statusInfo.emoji || null,
+        color: statusInfo.color || null
+      } : null,
+      subject: notification.subject || null,
+      description: notification.description || null,
+      summary: notification.summary || null,
+      details_url: notification.detailsUrl || null,
+      recipients: recipients.emails
+    };
+  }
+
+  /**
+   * Get configuration summary
+   */
+  getConfigurationSummary() {
+    return this.webhookService.getConfigurationSummary();
+  }
+}
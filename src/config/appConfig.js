@@ -27,6 +27,8 @@
 
 import { Logger } from '../utils/logger.js';
 
+const CREATOR_EMAIL_STRATEGIES = ['override', 'verified_domain', 'default', 'domain']; // default fallback order
+
 /**
  * @class AppConfig
  * @description Centralized application configuration management class.
@@ -63,6 +65,247 @@ export class AppConfig {
     };
   }
 
+  /**
+   * Email outbox configuration
+   * Every email is stored in the outbox before sending. Transient SMTP failures are retried with
+   * exponential backoff (EMAIL_RETRY_DELAY_MS, doubled per attempt) and dead-lettered after
+   * EMAIL_MAX_ATTEMPTS attempts; EMAIL_OUTBOX_POLL_INTERVAL_MS controls how often due retries are sent.
+   */
+  static get emailOutbox() {
+    return {
+      maxAttempts: parseInt(process.env.EMAIL_MAX_ATTEMPTS) > 0 ? parseInt(process.env.EMAIL_MAX_ATTEMPTS) : 8,
+      retryDelayMs: parseInt(process.env.EMAIL_RETRY_DELAY_MS) >= 0 ? parseInt(process.env.EMAIL_RETRY_DELAY_MS) : 60000,
+      pollIntervalMs: parseInt(process.env.EMAIL_OUTBOX_POLL_INTERVAL_MS) || 30000
+    };
+  }
+
+  /**
+   * Slack configuration
+   * SLACK_WEBHOOK_URL is the default incoming webhook, SLACK_WEBHOOK_URL_<CATEGORY> routes a
+   * NOTIFY_* category to its own webhook, and SLACK_NOTIFY_CATEGORIES limits which categories
+   * use the default webhook (all enabled categories when unset)
+   */
+  static get slack() {
+    const categoryWebhookUrls = {};
+    Object.keys(process.env).forEach(key => {
+      if (key.startsWith('SLACK_WEBHOOK_URL_') && process.env[key]) {
+        categoryWebhookUrls[key.replace('SLACK_WEBHOOK_URL_', '')] = process.env[key];
+      }
+    });
+
+    return {
+      webhookUrl: process.env.SLACK_WEBHOOK_URL,
+      categories: (process.env.SLACK_NOTIFY_CATEGORIES || '')
+        .split(',')
+        .map(category => category.trim().toUpperCase())
+        .filter(category => category.length > 0),
+      categoryWebhookUrls,
+      timeoutMs: parseInt(process.env.SLACK_TIMEOUT_MS) || 10000
+    };
+  }
+
+  /**
+   * PR comment channel configuration
+   * When PR_COMMENT_ENABLED is true, a single sticky bot comment per PR is kept up to date with
+   * the latest status of PR_COMMENT_CATEGORIES. PR_COMMENTS is never posted as a comment, so the
+   * app does not react to its own comment.
+   */
+  static get prComment() {
+    const categories = (process.env.PR_COMMENT_CATEGORIES || 'CHECK_RESULTS,PR_REVIEWS,READY_TO_MERGE,DEPLOYMENTS')
+      .split(',')
+      .map(category => category.trim().toUpperCase())
+      .filter(category => category.length > 0 && category !== 'PR_COMMENTS');
+
+    return {
+      enabled: process.env.PR_COMMENT_ENABLED === 'true',
+      categories
+    };
+  }
+
+  /**
+   * Outbound webhook configuration
+   * OUTBOUND_WEBHOOK_URLS receive a signed JSON payload for every enabled notification,
+   * optionally limited to the NOTIFY_* categories in OUTBOUND_WEBHOOK_CATEGORIES.
+   * OUTBOUND_WEBHOOK_TIMEOUT_MS is per request; WebhookService caps all attempts in total
+   */
+  static get outboundWebhooks() {
+    const parseList = (value) => (value || '').split(',').map(item => item.trim()).filter(item => item.length > 0);
+
+    return {
+      urls: parseList(process.env.OUTBOUND_WEBHOOK_URLS),
+      secret: process.env.OUTBOUND_WEBHOOK_SECRET,
+      categories: parseList(process.env.OUTBOUND_WEBHOOK_CATEGORIES).map(category => category.toUpperCase()),
+      maxRetries: parseInt(process.env.OUTBOUND_WEBHOOK_MAX_RETRIES) >= 0 ? parseInt(process.env.OUTBOUND_WEBHOOK_MAX_RETRIES) : 3,
+      retryDelayMs: parseInt(process.env.OUTBOUND_WEBHOOK_RETRY_DELAY_MS) >= 0 ? parseInt(process.env.OUTBOUND_WEBHOOK_RETRY_DELAY_MS) : 1000,
+      timeoutMs: parseInt(process.env.OUTBOUND_WEBHOOK_TIMEOUT_MS) || 3000
+    };
+  }
+
+  /**
+   * Digest configuration
+   * Notifications in DIGEST_CATEGORIES are queued per recipient and sent as one email
+   * on DIGEST_SCHEDULE ('hourly' or 'daily@HH:MM', server time) instead of immediately
+   */
+  static get digest() {
+    return {
+      schedule: process.env.DIGEST_SCHEDULE || 'daily@09:00',
+      categories: (process.env.DIGEST_CATEGORIES || '')
+        .split(',')
+        .map(category => category.trim().toUpperCase())
+        .filter(category => category.length > 0)
+    };
+  }
+
+  /**
+   * PR creator email fallback configuration
+   * CREATOR_EMAIL_STRATEGIES is the comma-separated order in which the fallbacks are tried when a
+   * PR creator has no directory or public email: `override` (creator_fallback.email_overrides,
+   * EMAIL_OVERRIDE_<USERNAME>), `verified_domain` (the organization's verified-domain email from
+   * GraphQL), `default` (DEFAULT_CREATOR_EMAIL) and `domain` (username@CREATOR_EMAIL_DOMAIN).
+   * Strategies left out of the list are skipped.
+   */
+  static get creatorFallback() {
+    const strategies = (process.env.CREATOR_EMAIL_STRATEGIES || '')
+      .split(',')
+      .map(strategy => strategy.trim().toLowerCase())
+      .filter(strategy => strategy.length > 0);
+
+    return {
+      strategies: strategies.length > 0 ? strategies : CREATOR_EMAIL_STRATEGIES
+    };
+  }
+
+  /**
+   * Quiet hours configuration
+   * Quiet-hour windows themselves are set per user or team in the repository config; QUIET_HOURS_URGENT
+   * lists the categories and `eventType.action` keys that are delivered during quiet hours anyway.
+   */
+  static get quietHours() {
+    return {
+      urgent: (process.env.QUIET_HOURS_URGENT || 'deployment_status.failure,deployment_status.error')
+        .split(',')
+        .map(event => event.trim().toLowerCase())
+        .filter(event => event.length > 0)
+    };
+  }
+
+  /**
+   * Unsubscribe link configuration
+   * UNSUBSCRIBE_SECRET signs the per-recipient unsubscribe tokens and UNSUBSCRIBE_BASE_URL is the
+   * public URL of the app; unsubscribe links and List-Unsubscribe headers are added when both are set.
+   */
+  static get unsubscribe() {
+    return {
+      secret: process.env.UNSUBSCRIBE_SECRET,
+      baseUrl: process.env.UNSUBSCRIBE_BASE_URL
+    };
+  }
+
+  /**
+   * HTML email template configuration
+   * EMAIL_TEMPLATES_DIR holds Handlebars templates (`<name>.hbs`) that replace the built-in ones
+   * of the same name; the directory is re-read every EMAIL_TEMPLATES_REFRESH_MS, which is also
+   * how long templates from a repository's `templates.path` are cached.
+   */
+  static get emailTemplates() {
+    return {
+      dir: process.env.EMAIL_TEMPLATES_DIR,
+      refreshMs: parseInt(process.env.EMAIL_TEMPLATES_REFRESH_MS) || 5 * 60 * 1000
+    };
+  }
+
+  /**
+   * Email threading configuration
+   * All emails about a pull request are sent as one conversation (Message-ID, In-Reply-To and
+   * References headers plus a shared subject) unless EMAIL_THREADING is 'false'.
+   * EMAIL_MESSAGE_ID_DOMAIN is the domain of the generated Message-IDs; defaults to the domain
+   * of the sender address.
+   */
+  static get emailThreading() {
+    return {
+      enabled: process.env.EMAIL_THREADING !== 'false',
+      domain: process.env.EMAIL_MESSAGE_ID_DOMAIN
+    };
+  }
+
+  /**
+   * GitHub user email cache configuration
+   * Public profile emails are cached for USER_EMAIL_CACHE_TTL_MS; users without a public email
+   * are cached for USER_EMAIL_CACHE_NEGATIVE_TTL_MS so they are retried sooner. 0 turns either off.
+   */
+  static get userEmailCache() {
+    const ttl = (name, fallback) => parseInt(process.env[name]) >= 0 ? parseInt(process.env[name]) : fallback;
+    return {
+      ttlMs: ttl('USER_EMAIL_CACHE_TTL_MS', 60 * 60 * 1000),
+      negativeTtlMs: ttl('USER_EMAIL_CACHE_NEGATIVE_TTL_MS', 10 * 60 * 1000)
+    };
+  }
+
+  /**
+   * Email directory configuration
+   * EMAIL_DIRECTORY_FILE is a local YAML, JSON or CSV file mapping GitHub logins to addresses;
+   * EMAIL_DIRECTORY_REPO (owner/name) and EMAIL_DIRECTORY_PATH point to a repository-hosted one,
+   * re-read every EMAIL_DIRECTORY_REFRESH_MS. Directory addresses take precedence over public
+   * profile emails for every recipient.
+   */
+  static get emailDirectory() {
+    return {
+      file: process.env.EMAIL_DIRECTORY_FILE,
+      repo: process.env.EMAIL_DIRECTORY_REPO,
+      path: process.env.EMAIL_DIRECTORY_PATH || 'email-directory.yml',
+      refreshMs: parseInt(process.env.EMAIL_DIRECTORY_REFRESH_MS) || 5 * 60 * 1000
+    };
+  }
+
+  /**
+   * CODEOWNERS configuration
+   * For the events in CODEOWNERS_EVENTS (`eventType.action` keys, plus `checks_failed` for failed
+   * check runs), the code owners of the PR's changed files are notified too, even when nobody
+   * requested their review. Empty (the default) turns CODEOWNERS recipients off.
+   */
+  static get codeOwners() {
+    return {
+      events: (process.env.CODEOWNERS_EVENTS || '')
+        .split(',')
+        .map(event => event.trim().toLowerCase())
+        .filter(event => event.length > 0)
+    };
+  }
+
+  /**
+   * Reminder configuration
+   * When NOTIFY_REMINDERS is true, open PRs of every installation are scanned on REMINDER_SCHEDULE
+   * and reminders are sent for review requests pending longer than REMINDER_REVIEW_PENDING_HOURS,
+   * approved PRs not merged within REMINDER_APPROVED_UNMERGED_HOURS and drafts untouched for
+   * REMINDER_STALE_DRAFT_DAYS. A threshold of 0 turns that reminder off. The same reminder is sent
+   * at most once every REMINDER_INTERVAL_HOURS.
+   */
+  static get reminders() {
+    const threshold = (value, fallback) => parseInt(value) >= 0 ? parseInt(value) : fallback;
+
+    return {
+      enabled: process.env.NOTIFY_REMINDERS === 'true',
+      schedule: process.env.REMINDER_SCHEDULE || 'hourly',
+      reviewPendingHours: threshold(process.env.REMINDER_REVIEW_PENDING_HOURS, 24),
+      approvedUnmergedHours: threshold(process.env.REMINDER_APPROVED_UNMERGED_HOURS, 24),
+      staleDraftDays: threshold(process.env.REMINDER_STALE_DRAFT_DAYS, 7),
+      intervalHours: parseInt(process.env.REMINDER_INTERVAL_HOURS) || 24
+    };
+  }
+
+  /**
+   * Storage configuration
+   * STORAGE_BACKEND is 'sqlite' (default, file at STORAGE_PATH) or 'memory' (lost on restart).
+   * Sent-notification records are kept for STORAGE_RETENTION_DAYS.
+   */
+  static get storage() {
+    return {
+      backend: (process.env.STORAGE_BACKEND || 'sqlite').trim().toLowerCase(),
+      path: process.env.STORAGE_PATH || 'data/pr-notifications.db',
+      retentionDays: parseInt(process.env.STORAGE_RETENTION_DAYS) || 30
+    };
+  }
+
   /**
    * Notification configuration
    */
@@ -112,53 +355,85 @@ export class AppConfig {
   /**
    * @static
    * @memberof AppConfig
-   * @description Check if a specific event type and action is enabled via environment variables
+   * @description Map an event type and action to its notification category.
+   * The category name is the suffix of the matching NOTIFY_* environment variable.
    * 
    * @param {string} eventType - The GitHub event type (e.g., 'pull_request')
    * @param {string|null} [action=null] - The specific action (e.g., 'opened')
-   * @returns {boolean} True if notifications should be sent
+   * @returns {string|null} Category such as 'PR_LIFECYCLE', or null if the event is not configurable
    */
-  static isNotificationEnabled(eventType, action = null) {
+  static getNotificationCategory(eventType, action = null) {
     // PR lifecycle events: opened, closed, reopened
     if (eventType === 'pull_request' && ['opened', 'closed', 'reopened'].includes(action)) {
-      return process.env.NOTIFY_PR_LIFECYCLE === 'true';
+      return 'PR_LIFECYCLE';
     }
     
     // PR review events: review submitted, dismissed  
     if (eventType === 'pull_request_review' && ['submitted', 'dismissed'].includes(action)) {
-      return process.env.NOTIFY_PR_REVIEWS === 'true';
+      return 'PR_REVIEWS';
     }
     
     // PR comments
     if ((eventType === 'issue_comment' && action === 'created') || 
         (eventType === 'pull_request_review_comment' && action === 'created')) {
-      return process.env.NOTIFY_PR_COMMENTS === 'true';
+      return 'PR_COMMENTS';
     }
     
     // CI/CD check results
     if ((eventType === 'check_run' && action === 'completed') ||
         (eventType === 'check_suite' && action === 'completed')) {
-      return process.env.NOTIFY_CHECK_RESULTS === 'true';
+      return 'CHECK_RESULTS';
     }
     
     // PR updates: synchronize (new commits), edits
     if (eventType === 'pull_request' && ['synchronize', 'edited', 'ready_for_review', 'review_requested'].includes(action)) {
-      return process.env.NOTIFY_PR_UPDATES === 'true';
+      return 'PR_UPDATES';
     }
     
     // Deployment events
     if (eventType === 'deployment' || eventType === 'deployment_status') {
-      return process.env.NOTIFY_DEPLOYMENTS === 'true';
+      return 'DEPLOYMENTS';
     }
     
     // Ready to merge notifications (special case - not a direct webhook event)
     if (eventType === 'pull_request' && action === 'ready_to_merge') {
-      return process.env.NOTIFY_READY_TO_MERGE === 'true';
+      return 'READY_TO_MERGE';
+    }
+
+    // Scheduled reminders (not webhook events): review_pending, approved_unmerged, stale_draft
+    if (eventType === 'reminder') {
+      return 'REMINDERS';
     }
     
+    return null;
+  }
+
+  /**
+   * @static
+   * @memberof AppConfig
+   * @description Check if a specific event type and action is enabled via environment variables
+   * 
+   * @param {string} eventType - The GitHub event type (e.g., 'pull_request')
+   * @param {string|null} [action=null] - The specific action (e.g., 'opened')
+   * @param {Object|null} [overrides=null] - Per-repository category overrides keyed by
+   * lowercase category name (e.g. `{ check_results: false }`); env vars apply otherwise
+   * @returns {boolean} True if notifications should be sent
+   */
+  static isNotificationEnabled(eventType, action = null, overrides = null) {
+    const category = this.getNotificationCategory(eventType, action);
+    
     // Default: disabled for unrecognized events
-    Logger.debug(`Event ${eventType}.${action} not configured - defaulting to disabled`);
-    return false;
+    if (!category) {
+      Logger.debug(`Event ${eventType}.${action} not configured - defaulting to disabled`);
+      return false;
+    }
+    
+    const override = overrides?.[category.toLowerCase()];
+    if (typeof override === 'boolean') {
+      return override;
+    }
+    
+    return process.env[`NOTIFY_${category}`] === 'true';
   }
 
   /**
@@ -182,6 +457,12 @@ export class AppConfig {
       errors.push('SMTP credentials (SMTP_USER, SMTP_PASS) are required for email notifications');
     }
 
+    const unknownStrategies = this.creatorFallback.strategies
+      .filter(strategy => !CREATOR_EMAIL_STRATEGIES.includes(strategy));
+    if (unknownStrategies.length > 0) {
+      errors.push(`Unknown CREATOR_EMAIL_STRATEGIES ignored: ${unknownStrategies.join(', ')}`);
+    }
+
     return errors;
   }
 
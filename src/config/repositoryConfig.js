@@ -0,0 +1,380 @@
+/**
+ * @fileoverview Per-Repository Configuration
+ * @description Loads the optional `.github/pr-notifications.yml` file from a repository
+ * and layers it on top of the environment-based defaults from AppConfig. Every key in
+ * the file is optional; anything left out falls back to the org-wide NOTIFY_* and
+ * recipient environment variables.
+ *
+ * @author Jürgen Efeish
+ *
+ * @module RepositoryConfig
+ *
+ * @requires AppConfig - Application configuration (org-wide defaults)
+ * @requires Logger - Logging utility
+ * @requires QuietHours - Quiet-hour window parsing
+ *
+ * @example
+ * // .github/pr-notifications.yml
+ * notifications:
+ *   check_results: true
+ *   pr_updates: false
+ * additional_recipients:
+ *   usernames: [octocat]
+ * creator_fallback:
+ *   email_domain: company.com
+ * digest:
+ *   categories: [check_results]
+ * pr_comment:
+ *   enabled: true
+ * codeowners:
+ *   events: [pull_request.opened, checks_failed]
+ * reminders:
+ *   review_pending_hours: 48
+ *   stale_draft_days: 0
+ * preferences:
+ *   octocat:
+ *     mute: [pull_request.synchronize]
+ *     delivery: digest
+ *     quiet_hours: { start: '22:00', end: '07:00', timezone: Europe/Berlin }
+ * quiet_hours:
+ *   teams:
+ *     platform: { start: '20:00', end: '08:00', timezone: America/New_York }
+ * templates:
+ *   path: .github/email-templates
+ *
+ * @example
+ * // Load the effective configuration for the repository of a webhook
+ * const repoConfig = await RepositoryConfig.load(context);
+ * if (repoConfig.isNotificationEnabled('check_run', 'completed')) {
+ *   // send check results
+ * }
+ */
+
+import { AppConfig } from './appConfig.js';
+import { Logger } from '../utils/logger.js';
+import { QuietHours } from '../utils/quietHours.js';
+
+/**
+ * @constant {string} REPOSITORY_CONFIG_FILE
+ * @description Name of the configuration file inside the repository's `.github` directory
+ */
+export const REPOSITORY_CONFIG_FILE = 'pr-notifications.yml';
+
+/**
+ * @class RepositoryConfig
+ * @description Effective notification configuration for a single repository.
+ * Instances are created by {@link RepositoryConfig.load} and cached per repository
+ * so that handlers can ask for them on every event without extra API calls.
+ */
+export class RepositoryConfig {
+  static #cache = new Map();
+  static cacheTtl = 5 * 60 * 1000; // 5 minutes
+
+  /**
+   * @param {string} repository - Full name of the repository (owner/name)
+   * @param {Object} [settings={}] - Parsed contents of the repository config file
+   */
+  constructor(repository, settings = {}) {
+    this.repository = repository;
+    this.settings = settings || {};
+  }
+
+  /**
+   * @static
+   * @async
+   * @memberof RepositoryConfig
+   * @description Load the repository configuration for the repository in the webhook payload.
+   * Reads `.github/pr-notifications.yml` from the default branch through the Probot config
+   * plugin (which also honours `_extends` for sharing a base config across an org).
+   * Missing files and API errors both result in an empty config, i.e. env defaults only.
+   *
+   * @param {Object} context - GitHub webhook context
+   * @returns {Promise<RepositoryConfig>} Effective configuration for the repository
+   */
+  static async load(context) {
+    const repository = context.payload?.repository;
+    if (!repository) {
+      return new RepositoryConfig('unknown');
+    }
+
+    const cached = this.#cache.get(repository.full_name);
+    if (cached && Date.now() - cached.loadedAt < this.cacheTtl) {
+      return cached.config;
+    }
+
+    let settings = {};
+    try {
+      if (context.octokit?.config) {
+        const { config } = await context.octokit.config.get({
+          owner: repository.owner.login,
+          repo: repository.name,
+          path: `.github/${REPOSITORY_CONFIG_FILE}`
+        });
+        settings = config || {};
+      }
+
+      if (Object.keys(settings).length > 0) {
+        Logger.info(`Loaded repository config for ${repository.full_name}: ${Object.keys(settings).join(', ')}`);
+      } else {
+        Logger.debug(`No ${REPOSITORY_CONFIG_FILE} found for ${repository.full_name} - using environment defaults`);
+      }
+    } catch (error) {
+      Logger.warn(`Failed to load ${REPOSITORY_CONFIG_FILE} for ${repository.full_name} - using environment defaults`, {
+        error: error.message
+      });
+    }
+
+    const config = new RepositoryConfig(repository.full_name, settings);
+    this.#cache.set(repository.full_name, { config, loadedAt: Date.now() });
+    return config;
+  }
+
+  /**
+   * Drop the cached configuration of a repository (e.g. after the config file was pushed)
+   * @param {string} repository - Full name of the repository
+   */
+  static invalidate(repository) {
+    this.#cache.delete(repository);
+  }
+
+  /**
+   * Drop all cached repository configurations
+   */
+  static clearCache() {
+    this.#cache.clear();
+  }
+
+  /**
+   * Invalidate the cache when a push to the default branch touches the config file
+   * @param {Object} context - GitHub push webhook context
+   * @returns {boolean} True if the cached config was invalidated
+   */
+  static handlePush(context) {
+    const { ref, repository, commits = [] } = context.payload;
+    if (!repository || ref !== `refs/heads/${repository.default_branch}`) {
+      return false;
+    }
+
+    const configPath = `.github/${REPOSITORY_CONFIG_FILE}`;
+    const touched = commits.some(commit =>
+      [...(commit.added || []), ...(commit.modified || []), ...(commit.removed || [])].includes(configPath)
+    );
+
+    if (touched) {
+      Logger.info(`${configPath} changed in ${repository.full_name} - reloading on next event`);
+      this.invalidate(repository.full_name);
+    }
+    return touched;
+  }
+
+  /**
+   * Category overrides from the `notifications` section (e.g. `{ check_results: false }`)
+   */
+  get notifications() {
+    return this.settings.notifications || {};
+  }
+
+  /**
+   * Check if an event is enabled for this repository, falling back to the NOTIFY_* env vars
+   * @param {string} eventType - The GitHub event type (e.g., 'pull_request')
+   * @param {string|null} [action=null] - The specific action (e.g., 'opened')
+   * @returns {boolean} True if notifications should be sent
+   */
+  isNotificationEnabled(eventType, action = null) {
+    return AppConfig.isNotificationEnabled(eventType, action, this.notifications);
+  }
+
+  /**
+   * Check if additional recipients should be included for this repository
+   * @returns {boolean} `additional_recipients.enabled` or NOTIFY_ADDITIONAL_RECIPIENTS
+   */
+  includeAdditionalRecipients() {
+    const enabled = this.settings.additional_recipients?.enabled;
+    return typeof enabled === 'boolean' ? enabled : AppConfig.includeAdditionalRecipients();
+  }
+
+  /**
+   * Get configured additional recipients; each list in the file replaces the env list
+   * @returns {{emails: string[], usernames: string[]}} Additional recipients
+   */
+  getAdditionalRecipients() {
+    const defaults = AppConfig.getAdditionalRecipients();
+    const overrides = this.settings.additional_recipients || {};
+
+    return {
+      emails: Array.isArray(overrides.emails) ? RepositoryConfig.cleanList(overrides.emails) : defaults.emails,
+      usernames: Array.isArray(overrides.usernames) ? RepositoryConfig.cleanList(overrides.usernames) : defaults.usernames
+    };
+  }
+
+  /**
+   * Check if the sticky PR status comment is enabled for this repository
+   * @returns {boolean} `pr_comment.enabled` or PR_COMMENT_ENABLED
+   */
+  isPrCommentEnabled() {
+    const enabled = this.settings.pr_comment?.enabled;
+    return typeof enabled === 'boolean' ? enabled : AppConfig.prComment.enabled;
+  }
+
+  /**
+   * Get PR creator fallback settings, repository values taking precedence over env vars
+   * @returns {{emailOverrides: Object<string, string>, defaultEmail: (string|undefined), emailDomain: (string|undefined), strategies: string[]}}
+   */
+  getCreatorFallback() {
+    const fallback = this.settings.creator_fallback || {};
+    const emailOverrides = {};
+
+    Object.entries(fallback.email_overrides || {}).forEach(([username, email]) => {
+      emailOverrides[username.toLowerCase()] = email;
+    });
+
+    return {
+      emailOverrides,
+      defaultEmail: fallback.default_email || process.env.DEFAULT_CREATOR_EMAIL,
+      emailDomain: fallback.email_domain || process.env.CREATOR_EMAIL_DOMAIN,
+      strategies: Array.isArray(fallback.strategies)
+        ? RepositoryConfig.cleanList(fallback.strategies).map(strategy => strategy.toLowerCase())
+        : AppConfig.creatorFallback.strategies
+    };
+  }
+
+  /**
+   * Get digest preferences: which categories are digested by default, and per-recipient choices.
+   * `digest.recipients` maps an email address to the categories that person wants as a digest
+   * (an empty list means everything immediately).
+   * @returns {{categories: string[], recipients: Object<string, string[]>}} Uppercase category names
+   */
+  getDigestPreferences() {
+    const digest = this.settings.digest || {};
+    const toCategories = (values) => RepositoryConfig.cleanList(values).map(value => value.toUpperCase());
+    const recipients = {};
+
+    Object.entries(digest.recipients || {}).forEach(([recipient, categories]) => {
+      recipients[recipient.toLowerCase()] = Array.isArray(categories) ? toCategories(categories) : [];
+    });
+
+    return {
+      categories: Array.isArray(digest.categories) ? toCategories(digest.categories) : AppConfig.digest.categories,
+      recipients
+    };
+  }
+
+  /**
+   * Get the events that also notify the code owners of the changed files
+   * @returns {string[]} `codeowners.events` or CODEOWNERS_EVENTS (lowercase event keys)
+   */
+  getCodeOwnerEvents() {
+    const events = this.settings.codeowners?.events;
+    return Array.isArray(events)
+      ? RepositoryConfig.cleanList(events).map(event => event.toLowerCase())
+      : AppConfig.codeOwners.events;
+  }
+
+  /**
+   * Get the repository directory holding HTML email template overrides
+   * @returns {string|null} `templates.path` without leading or trailing slashes, null when unset
+   */
+  getTemplatesPath() {
+    const templatesPath = this.settings.templates?.path;
+    return typeof templatesPath === 'string' && templatesPath.trim()
+      ? templatesPath.trim().replace(/^\/+|\/+$/g, '')
+      : null;
+  }
+
+  /**
+   * Get reminder thresholds, repository values taking precedence over the REMINDER_* env vars.
+   * A threshold of 0 turns that reminder off for the repository.
+   * @returns {{reviewPendingHours: number, approvedUnmergedHours: number, staleDraftDays: number, intervalHours: number}}
+   */
+  getReminderThresholds() {
+    const defaults = AppConfig.reminders;
+    const reminders = this.settings.reminders || {};
+    const value = (setting, fallback) => typeof setting === 'number' && setting >= 0 ? setting : fallback;
+
+    return {
+      reviewPendingHours: value(reminders.review_pending_hours, defaults.reviewPendingHours),
+      approvedUnmergedHours: value(reminders.approved_unmerged_hours, defaults.approvedUnmergedHours),
+      staleDraftDays: value(reminders.stale_draft_days, defaults.staleDraftDays),
+      intervalHours: reminders.interval_hours > 0 ? reminders.interval_hours : defaults.intervalHours
+    };
+  }
+
+  /**
+   * Get per-user notification preferences from the `preferences` section, keyed by lowercase login.
+   * `events` and `mute` accept categories (`pr_reviews`) and event keys (`pull_request.synchronize`).
+   * @returns {Object<string, {optOut: boolean, events: (string[]|null), mute: string[], channels: (string[]|null), delivery: (string|null), quietHours: (Object|null)}>}
+   * Lowercase values; `events` and `channels` are null when not restricted, `quietHours` is a QuietHours window
+   */
+  getUserPreferences() {
+    const preferences = {};
+    const toList = (values) => Array.isArray(values)
+      ? RepositoryConfig.cleanList(values).map(value => value.toLowerCase())
+      : null;
+
+    Object.entries(this.settings.preferences || {}).forEach(([login, preference]) => {
+      if (!preference || typeof preference !== 'object') {
+        return;
+      }
+      preferences[login.toLowerCase()] = {
+        optOut: preference.opt_out === true,
+        events: toList(preference.events),
+        mute: toList(preference.mute) || [],
+        channels: toList(preference.channels),
+        delivery: ['immediate', 'digest'].includes(preference.delivery) ? preference.delivery : null,
+        quietHours: this.parseQuietHours(preference.quiet_hours, `preferences.${login}.quiet_hours`)
+      };
+    });
+
+    return preferences;
+  }
+
+  /**
+   * Get team quiet hours and the events that bypass quiet hours
+   * @returns {{urgent: string[], teams: Object<string, Object>}} `urgent` as lowercase categories and event keys
+   * (`quiet_hours.urgent` or QUIET_HOURS_URGENT); `teams` maps a lowercase team slug (`org/slug` or `slug`
+   * for the repository's org) to its QuietHours window
+   */
+  getQuietHours() {
+    const quietHours = this.settings.quiet_hours || {};
+    const teams = {};
+
+    Object.entries(quietHours.teams || {}).forEach(([team, setting]) => {
+      const window = this.parseQuietHours(setting, `quiet_hours.teams.${team}`);
+      if (window) {
+        teams[team.replace(/^@/, '').toLowerCase()] = window;
+      }
+    });
+
+    return {
+      urgent: Array.isArray(quietHours.urgent)
+        ? RepositoryConfig.cleanList(quietHours.urgent).map(event => event.toLowerCase())
+        : AppConfig.quietHours.urgent,
+      teams
+    };
+  }
+
+  /**
+   * Parse a quiet-hours setting, logging invalid ones
+   * @param {Object|undefined} setting - `{ start, end, timezone }`
+   * @param {string} name - Setting path for the log message
+   * @returns {Object|null} QuietHours window or null
+   */
+  parseQuietHours(setting, name) {
+    if (setting === undefined) {
+      return null;
+    }
+
+    const window = QuietHours.parse(setting);
+    if (!window) {
+      Logger.warn(`Ignoring invalid ${name} in ${this.repository} - expected start/end as HH:MM and an IANA timezone`);
+    }
+    return window;
+  }
+
+  /**
+   * Trim list entries and drop empty values
+   */
+  static cleanList(values) {
+    return values.map(value => String(value).trim()).filter(value => value.length > 0);
+  }
+}
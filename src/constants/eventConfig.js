@@ -43,7 +43,10 @@ export const SUPPORTED_EVENTS = [
   'check_run.completed',
   'check_suite.completed',
   'deployment_status',
-  'issue_comment.created'
+  'issue_comment.created',
+  'reminder.review_pending',
+  'reminder.approved_unmerged',
+  'reminder.stale_draft'
 ];
 
 /**
@@ -61,6 +64,7 @@ export const STATUS_MAPPINGS = {
   queued: { status: 'QUEUED', emoji: '📋', color: '#007bff' },
   in_progress: { status: 'IN PROGRESS', emoji: '🔄', color: '#007bff' },
   completed: { status: 'COMPLETED', emoji: '✅', color: '#28a745' },
+  error: { status: 'ERROR', emoji: '❌', color: '#dc3545' },
   
   // Custom status for specific actions
   opened: { status: 'OPENED', emoji: '🎉', color: '#28a745' },
@@ -54,16 +54,48 @@ export class BaseHandler {
 
   /**
    * Create notification data object
+   * @param {string} [summaryFormat='text'] - 'markdown' when the summary is GitHub Markdown (PR
+   * descriptions, reviews, comments); emails then render it as sanitized HTML
    */
-  createNotificationData(subject, description, detailsUrl, statusInfo, summary = null) {
+  createNotificationData(subject, description, detailsUrl, statusInfo, summary = null, summaryFormat = 'text') {
     return {
       subject,
       description,
       detailsUrl,
       statusInfo,
-      summary
+      summary,
+      summaryFormat
     };
   }
+
+  /**
+   * Claim a dedup key in the notification store so the event is only handled once within ttlMs,
+   * across restarts and replicas sharing the store. Fails open: if the store errors, the event
+   * is handled (a duplicate is better than a missed notification).
+   * @param {string} eventKey - Unique event identifier, namespaced by repository
+   * @param {number} ttlMs - Suppression window
+   * @returns {Promise<boolean>} True if this is the first occurrence within the window
+   */
+  async claimEvent(eventKey, ttlMs) {
+    try {
+      return await this.notificationService.store.claimDedupKey(eventKey, ttlMs);
+    } catch (error) {
+      Logger.warn(`Dedup check failed for ${eventKey} - handling event anyway`, { error: error.message });
+      return true;
+    }
+  }
+
+  /**
+   * Release a dedup key claimed with claimEvent so the next occurrence is handled again
+   * @param {string} eventKey - Event identifier passed to claimEvent
+   */
+  async releaseEvent(eventKey) {
+    try {
+      await this.notificationService.store.releaseDedupKey(eventKey);
+    } catch (error) {
+      Logger.warn(`Could not release dedup key ${eventKey}`, { error: error.message });
+    }
+  }
 }
 
 /**
@@ -11,6 +11,7 @@
  * 
  * @requires BaseHandler - Base event handler class
  * @requires Logger - Logging utility
+ * @requires DataFormatter - Check durations for the check results table
  * 
  * @example
  * // Usage via EventHandlerFactory
@@ -24,6 +25,17 @@
 
 import { BaseHandler } from './baseHandler.js';
 import { Logger } from '../utils/logger.js';
+import { DataFormatter } from '../utils/validators.js';
+
+const CHECK_RUN_TRACKING_TTL = 5 * 60 * 1000; // 5 minutes
+const FAILED_CONCLUSIONS = ['failure', 'timed_out', 'action_required'];
+const SKIPPED_CONCLUSIONS = ['skipped', 'neutral', 'cancelled'];
+const MAX_FAILURE_DETAILS = 3; // failed check runs whose output and annotations are included
+const MAX_ANNOTATIONS = 5; // annotations shown per failed check run
+const ANNOTATION_MESSAGE_LENGTH = 300;
+const OUTPUT_EXCERPT_LINES = 20;
+const OUTPUT_EXCERPT_LENGTH = 1500;
+const ANNOTATION_LEVELS = ['failure', 'warning', 'notice'];
 
 /**
  * @class CheckRunHandler
@@ -32,14 +44,6 @@ import { Logger } from '../utils/logger.js';
  * Processes CI/CD completion events and sends notifications about build status.
  */
 export class CheckRunHandler extends BaseHandler {
-  constructor(notificationService) {
-    super(notificationService);
-    // Static tracking for event deduplication
-    if (!CheckRunHandler.recentEvents) {
-      CheckRunHandler.recentEvents = new Map();
-    }
-  }
-
   /**
    * Handle check run and check suite events
    * @param {Object} context - GitHub webhook context
@@ -80,38 +84,12 @@ export class CheckRunHandler extends BaseHandler {
     Logger.info(`🎯 CHECK RUN EVENT: "${checkRun.name}" (ID: ${checkRun.id}) - ${action}`);
     Logger.debug(`Event Key: ${eventKey} | Event ID: ${eventId}`);
     
-    // Track recent events for analysis
-    const now = Date.now();
-    CheckRunHandler.recentEvents.set(eventKey, {
-      timestamp: now,
-      checkRunId: checkRun.id,
-      checkRunName: checkRun.name,
-      action: action,
-      headSha: checkRun.head_sha
-    });
-    
-    // Clean old events (older than 5 minutes)
-    const fiveMinutesAgo = now - (5 * 60 * 1000);
-    for (const [key, event] of CheckRunHandler.recentEvents.entries()) {
-      if (event.timestamp < fiveMinutesAgo) {
-        CheckRunHandler.recentEvents.delete(key);
-      }
+    // Track recent events for analysis - a repeat within 5 minutes is a redelivery or re-run
+    const repeated = !(await this.claimEvent(`check_run:${context.payload.repository?.full_name}:${eventKey}`, CHECK_RUN_TRACKING_TTL));
+    if (repeated) {
+      Logger.debug(`Check run "${checkRun.name}" already seen for commit ${checkRun.head_sha.substring(0, 8)} (${action}) - redelivery or re-run`);
     }
     
-    Logger.debug(`Recent events tracked: ${CheckRunHandler.recentEvents.size}`);
-    
-    // Debug: Show all recent events for this commit
-    const eventsForThisCommit = Array.from(CheckRunHandler.recentEvents.entries())
-      .filter(([key, event]) => event.headSha === checkRun.head_sha);
-    
-    Logger.debug('=============== EVENTS FOR THIS COMMIT ===============');
-    Logger.debug(`Commit SHA: ${checkRun.head_sha.substring(0, 8)}`);
-    Logger.debug(`Events for this commit: ${eventsForThisCommit.length}`);
-    eventsForThisCommit.forEach(([key, event], index) => {
-      Logger.debug(`${index + 1}. ${event.checkRunName} (${event.action}) - ${new Date(event.timestamp).toISOString()}`);
-    });
-    Logger.debug('===================================================');
-    
     // Trace: Log the complete check run event payload - RAW FORMAT (TRACE level only)
     Logger.trace('================== RAW CHECK RUN EVENT PAYLOAD ==================');
     if (process.env.LOG_LEVEL?.toLowerCase() === 'trace') {
@@ -170,6 +148,14 @@ export class CheckRunHandler extends BaseHandler {
         return { success: false, reason: 'No associated pull requests' };
       }
 
+      // Output excerpts and annotations of the failed checks, fetched once for all PRs and only
+      // when a notification is actually delivered (enabled, with a channel and recipients)
+      let failures = null;
+      const loadFailures = async () => {
+        failures ||= checkRunSummary.failed > 0 ? this.getFailureDetails(context, allCheckRuns) : Promise.resolve([]);
+        return { failures: await failures };
+      };
+
       // Process notifications for each associated PR
       const results = [];
       for (const pr of pullRequests) {
@@ -199,7 +185,9 @@ export class CheckRunHandler extends BaseHandler {
               status: checkRunSummary.allCompleted 
                 ? (checkRunSummary.failed > 0 ? 'CHECKS FAILED' : 'CHECKS PASSED')
                 : 'CHECKS IN PROGRESS'
-            }
+            },
+            checks: checkRunSummary.checks,
+            loadDetails: loadFailures
           };
 
           // Create a modified context that includes complete PR information
@@ -259,19 +247,96 @@ export class CheckRunHandler extends BaseHandler {
   }
 
   /**
-   * Format check run description for notifications
+   * Collect what the failed check runs reported: an excerpt of their output and their most
+   * severe annotations. Capped at MAX_FAILURE_DETAILS check runs and MAX_ANNOTATIONS each.
+   * @param {Object} context - GitHub webhook context
+   * @param {Object[]} allCheckRuns - Check runs of the commit
+   * @returns {Promise<Object[]>} `{ name, url, conclusion, output, annotations, moreAnnotations }` per failed check run
    */
-  formatCheckRunDescription(checkRun) {
-    const status = checkRun.conclusion || checkRun.status;
-    const emoji = this.getCheckRunEmoji(status);
-    
-    let description = `${emoji} **${checkRun.name}** ${status}`;
-    
-    if (checkRun.output && checkRun.output.summary) {
-      description += `\\n\\n${checkRun.output.summary}`;
+  async getFailureDetails(context, allCheckRuns) {
+    const failed = allCheckRuns
+      .filter(run => run.status === 'completed' && FAILED_CONCLUSIONS.includes(run.conclusion))
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .slice(0, MAX_FAILURE_DETAILS);
+
+    const failures = [];
+    for (const run of failed) {
+      const annotations = run.output?.annotations_count > 0 ? await this.getAnnotations(context, run) : [];
+      failures.push({
+        name: run.name,
+        url: run.html_url || null,
+        conclusion: run.conclusion,
+        output: this.formatOutputExcerpt(run.output),
+        annotations: annotations.slice(0, MAX_ANNOTATIONS).map(annotation => this.formatAnnotation(annotation)),
+        moreAnnotations: Math.max(annotations.length - MAX_ANNOTATIONS, 0)
+      });
     }
-    
-    return description;
+    return failures;
+  }
+
+  /**
+   * Fetch the annotations of a check run, most severe first
+   * @returns {Promise<Object[]>} Annotations (empty when they can't be read)
+   */
+  async getAnnotations(context, checkRun) {
+    try {
+      const annotations = await context.octokit.paginate(context.octokit.checks.listAnnotations, {
+        owner: context.payload.repository.owner.login,
+        repo: context.payload.repository.name,
+        check_run_id: checkRun.id,
+        per_page: 100
+      });
+      const rank = (level) => (ANNOTATION_LEVELS.includes(level) ? ANNOTATION_LEVELS.indexOf(level) : ANNOTATION_LEVELS.length);
+      return annotations.sort((a, b) => rank(a.annotation_level) - rank(b.annotation_level));
+    } catch (error) {
+      Logger.warn(`Failed to fetch annotations for check run "${checkRun.name}" (${checkRun.id}): ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Format an annotation for the notification
+   * @returns {{location: string, url: (string|null), level: string, title: (string|null), message: string}}
+   */
+  formatAnnotation(annotation) {
+    const lines = annotation.start_line && annotation.end_line && annotation.end_line !== annotation.start_line
+      ? `${annotation.start_line}-${annotation.end_line}`
+      : annotation.start_line;
+    return {
+      location: lines ? `${annotation.path}:${lines}` : annotation.path,
+      url: annotation.blob_href ? `${annotation.blob_href}${annotation.start_line ? `#L${annotation.start_line}` : ''}` : null,
+      level: annotation.annotation_level || 'failure',
+      title: annotation.title || null,
+      message: DataFormatter.truncate((annotation.message || '').trim(), ANNOTATION_MESSAGE_LENGTH)
+    };
+  }
+
+  /**
+   * Excerpt of a check run's output summary and text (Markdown), cut at a line boundary
+   * @param {Object|undefined} output - `check_run.output`
+   * @returns {string|null} At most OUTPUT_EXCERPT_LINES lines and OUTPUT_EXCERPT_LENGTH characters
+   */
+  formatOutputExcerpt(output) {
+    const content = [output?.summary, output?.text].filter(part => part && part.trim()).join('\n\n').trim();
+    if (!content) {
+      return null;
+    }
+
+    const lines = [];
+    let length = 0;
+    for (const line of content.split('\n').slice(0, OUTPUT_EXCERPT_LINES)) {
+      if (length + line.length > OUTPUT_EXCERPT_LENGTH) {
+        if (lines.length === 0) {
+          lines.push(DataFormatter.truncate(line, OUTPUT_EXCERPT_LENGTH));
+        }
+        break;
+      }
+      lines.push(line);
+      length += line.length + 1;
+    }
+
+    const excerpt = lines.join('\n');
+    return excerpt.length < content.length ? `${excerpt}\n\n…` : excerpt;
   }
 
   /**
@@ -320,8 +385,8 @@ export class CheckRunHandler extends BaseHandler {
     const inProgress = allCheckRuns.filter(run => run.status !== 'completed');
     
     const passed = completed.filter(run => run.conclusion === 'success');
-    const failed = completed.filter(run => ['failure', 'timed_out', 'action_required'].includes(run.conclusion));
-    const skipped = completed.filter(run => ['skipped', 'neutral', 'cancelled'].includes(run.conclusion));
+    const failed = completed.filter(run => FAILED_CONCLUSIONS.includes(run.conclusion));
+    const skipped = completed.filter(run => SKIPPED_CONCLUSIONS.includes(run.conclusion));
 
     const summary = {
       total: allCheckRuns.length,
@@ -334,13 +399,41 @@ export class CheckRunHandler extends BaseHandler {
       allCompleted: inProgress.length === 0,
       passedChecks: passed.map(run => ({ name: run.name, url: run.html_url })),
       failedChecks: failed.map(run => ({ name: run.name, url: run.html_url, conclusion: run.conclusion })),
-      inProgressChecks: inProgress.map(run => ({ name: run.name, status: run.status }))
+      inProgressChecks: inProgress.map(run => ({ name: run.name, status: run.status })),
+      checks: this.createCheckRows(allCheckRuns)
     };
 
     Logger.debug('Check run summary:', summary);
     return summary;
   }
 
+  /**
+   * Create the rows of the check results table: failed checks first, then running, skipped
+   * and passed checks, each group by name
+   * @param {Object[]} allCheckRuns - Check runs of the commit
+   * @returns {Object[]} `{ name, result, emoji, failed, duration, url }` per check run
+   */
+  createCheckRows(allCheckRuns) {
+    const rank = (run) => {
+      if (run.status !== 'completed') return 1;
+      if (FAILED_CONCLUSIONS.includes(run.conclusion)) return 0;
+      return run.conclusion === 'success' ? 3 : 2;
+    };
+
+    return [...allCheckRuns]
+      .sort((a, b) => rank(a) - rank(b) || a.name.localeCompare(b.name))
+      .map(run => ({
+        name: run.name,
+        result: run.status === 'completed' ? run.conclusion : run.status,
+        emoji: this.getCheckRunEmoji(run.status === 'completed' ? run.conclusion : run.status),
+        failed: rank(run) === 0,
+        duration: run.started_at && run.completed_at
+          ? DataFormatter.formatDuration(new Date(run.completed_at) - new Date(run.started_at))
+          : null,
+        url: run.html_url || null
+      }));
+  }
+
   /**
    * Format subject line for check run summary
    */
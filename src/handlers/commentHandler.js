@@ -0,0 +1,190 @@
+/**
+ * @fileoverview Comment Event Handler
+ * @description Handler for GitHub issue_comment and pull_request_review_comment events.
+ * Notifies the PR author and everyone who has already taken part in the discussion when a
+ * new comment is posted, with an excerpt of the comment and, for review comments, the file
+ * and line it was left on. The commenter is never notified about their own comment.
+ *
+ * @author Jürgen Efeish
+ *
+ * @module CommentHandler
+ * @extends BaseHandler
+ *
+ * @requires BaseHandler - Base event handler class
+ * @requires DataFormatter - String formatting utilities
+ * @requires Logger - Logging utility
+ *
+ * @example
+ * // Register with factory
+ * EventHandlerFactory.register('issue_comment', CommentHandler);
+ * EventHandlerFactory.register('pull_request_review_comment', CommentHandler);
+ */
+
+import { BaseHandler } from './baseHandler.js';
+import { DataFormatter } from '../utils/validators.js';
+import { Logger } from '../utils/logger.js';
+
+const COMMENT_EXCERPT_LENGTH = 500;
+const DIFF_HUNK_LINES = 4;
+
+/**
+ * @class CommentHandler
+ * @extends BaseHandler
+ * @description Handler for PR conversation comments and inline review comments
+ */
+export class CommentHandler extends BaseHandler {
+  /**
+   * Handle comment events
+   * @param {Object} context - GitHub webhook context
+   * @param {string} action - Event action (only 'created' is handled)
+   * @returns {Promise<Object>} Result object with success status
+   */
+  async handle(context, action) {
+    const { comment, repository } = context.payload;
+    const eventType = context.payload.issue ? 'issue_comment' : 'pull_request_review_comment';
+
+    Logger.info(`💬 Processing ${eventType}.${action} for ${repository?.full_name || 'unknown'}`);
+
+    if (action !== 'created') {
+      Logger.debug(`Skipping ${eventType}.${action} - only handling 'created'`);
+      return { success: true, reason: 'Event ignored - not comment created' };
+    }
+
+    if (!comment) {
+      return { success: false, reason: 'No comment data in payload' };
+    }
+
+    if (comment.user?.type === 'Bot') {
+      Logger.debug(`Skipping comment by bot ${comment.user.login}`);
+      return { success: true, reason: 'Bot comment ignored' };
+    }
+
+    try {
+      const pullRequest = await this.resolvePullRequest(context, eventType);
+      if (!pullRequest) {
+        return { success: true, reason: 'Comment is not on a pull request' };
+      }
+
+      return await this.sendCommentNotification(context, eventType, comment, pullRequest);
+    } catch (error) {
+      Logger.error(`Error handling ${eventType}.${action}`, error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Get the pull request a comment belongs to. Review comment payloads carry it; issue comment
+   * payloads only carry the issue, so plain issue comments are skipped and PR comments fetch it.
+   * @param {Object} context - GitHub webhook context
+   * @param {string} eventType - 'issue_comment' or 'pull_request_review_comment'
+   * @returns {Promise<Object|null>} Pull request object, or null when there is none
+   */
+  async resolvePullRequest(context, eventType) {
+    if (eventType === 'pull_request_review_comment') {
+      return context.payload.pull_request || null;
+    }
+
+    const issue = context.payload.issue;
+    if (!issue.pull_request) {
+      Logger.debug(`Skipping comment on issue #${issue.number} - not a pull request`);
+      return null;
+    }
+
+    const result = await this.notificationService.githubService.getPullRequest(context, issue.number);
+    if (!result.success) {
+      throw new Error(`Could not load PR #${issue.number}: ${result.error}`);
+    }
+    return result.pullRequest;
+  }
+
+  /**
+   * Send the comment notification to the PR author and prior participants
+   * @param {Object} context - GitHub context
+   * @param {string} eventType - 'issue_comment' or 'pull_request_review_comment'
+   * @param {Object} comment - Comment object from the payload
+   * @param {Object} pullRequest - Pull request object
+   * @returns {Promise<Object>} Result object
+   */
+  async sendCommentNotification(context, eventType, comment, pullRequest) {
+    const githubService = this.notificationService.githubService;
+    const commenter = comment.user.login;
+    const statusInfo = { status: 'COMMENTED', emoji: '💬', color: '#0366d6' };
+
+    const participants = await githubService.getPRParticipants(context, pullRequest.number, [commenter, pullRequest.user.login]);
+    const participantEmails = participants.usernames.length > 0
+      ? (await githubService.getBulkUserEmails(context, participants.usernames)).emails
+      : [];
+
+    const location = CommentHandler.formatLocation(comment);
+    const data = this.createNotificationData(
+      `💬 ${commenter} commented on PR #${pullRequest.number}: ${pullRequest.title}`,
+      location
+        ? `${commenter} left a review comment on ${location}`
+        : `${commenter} commented on the pull request`,
+      comment.html_url || pullRequest.html_url,
+      statusInfo,
+      this.formatCommentSummary(comment, location),
+      'markdown'
+    );
+    data.excludeUsers = [commenter];
+
+    Logger.info(`Notifying PR #${pullRequest.number} author and ${participants.usernames.length} participant(s) about comment by ${commenter}`);
+
+    return await this.notificationService.sendPRNotification(
+      {
+        ...context,
+        payload: {
+          ...context.payload,
+          pull_request: pullRequest
+        }
+      },
+      eventType,
+      'created',
+      data,
+      participantEmails
+    );
+  }
+
+  /**
+   * Format the comment excerpt, with the commented code for review comments
+   * @param {Object} comment - Comment object from the payload
+   * @param {string|null} location - `path:line` for review comments
+   * @returns {string} Markdown summary (the commented code as a diff block)
+   */
+  formatCommentSummary(comment, location) {
+    const excerpt = DataFormatter.truncate((comment.body || '').trim(), COMMENT_EXCERPT_LENGTH);
+    if (!location) {
+      return excerpt;
+    }
+
+    const hunk = (comment.diff_hunk || '').split('\n').slice(-DIFF_HUNK_LINES).join('\n');
+    return [
+      `File: \`${location}\``,
+      hunk ? `\n\`\`\`diff\n${hunk}\n\`\`\`\n` : null,
+      excerpt
+    ].filter(part => part !== null).join('\n');
+  }
+
+  /**
+   * Get `path:line` for a review comment (line range for multi-line comments)
+   * @param {Object} comment - Comment object from the payload
+   * @returns {string|null} Location, or null for conversation comments
+   */
+  static formatLocation(comment) {
+    if (!comment.path) {
+      return null;
+    }
+
+    const line = comment.line || comment.original_line;
+    const startLine = comment.start_line || comment.original_start_line;
+    if (!line) {
+      return comment.path;
+    }
+    return startLine && startLine !== line
+      ? `${comment.path}:${startLine}-${line}`
+      : `${comment.path}:${line}`;
+  }
+}
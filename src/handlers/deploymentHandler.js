@@ -10,6 +10,7 @@
  * @extends BaseHandler
  * 
  * @requires BaseHandler - Base event handler class
+ * @requires StatusFormatter - Status formatting utilities
  * @requires Logger - Logging utility
  * 
  * @example
@@ -24,8 +25,11 @@
  */
 
 import { BaseHandler } from './baseHandler.js';
+import { StatusFormatter } from '../utils/validators.js';
 import { Logger } from '../utils/logger.js';
 
+const DEPLOYMENT_DEDUP_TTL = 5 * 60 * 1000; // 5 minutes
+
 /**
  * @class DeploymentHandler
  * @extends BaseHandler
@@ -33,14 +37,6 @@ import { Logger } from '../utils/logger.js';
  * Processes deployment and deployment_status events and sends notifications.
  */
 export class DeploymentHandler extends BaseHandler {
-  constructor(notificationService) {
-    super(notificationService);
-    // Static tracking for event deduplication
-    if (!DeploymentHandler.recentEvents) {
-      DeploymentHandler.recentEvents = new Map();
-    }
-  }
-
   /**
    * Handle deployment events
    * @param {Object} context - GitHub webhook context
@@ -167,8 +163,8 @@ export class DeploymentHandler extends BaseHandler {
     Logger.info(`🎯 Deployment ${status}: ${deploymentInfo.environment} (${deploymentInfo.sha?.substring(0, 7)})`);
 
     // Check for duplicate events
-    const eventKey = `${deployment.id}-${status}`;
-    if (this.isDuplicateEvent(eventKey)) {
+    const eventKey = `deployment_status:${context.payload.repository?.full_name}:${deployment.id}:${status}`;
+    if (!(await this.claimEvent(eventKey, DEPLOYMENT_DEDUP_TTL))) {
       Logger.debug(`Duplicate deployment status event detected: ${eventKey}`);
       return { success: true, reason: 'Duplicate event ignored' };
     }
@@ -205,25 +201,21 @@ export class DeploymentHandler extends BaseHandler {
    * @returns {Promise<Object>} Result object
    */
   async sendDeploymentNotification(context, deploymentInfo, pullRequest) {
-    const eventData = {
-      deployment: deploymentInfo,
-      pullRequest: {
-        number: pullRequest.number,
-        title: pullRequest.title,
-        url: pullRequest.html_url,
-        creator: pullRequest.user.login
-      },
-      repository: {
-        name: context.payload.repository.full_name,
-        url: context.payload.repository.html_url
-      }
-    };
+    const statusInfo = { status: 'DEPLOYMENT CREATED', emoji: '🚀', color: '#007bff' };
+
+    const data = this.createNotificationData(
+      `🚀 Deployment to ${deploymentInfo.environment} started for PR #${pullRequest.number}: ${pullRequest.title}`,
+      `${deploymentInfo.creator} started a deployment of ${deploymentInfo.ref} to ${deploymentInfo.environment}`,
+      pullRequest.html_url,
+      statusInfo,
+      this.formatDeploymentSummary(deploymentInfo)
+    );
 
-    return await this.notificationService.sendNotification(
-      context,
+    return await this.notificationService.sendPRNotification(
+      this.createPRContext(context, pullRequest),
       'deployment', 
       'created',
-      eventData
+      data
     );
   }
 
@@ -235,28 +227,54 @@ export class DeploymentHandler extends BaseHandler {
    * @returns {Promise<Object>} Result object
    */
   async sendDeploymentStatusNotification(context, deploymentInfo, pullRequest) {
-    const eventData = {
-      deployment: deploymentInfo,
-      pullRequest: {
-        number: pullRequest.number,
-        title: pullRequest.title,
-        url: pullRequest.html_url,
-        creator: pullRequest.user.login
-      },
-      repository: {
-        name: context.payload.repository.full_name,
-        url: context.payload.repository.html_url
-      }
-    };
+    const statusInfo = StatusFormatter.formatStatus(deploymentInfo.status);
+
+    const data = this.createNotificationData(
+      `${statusInfo.emoji} Deployment to ${deploymentInfo.environment} ${statusInfo.status} for PR #${pullRequest.number}: ${pullRequest.title}`,
+      deploymentInfo.description || `Deployment of ${deploymentInfo.ref} to ${deploymentInfo.environment} finished with status ${deploymentInfo.status}`,
+      deploymentInfo.targetUrl || deploymentInfo.logUrl || pullRequest.html_url,
+      statusInfo,
+      this.formatDeploymentSummary(deploymentInfo)
+    );
 
-    return await this.notificationService.sendNotification(
-      context,
+    return await this.notificationService.sendPRNotification(
+      this.createPRContext(context, pullRequest),
       'deployment_status', 
       deploymentInfo.status,
-      eventData
+      data
     );
   }
 
+  /**
+   * Create a context whose payload carries the pull request, like the check run handler does
+   * @param {Object} context - GitHub context
+   * @param {Object} pullRequest - Pull request object
+   * @returns {Object} Context with `payload.pull_request` set
+   */
+  createPRContext(context, pullRequest) {
+    return {
+      ...context,
+      payload: {
+        ...context.payload,
+        pull_request: pullRequest
+      }
+    };
+  }
+
+  /**
+   * Format deployment details for the notification summary
+   * @param {Object} deploymentInfo - Deployment information
+   * @returns {string} Multi-line summary
+   */
+  formatDeploymentSummary(deploymentInfo) {
+    return [
+      `Environment: ${deploymentInfo.environment}`,
+      `Ref: ${deploymentInfo.ref} (${deploymentInfo.sha?.substring(0, 7)})`,
+      deploymentInfo.targetUrl ? `Environment URL: ${deploymentInfo.targetUrl}` : null,
+      deploymentInfo.logUrl ? `Logs: ${deploymentInfo.logUrl}` : null
+    ].filter(Boolean).join('\n');
+  }
+
   /**
    * Find pull requests associated with a commit
    * @param {Object} context - GitHub context
@@ -279,30 +297,4 @@ export class DeploymentHandler extends BaseHandler {
       return [];
     }
   }
-
-  /**
-   * Check if this is a duplicate event
-   * @param {string} eventKey - Unique event identifier
-   * @returns {boolean} True if duplicate
-   */
-  isDuplicateEvent(eventKey) {
-    const now = Date.now();
-    const recentTime = 5 * 60 * 1000; // 5 minutes
-    
-    // Clean old events
-    for (const [key, timestamp] of DeploymentHandler.recentEvents.entries()) {
-      if (now - timestamp > recentTime) {
-        DeploymentHandler.recentEvents.delete(key);
-      }
-    }
-    
-    // Check if event is recent
-    if (DeploymentHandler.recentEvents.has(eventKey)) {
-      return true;
-    }
-    
-    // Track this event
-    DeploymentHandler.recentEvents.set(eventKey, now);
-    return false;
-  }
 }
\ No newline at end of file
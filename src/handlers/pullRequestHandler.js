@@ -25,12 +25,16 @@
  * - pull_request.synchronize
  * - pull_request.ready_for_review
  * - pull_request.review_requested
+ * - pull_request_review.submitted
+ * - pull_request_review.dismissed
  */
 
 import { BaseHandler } from './baseHandler.js';
 import { StatusFormatter } from '../utils/validators.js';
 import { Logger } from '../utils/logger.js';
 
+const READY_TO_MERGE_DEDUP_TTL = 30 * 60 * 1000; // 30 minutes
+
 /**
  * @class PullRequestHandler
  * @extends BaseHandler
@@ -72,6 +76,9 @@ export class PullRequestHandler extends BaseHandler {
       case 'submitted':
         result = await this.handleReviewSubmitted(context, pr);
         break;
+      case 'dismissed':
+        result = await this.handleReviewDismissed(context, pr);
+        break;
       default:
         Logger.warn(`Unknown pull request action: ${action}`);
         result = { success: false, reason: `Unknown action: ${action}` };
@@ -92,7 +99,8 @@ export class PullRequestHandler extends BaseHandler {
       `PR owner ${pr.user.login} opened a new pull request`,
       pr.html_url,
       statusInfo,
-      pr.body || 'No description provided'
+      pr.body || 'No description provided',
+      'markdown'
     );
     
     return await this.notificationService.sendPRNotification(context, 'pull_request', 'opened', data);
@@ -201,8 +209,12 @@ export class PullRequestHandler extends BaseHandler {
   }
 
   async handleReviewRequested(context, pr) {
-    const { requested_reviewer } = context.payload;
+    const { requested_reviewer, requested_team } = context.payload;
     
+    if (!requested_reviewer && requested_team) {
+      return await this.handleTeamReviewRequested(context, pr, requested_team);
+    }
+
     if (!requested_reviewer) {
       Logger.warn('Review requested event without requested_reviewer');
       return { success: false, reason: 'No requested reviewer found' };
@@ -215,7 +227,7 @@ export class PullRequestHandler extends BaseHandler {
     // Get reviewer email for targeted notification
     const githubService = this.notificationService.githubService;
     const reviewerResult = await githubService.getUserEmail(context, requested_reviewer.login);
-    const recipients = reviewerResult.success ? [reviewerResult.email] : [];
+    const recipients = reviewerResult.success ? reviewerResult.emails : [];
     
     const data = this.createNotificationData(
       `👥 Review Requested for PR #${pr.number}: ${pr.title}`,
@@ -227,6 +239,34 @@ export class PullRequestHandler extends BaseHandler {
     return await this.notificationService.sendPRNotification(context, 'pull_request', 'review_requested', data, recipients);
   }
 
+  async handleTeamReviewRequested(context, pr, team) {
+    const org = context.payload.repository.owner.login;
+    Logger.info(`Review requested from team @${org}/${team.slug} for PR #${pr.number}`);
+
+    const statusInfo = StatusFormatter.formatPRStatus('review_requested');
+
+    // Every team member except the PR author is asked for a review
+    const githubService = this.notificationService.githubService;
+    const members = await githubService.getTeamMembers(context, org, team.slug);
+    const usernames = members.usernames.filter(login => login !== pr.user.login);
+    const recipients = usernames.length > 0
+      ? (await githubService.getBulkUserEmails(context, usernames)).emails
+      : [];
+
+    if (!members.success) {
+      Logger.warn(`Could not resolve members of team @${org}/${team.slug} - only notifying PR owner`);
+    }
+
+    const data = this.createNotificationData(
+      `👥 Review Requested for PR #${pr.number}: ${pr.title}`,
+      `Review requested from team ${team.name || team.slug}`,
+      pr.html_url,
+      statusInfo
+    );
+
+    return await this.notificationService.sendPRNotification(context, 'pull_request', 'review_requested', data, recipients);
+  }
+
   async handleReviewSubmitted(context, pr) {
     const { review } = context.payload;
     const statusInfo = StatusFormatter.formatStatus('submitted', review.state, '📝');
@@ -236,7 +276,8 @@ export class PullRequestHandler extends BaseHandler {
       `${review.user.login} submitted a ${review.state} review`,
       review.html_url,
       statusInfo,
-      review.body || 'No review comments'
+      review.body || 'No review comments',
+      'markdown'
     );
     
     const result = await this.notificationService.sendPRNotification(context, 'pull_request_review', 'submitted', data);
@@ -254,6 +295,57 @@ export class PullRequestHandler extends BaseHandler {
     return result;
   }
 
+  async handleReviewDismissed(context, pr) {
+    const { review, sender } = context.payload;
+    const reviewer = review.user?.login || 'unknown';
+    const githubService = this.notificationService.githubService;
+
+    const dismissal = await githubService.getReviewDismissal(context, pr.number, review.id);
+    const dismissedBy = (dismissal.success && dismissal.dismissedBy) || sender?.login || 'unknown';
+    const message = dismissal.success ? dismissal.message : null;
+
+    Logger.info(`Review by ${reviewer} on PR #${pr.number} dismissed by ${dismissedBy}`);
+
+    const statusInfo = StatusFormatter.formatStatus('dismissed');
+
+    // The original reviewer is notified alongside the PR owner
+    const reviewerResult = review.user
+      ? await githubService.getUserEmail(context, reviewer)
+      : { success: false };
+    const recipients = reviewerResult.success ? reviewerResult.emails : [];
+
+    const data = this.createNotificationData(
+      `🚫 Review by ${reviewer} dismissed for PR #${pr.number}: ${pr.title}`,
+      `${dismissedBy} dismissed the review by ${reviewer}`,
+      review.html_url || pr.html_url,
+      statusInfo,
+      message ? `Dismissal message: ${message}` : 'No dismissal message provided'
+    );
+
+    const result = await this.notificationService.sendPRNotification(context, 'pull_request_review', 'dismissed', data, recipients);
+
+    // A dismissal can unblock merging (dismissed "changes requested") or block it (dismissed approval)
+    try {
+      Logger.info(`🚫 Review dismissed for PR #${pr.number} - checking mergeable state`);
+      const mergeResult = await this.checkAndNotifyReadyToMerge(context, pr, 'review_dismissed');
+      if (mergeResult.reason === 'not_notification_worthy') {
+        // No longer ready - let the next time it becomes ready be notified again
+        await this.releaseEvent(this.getReadyToMergeKey(context, pr));
+      }
+    } catch (error) {
+      Logger.warn(`Failed to check ready-to-merge status after review dismissal: ${error.message}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Dedup key for ready-to-merge notifications of a PR
+   */
+  getReadyToMergeKey(context, pr) {
+    return `ready_to_merge:${context.payload.repository?.full_name}#${pr.number}`;
+  }
+
   /**
    * Check if PR became ready to merge after a review or check completion
    * Uses the straightforward mergeable_state from GitHub API
@@ -310,8 +402,8 @@ export class PullRequestHandler extends BaseHandler {
       // At this point, we have a notification-worthy state
 
       // Check if we already notified about readiness recently (avoid spam)
-      const eventKey = `ready_to_merge_${pr.number}`;
-      if (this.isRecentEvent(eventKey)) {
+      const eventKey = this.getReadyToMergeKey(context, pr);
+      if (!(await this.claimEvent(eventKey, READY_TO_MERGE_DEDUP_TTL))) {
         Logger.info(`🔄 PR #${pr.number} ready-to-merge notification skipped - already notified recently (deduplication)`);
         return { success: true, reason: 'already_notified_recently' };
       }
@@ -333,9 +425,6 @@ export class PullRequestHandler extends BaseHandler {
         `🎯 Mergeable State: ${mergeableState}\n📝 ${statusDescription}\n🔗 Ready to merge and deploy!`
       );
 
-      // Track this notification to avoid duplicates
-      this.trackRecentEvent(eventKey);
-
       const result = await this.notificationService.sendReadyToMergeNotification(context, data);
       
       Logger.info(`📧 Ready-to-merge notification result for PR #${pr.number}: ${result.success ? 'SUCCESS' : 'FAILED'}`);
@@ -346,38 +435,4 @@ export class PullRequestHandler extends BaseHandler {
       return { success: false, error: error.message };
     }
   }
-
-  /**
-   * Check if we've recently sent a notification for this event
-   * @param {string} eventKey - Unique event identifier
-   * @returns {boolean} True if recent
-   */
-  isRecentEvent(eventKey) {
-    if (!this.constructor.recentReadyToMergeEvents) {
-      this.constructor.recentReadyToMergeEvents = new Map();
-    }
-
-    const now = Date.now();
-    const recentTime = 30 * 60 * 1000; // 30 minutes
-
-    // Clean old events
-    for (const [key, timestamp] of this.constructor.recentReadyToMergeEvents.entries()) {
-      if (now - timestamp > recentTime) {
-        this.constructor.recentReadyToMergeEvents.delete(key);
-      }
-    }
-
-    return this.constructor.recentReadyToMergeEvents.has(eventKey);
-  }
-
-  /**
-   * Track that we sent a ready-to-merge notification
-   * @param {string} eventKey - Unique event identifier
-   */
-  trackRecentEvent(eventKey) {
-    if (!this.constructor.recentReadyToMergeEvents) {
-      this.constructor.recentReadyToMergeEvents = new Map();
-    }
-    this.constructor.recentReadyToMergeEvents.set(eventKey, Date.now());
-  }
 }
\ No newline at end of file
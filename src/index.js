@@ -7,12 +7,25 @@
  * @author Jürgen Efeish
  * 
  * @requires EmailService - Service for handling email notifications
+ * @requires SlackService - Service for Slack incoming-webhook notifications
+ * @requires WebhookService - Service for signed outbound webhook deliveries
  * @requires GitHubService - Service for GitHub API interactions
+ * @requires DirectoryService - Login-to-email directory file (EMAIL_DIRECTORY_*)
+ * @requires DigestService - Scheduled per-recipient digest emails
+ * @requires ReminderService - Scheduled reminders for stale pull requests
+ * @requires UnsubscribeService - Signed unsubscribe links and the opt-out route
+ * @requires TemplateService - HTML email template overrides (EMAIL_TEMPLATES_DIR, templates.path)
+ * @requires EmailThreadService - One email conversation per pull request (EMAIL_THREADING)
+ * @requires StoreFactory - Persistent dedup and notification log store (STORAGE_BACKEND)
+ * @requires Scheduler - Recurring maintenance tasks
  * @requires NotificationService - Core notification orchestration service
  * @requires EventHandlerFactory - Factory for creating event-specific handlers
+ * @requires NotificationChannelFactory - Factory for creating notification channels
  * @requires PullRequestHandler - Handler for pull request events
+ * @requires CommentHandler - Handler for PR conversation and review comments
  * @requires Logger - Centralized logging utility
  * @requires AppConfig - Application configuration management
+ * @requires RepositoryConfig - Per-repository configuration (.github/pr-notifications.yml)
  * 
  * @example
  * // Usage with Probot
@@ -23,14 +36,31 @@
  */
 
 import { EmailService } from './services/emailService.js';
+import { SlackService } from './services/slackService.js';
+import { WebhookService } from './services/webhookService.js';
 import { GitHubService } from './services/githubService.js';
+import { DirectoryService } from './services/directoryService.js';
+import { DigestService } from './services/digestService.js';
+import { ReminderService } from './services/reminderService.js';
+import { UnsubscribeService, UNSUBSCRIBE_ROUTER_PATH } from './services/unsubscribeService.js';
+import { TemplateService } from './services/templateService.js';
+import { EmailThreadService } from './services/emailThreadService.js';
 import { NotificationService } from './services/notificationService.js';
 import { EventHandlerFactory, BaseHandler } from './handlers/baseHandler.js';
+import { NotificationChannelFactory } from './channels/baseChannel.js';
+import { EmailChannel } from './channels/emailChannel.js';
+import { SlackChannel } from './channels/slackChannel.js';
+import { WebhookChannel } from './channels/webhookChannel.js';
+import { PrCommentChannel } from './channels/prCommentChannel.js';
 import { PullRequestHandler } from './handlers/pullRequestHandler.js';
 import { CheckRunHandler } from './handlers/checkRunHandler.js';
 import { DeploymentHandler } from './handlers/deploymentHandler.js';
+import { CommentHandler } from './handlers/commentHandler.js';
+import { StoreFactory } from './storage/storeFactory.js';
 import { Logger } from './utils/logger.js';
+import { Scheduler } from './utils/scheduler.js';
 import { AppConfig } from './config/appConfig.js';
+import { RepositoryConfig } from './config/repositoryConfig.js';
 
 /**
  * Application container for dependency injection and service management
@@ -45,17 +75,47 @@ class AppContainer {
   /**
    * Initialize all services
    */
-  initialize() {
+  async initialize() {
     if (this.initialized) return;
 
+    // Initialize storage first - handlers and the notification service depend on it
+    const storageConfig = AppConfig.storage;
+    this.services.set('store', await StoreFactory.create(storageConfig));
+    Scheduler.schedule('store-cleanup', 'hourly', async () => {
+      const purged = await this.get('store').purgeExpired(storageConfig.retentionDays * 24 * 60 * 60 * 1000);
+      Logger.debug(`Store cleanup: ${purged.dedupKeys} dedup key(s), ${purged.notifications} notification record(s) removed`);
+    });
+    Scheduler.schedule('user-email-cache-stats', 'hourly', () => {
+      const stats = this.get('githubService').getCacheStats();
+      Logger.info(`User email cache: ${stats.hits} hit(s), ${stats.misses} miss(es), ${Math.round(stats.hitRate * 100)}% of profile lookups saved, ${stats.size} cached`);
+    });
+
     // Initialize services
-    this.services.set('emailService', new EmailService());
-    this.services.set('githubService', new GitHubService(this.app));
+    this.services.set('emailService', new EmailService(this.get('store')));
+    this.services.set('slackService', new SlackService());
+    this.services.set('webhookService', new WebhookService());
+    this.services.set('directoryService', new DirectoryService());
+    this.services.set('githubService', new GitHubService(this.app, this.get('directoryService'), this.get('store')));
+    this.services.set('templateService', new TemplateService());
+    this.services.set('unsubscribeService', new UnsubscribeService(this.get('store')));
+    this.services.set('digestService', new DigestService(this.get('emailService'), this.get('store'), this.get('templateService'), this.get('unsubscribeService')));
+    this.services.set('emailThreadService', new EmailThreadService(this.get('store')));
+
+    // Register notification channels
+    NotificationChannelFactory.register('email', EmailChannel);
+    NotificationChannelFactory.register('slack', SlackChannel);
+    NotificationChannelFactory.register('webhook', WebhookChannel);
+    NotificationChannelFactory.register('pr_comment', PrCommentChannel);
+    // Additional channels will be registered here as they're created
+
     this.services.set('notificationService', new NotificationService(
       this.get('emailService'),
       this.get('githubService'),
-      this.app
+      this.app,
+      NotificationChannelFactory.createChannels(Object.fromEntries(this.services)),
+      this.get('store')
     ));
+    this.services.set('reminderService', new ReminderService(this.get('githubService'), this.get('notificationService')));
 
     // Register event handlers
     EventHandlerFactory.register('pull_request', PullRequestHandler);
@@ -64,6 +124,8 @@ class AppContainer {
     EventHandlerFactory.register('check_suite', CheckRunHandler);
     EventHandlerFactory.register('deployment', DeploymentHandler);
     EventHandlerFactory.register('deployment_status', DeploymentHandler);
+    EventHandlerFactory.register('issue_comment', CommentHandler);
+    EventHandlerFactory.register('pull_request_review_comment', CommentHandler);
     // Additional handlers will be registered here as they're created
 
     this.initialized = true;
@@ -93,8 +155,13 @@ class AppContainer {
  * Main application class
  */
 class NotificationApp {
-  constructor(app) {
+  /**
+   * @param {Object} app - Probot app
+   * @param {Function|null} [getRouter=null] - Probot's getRouter, used to mount the unsubscribe route
+   */
+  constructor(app, getRouter = null) {
     this.app = app;
+    this.getRouter = getRouter;
     this.container = new AppContainer(app);
   }
 
@@ -105,9 +172,14 @@ class NotificationApp {
     // Initialize logger with Probot app instance first
     await Logger.init(this.app);
     
-    this.container.initialize();
+    await this.container.initialize();
     this.validateConfiguration();
     this.registerEventHandlers();
+    this.registerRoutes();
+    this.container.get('directoryService').start();
+    this.container.get('emailService').startOutbox();
+    this.container.get('digestService').start();
+    this.container.get('reminderService').start();
     this.logStartupInfo();
   }
 
@@ -163,11 +235,28 @@ class NotificationApp {
     
     // Pull Request Review Events
     this.app.on("pull_request_review.submitted", (context) => this.handleEvent(context, 'pull_request_review', 'submitted'));
+    this.app.on("pull_request_review.dismissed", (context) => this.handleEvent(context, 'pull_request_review', 'dismissed'));
+    
+    // Comment Events (PR conversation and inline review comments)
+    this.app.on("issue_comment.created", (context) => this.handleEvent(context, 'issue_comment', 'created'));
+    this.app.on("pull_request_review_comment.created", (context) => this.handleEvent(context, 'pull_request_review_comment', 'created'));
     
     // Deployment Events
     this.app.on("deployment", (context) => this.handleEvent(context, 'deployment', context.payload.action || 'created'));
     this.app.on("deployment_status", (context) => this.handleEvent(context, 'deployment_status', context.payload.deployment_status?.state || 'unknown'));
 
+    // Reload .github/pr-notifications.yml, a repository-hosted email directory and email templates when they change on the default branch
+    this.app.on("push", (context) => {
+      RepositoryConfig.handlePush(context);
+      this.container.get('directoryService').handlePush(context);
+      this.container.get('templateService').handlePush(context);
+    });
+
+    // Drop cached emails and team members when collaborators or team memberships change
+    this.app.on(["member", "membership"], (context) => {
+      this.container.get('githubService').handleMembershipEvent(context);
+    });
+
     // Keep original issues handler for backward compatibility
     this.app.on("issues.opened", async (context) => {
       const issueComment = context.issue({
@@ -190,6 +279,21 @@ class NotificationApp {
     Logger.info('Event handlers registered');
   }
 
+  /**
+   * Register HTTP routes on the Probot server
+   */
+  registerRoutes() {
+    const unsubscribeService = this.container.get('unsubscribeService');
+    if (!unsubscribeService.isEnabled()) {
+      return;
+    }
+    if (!this.getRouter) {
+      Logger.warn('Unsubscribe links are configured but the server does not expose getRouter - links will not work');
+      return;
+    }
+    unsubscribeService.registerRoutes(this.getRouter(UNSUBSCRIBE_ROUTER_PATH));
+  }
+
   /**
    * Handle incoming events
    */
@@ -257,6 +361,40 @@ class NotificationApp {
       Logger.debug(`SMTP Auth User: ${healthStatus.email.hasCredentials ? 'configured' : 'not configured'}`);
     }
     
+    // Log notification channels
+    healthStatus.channels.forEach(channel => {
+      Logger.info(`Notification channel ${channel.name}: ${channel.configured ? 'configured' : 'not configured'}`);
+    });
+
+    Logger.info(`Notification store: ${healthStatus.storage.backend}${healthStatus.storage.path ? ` (${healthStatus.storage.path})` : ''}`);
+
+    const userEmailCache = AppConfig.userEmailCache;
+    Logger.info(`User email cache: ${userEmailCache.ttlMs / 60000} min, no public email ${userEmailCache.negativeTtlMs / 60000} min`);
+
+    const directory = this.container.get('directoryService').getConfigurationSummary();
+    if (directory.configured) {
+      Logger.info(`Email directory: ${[directory.file, directory.repository].filter(Boolean).join(', ')} (${directory.entries} entries loaded)`);
+    }
+
+    const templates = this.container.get('templateService').getConfigurationSummary();
+    if (templates.directory) {
+      Logger.info(`Email templates: ${templates.directory} (${templates.overrides.join(', ') || 'no overrides'})`);
+    }
+
+    const threading = this.container.get('emailThreadService').getConfigurationSummary();
+    Logger.info(threading.enabled ? `Email threading: enabled (Message-ID domain ${threading.domain})` : 'Email threading: disabled');
+
+    const unsubscribe = this.container.get('unsubscribeService').getConfigurationSummary();
+    Logger.info(unsubscribe.enabled ? `Unsubscribe links: ${unsubscribe.url}` : 'Unsubscribe links: disabled (set UNSUBSCRIBE_SECRET and UNSUBSCRIBE_BASE_URL)');
+
+    const digest = this.container.get('digestService').getConfigurationSummary();
+    Logger.info(`Digest schedule: ${digest.schedule}, default categories: ${digest.categories.join(', ') || 'none'}`);
+
+    const reminders = this.container.get('reminderService').getConfigurationSummary();
+    Logger.info(reminders.enabled
+      ? `Reminders: ${reminders.schedule} scan (review pending ${reminders.reviewPendingHours}h, approved unmerged ${reminders.approvedUnmergedHours}h, stale drafts ${reminders.staleDraftDays}d)`
+      : 'Reminders: disabled');
+    
     // Log enabled events
     if (healthStatus.enabledEvents.length > 0) {
       Logger.info(`Enabled events (${healthStatus.enabledEvents.length}): ${healthStatus.enabledEvents.join(', ')}`);
@@ -267,6 +405,7 @@ class NotificationApp {
     // Log registered handlers
     const registeredEvents = EventHandlerFactory.getRegisteredEvents();
     Logger.info(`Registered handlers: ${registeredEvents.join(', ')}`);
+    Logger.info(`Registered channels: ${NotificationChannelFactory.getRegisteredChannels().join(', ')}`);
     
     Logger.info(" APP INITIALIZATION COMPLETE  ");
   }
@@ -282,10 +421,10 @@ class NotificationApp {
 /**
  * Main entry point - Probot app function
  */
-export default async (app) => {
+export default async (app, { getRouter } = {}) => {
   app.log.info("PR notification app loaded!");
   app.log.debug('Application starting with debug logging enabled');
-  const notificationApp = new NotificationApp(app);
+  const notificationApp = new NotificationApp(app, getRouter);
   await notificationApp.initialize();
   
   // Make container available for testing/debugging
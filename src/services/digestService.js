@@ -0,0 +1,240 @@
+/**
+ * @fileoverview Digest Service
+ * @description Queues notifications per recipient instead of emailing them immediately and
+ * flushes each queue as a single email on a schedule (hourly or daily). Recipients choose
+ * per event category whether they want a category immediately or in the digest, via
+ * DIGEST_CATEGORIES or the `digest` section of the repository config. Queued notifications are
+ * kept in the notification store, so they survive restarts and deploys until the next flush.
+ * A digest that fails is queued again for the next flush, up to MAX_DIGEST_ATTEMPTS times.
+ *
+ * @author Jürgen Efeish
+ *
+ * @module DigestService
+ *
+ * @requires Logger - Logging utility
+ * @requires AppConfig - Application configuration
+ * @requires EmailTemplate - Digest email rendering
+ * @requires TemplateService - Optional; EMAIL_TEMPLATES_DIR overrides of the digest template
+ * @requires UnsubscribeService - Optional; per-recipient link and headers to stop digest emails
+ * @requires Scheduler - Recurring flush
+ * @requires MemoryStore - Fallback store when none is passed
+ *
+ * @example
+ * // Split recipients and queue the digested ones
+ * const { immediate, digest } = digestService.partition(recipients.emails, notification);
+ * await Promise.all(digest.map(email => digestService.enqueue(email, notification)));
+ *
+ * @example
+ * // Start the scheduled flush (DIGEST_SCHEDULE)
+ * digestService.start();
+ */
+
+import { Logger } from '../utils/logger.js';
+import { AppConfig } from '../config/appConfig.js';
+import { EmailTemplate } from '../templates/emailTemplate.js';
+import { Scheduler } from '../utils/scheduler.js';
+import { MemoryStore } from '../storage/memoryStore.js';
+import { UnsubscribeService, DIGEST_OPT_OUT_CATEGORY } from './unsubscribeService.js';
+
+const MAX_DIGEST_ATTEMPTS = 3; // flushes a digest is tried in before its notifications are dropped
+
+/**
+ * @class DigestService
+ * @description Per-recipient notification queue with scheduled digest delivery.
+ */
+export class DigestService {
+  /**
+   * @param {EmailService} emailService - Email delivery
+   * @param {BaseStore} [store=new MemoryStore()] - Store the queued notifications are kept in
+   * @param {TemplateService|null} [templateService=null] - HTML template overrides
+   * @param {UnsubscribeService|null} [unsubscribeService=null] - Unsubscribe links
+   */
+  constructor(emailService, store = null, templateService = null, unsubscribeService = null) {
+    this.emailService = emailService;
+    this.store = store || new MemoryStore();
+    this.templateService = templateService;
+    this.unsubscribeService = unsubscribeService;
+  }
+
+  /**
+   * Check if a recipient wants this notification's category as a digest
+   * @param {string} recipient - Email address
+   * @param {Object} notification - Normalized notification
+   * @param {Object<string, string>} [delivery={}] - Per-address 'immediate'/'digest' choice from user preferences
+   * @returns {boolean} True if the notification should be queued
+   */
+  shouldDigest(recipient, notification, delivery = {}) {
+    const category = AppConfig.getNotificationCategory(notification.eventType, notification.action);
+    if (!category) {
+      return false;
+    }
+
+    const choice = delivery[recipient.toLowerCase()];
+    if (choice) {
+      return choice === 'digest';
+    }
+
+    const preferences = notification.repoConfig
+      ? notification.repoConfig.getDigestPreferences()
+      : { categories: AppConfig.digest.categories, recipients: {} };
+    const categories = preferences.recipients[recipient.toLowerCase()] || preferences.categories;
+
+    return categories.includes(category);
+  }
+
+  /**
+   * Split recipients into immediate and digest delivery
+   * @param {string[]} recipients - Email addresses
+   * @param {Object} notification - Normalized notification
+   * @param {Object<string, string>} [delivery={}] - Per-address delivery choice from user preferences
+   * @returns {{immediate: string[], digest: string[]}} Recipients by delivery mode
+   */
+  partition(recipients, notification, delivery = {}) {
+    const result = { immediate: [], digest: [] };
+    recipients.forEach(recipient => {
+      result[this.shouldDigest(recipient, notification, delivery) ? 'digest' : 'immediate'].push(recipient);
+    });
+    return result;
+  }
+
+  /**
+   * Queue a notification for a recipient's next digest
+   * @param {string} recipient - Email address
+   * @param {Object} notification - Normalized notification
+   */
+  async enqueue(recipient, notification) {
+    const { pullRequest: pr, statusInfo } = notification;
+    const entry = {
+      event: `${notification.eventType}.${notification.action}`,
+      subject: notification.subject,
+      description: notification.description,
+      detailsUrl: notification.detailsUrl,
+      statusInfo: statusInfo ? { status: statusInfo.status, emoji: statusInfo.emoji } : null,
+      repository: notification.repository?.fullName || 'unknown',
+      pullRequest: pr ? { number: pr.number, title: pr.title, url: pr.html_url } : null,
+      queuedAt: new Date().toISOString()
+    };
+
+    await this.store.enqueueDigest(recipient, entry);
+    Logger.debug(`Queued ${entry.event} for ${recipient}'s digest`);
+  }
+
+  /**
+   * Number of queued notifications across all recipients
+   */
+  async getQueuedCount() {
+    const recipients = await this.store.listDigests();
+    return recipients.reduce((count, recipient) => count + recipient.count, 0);
+  }
+
+  /**
+   * @async
+   * @memberof DigestService
+   * @description Send one digest email per recipient with everything queued since the last flush.
+   * Each recipient's entries are taken out of the store before the email is sent; recipients who
+   * unsubscribed from digests get no email and their entries are dropped. Entries whose
+   * email fails are queued again for the next flush, until they were part of MAX_DIGEST_ATTEMPTS
+   * failed digests (emails queued for retry in the email outbox are not, as the outbox will
+   * deliver them).
+   *
+   * @returns {Promise<Object>} Result with per-recipient send results
+   */
+  async flush() {
+    const pending = await this.store.listDigests();
+
+    if (pending.length === 0) {
+      Logger.debug('Digest flush: nothing queued');
+      return { success: true, sent: 0, results: [] };
+    }
+
+    Logger.info(`Flushing digests for ${pending.length} recipient(s)`);
+    const results = [];
+    const templates = this.templateService ? await this.templateService.getTemplates(null, null) : new Map();
+
+    for (const { recipient } of pending) {
+      const queued = await this.store.clearDigest(recipient);
+      if (queued.length === 0) {
+        continue; // flushed by another replica
+      }
+
+      if (await this.store.isOptedOut(recipient, { category: DIGEST_OPT_OUT_CATEGORY })) {
+        Logger.info(`${recipient} unsubscribed from digests - dropping ${queued.length} notification(s)`);
+        continue;
+      }
+
+      const entries = queued.map(digestEntry => digestEntry.entry);
+      const unsubscribe = this.unsubscribeService?.createDigestLinks(recipient) || null;
+      const content = EmailTemplate.createDigestContent(entries, templates, unsubscribe);
+      const result = await this.emailService.sendNotification(
+        recipient,
+        content.subject,
+        content.htmlContent,
+        content.textContent,
+        'digest',
+        AppConfig.digest.schedule,
+        UnsubscribeService.getHeaders(unsubscribe)
+      );
+
+      if (!result.success && !result.queued) {
+        await this.requeue(recipient, queued, result.reason);
+      }
+      results.push({ recipient, entries: entries.length, ...result });
+    }
+
+    const sent = results.filter(result => result.success).length;
+    Logger.info(`Digest flush complete: ${sent}/${results.length} sent`);
+    return { success: sent === results.length, sent, results };
+  }
+
+  /**
+   * Queue the entries of a failed digest for the next flush, dropping those that have been in
+   * MAX_DIGEST_ATTEMPTS failed digests
+   * @param {string} recipient - Email address
+   * @param {DigestEntry[]} queued - Entries of the failed digest
+   * @param {string} reason - Failure reason
+   */
+  async requeue(recipient, queued, reason) {
+    const retry = queued.filter(digestEntry => digestEntry.attempts + 1 < MAX_DIGEST_ATTEMPTS);
+    const dropped = queued.length - retry.length;
+
+    if (dropped > 0) {
+      Logger.error(`Digest for ${recipient} failed ${MAX_DIGEST_ATTEMPTS} times (${reason}) - dropping ${dropped} notification(s)`);
+    }
+    if (retry.length > 0) {
+      Logger.warn(`Digest for ${recipient} failed (${reason}) - re-queueing ${retry.length} notification(s)`);
+    }
+
+    for (const digestEntry of retry) {
+      await this.store.enqueueDigest(recipient, digestEntry.entry, digestEntry.attempts + 1);
+    }
+  }
+
+  /**
+   * Start the scheduled flush
+   */
+  start() {
+    try {
+      Scheduler.schedule('digest', AppConfig.digest.schedule, () => this.flush());
+    } catch (error) {
+      Logger.error('Digest scheduler not started - check DIGEST_SCHEDULE', error);
+    }
+  }
+
+  /**
+   * Stop the scheduled flush
+   */
+  stop() {
+    Scheduler.cancel('digest');
+  }
+
+  /**
+   * Get configuration summary
+   */
+  getConfigurationSummary() {
+    const config = AppConfig.digest;
+    return {
+      schedule: config.schedule,
+      categories: config.categories
+    };
+  }
+}
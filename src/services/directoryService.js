@@ -0,0 +1,230 @@
+/**
+ * @fileoverview Email Directory Service
+ * @description Maps GitHub logins to one or more email addresses from a directory file, so
+ * recipients don't depend on public profile emails. The directory can be a local file
+ * (EMAIL_DIRECTORY_FILE, YAML, JSON or CSV) and/or a file hosted in a repository
+ * (EMAIL_DIRECTORY_REPO + EMAIL_DIRECTORY_PATH). The local file is reloaded when it changes
+ * on disk; the repository file is re-read after EMAIL_DIRECTORY_REFRESH_MS or right away when
+ * a push to its default branch touches it. Entries in the local file win over the repository file.
+ *
+ * @author Jürgen Efeish
+ *
+ * @module DirectoryService
+ *
+ * @requires Logger - Logging utility
+ * @requires AppConfig - Application configuration
+ *
+ * @example
+ * // email-directory.yml
+ * octocat: octocat@company.com
+ * hubot:
+ *   - hubot@company.com
+ *   - hubot-alerts@company.com
+ *
+ * @example
+ * // email-directory.csv
+ * login,email
+ * octocat,octocat@company.com
+ * hubot,hubot@company.com;hubot-alerts@company.com
+ *
+ * @example
+ * const directory = new DirectoryService();
+ * const emails = await directory.lookup(context, 'octocat'); // ['octocat@company.com']
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import yaml from 'js-yaml';
+import { Logger } from '../utils/logger.js';
+import { AppConfig } from '../config/appConfig.js';
+
+const WATCH_INTERVAL_MS = 5000;
+
+/**
+ * @class DirectoryService
+ * @description Login-to-email directory with hot reload.
+ */
+export class DirectoryService {
+  constructor(config = AppConfig.emailDirectory) {
+    this.config = config;
+    this.fileEntries = new Map();
+    this.repoEntries = new Map();
+    this.repoLoadedAt = 0;
+    this.watching = false;
+  }
+
+  /**
+   * Check if any directory source is configured
+   */
+  isConfigured() {
+    return !!(this.config.file || this.config.repo);
+  }
+
+  /**
+   * Load the local file and watch it for changes
+   */
+  start() {
+    if (!this.config.file) {
+      return;
+    }
+
+    this.loadFile();
+    if (!this.watching) {
+      fs.watchFile(this.config.file, { interval: WATCH_INTERVAL_MS, persistent: false }, (current, previous) => {
+        if (current.mtimeMs !== previous.mtimeMs) {
+          Logger.info(`Email directory ${this.config.file} changed - reloading`);
+          this.loadFile();
+        }
+      });
+      this.watching = true;
+    }
+  }
+
+  /**
+   * Stop watching the local file
+   */
+  stop() {
+    if (this.watching) {
+      fs.unwatchFile(this.config.file);
+      this.watching = false;
+    }
+  }
+
+  /**
+   * (Re)load the local directory file. A file that can't be read or parsed keeps the previous entries.
+   * @returns {boolean} True if the file was loaded
+   */
+  loadFile() {
+    try {
+      const content = fs.readFileSync(this.config.file, 'utf8');
+      this.fileEntries = DirectoryService.parse(content, DirectoryService.getFormat(this.config.file));
+      Logger.info(`Loaded ${this.fileEntries.size} email directory entries from ${this.config.file}`);
+      return true;
+    } catch (error) {
+      Logger.error(`Failed to load email directory ${this.config.file} - keeping ${this.fileEntries.size} previous entries`, error);
+      return false;
+    }
+  }
+
+  /**
+   * (Re)load the repository-hosted directory file when it is older than the refresh interval
+   * @param {Object} context - GitHub context whose installation can read the directory repository
+   */
+  async refreshRepoFile(context) {
+    if (!this.config.repo || Date.now() - this.repoLoadedAt < this.config.refreshMs || !context?.octokit) {
+      return;
+    }
+
+    const [owner, repo] = this.config.repo.split('/');
+    this.repoLoadedAt = Date.now();
+    try {
+      const { data } = await context.octokit.repos.getContent({ owner, repo, path: this.config.path });
+      const content = Buffer.from(data.content, data.encoding || 'base64').toString('utf8');
+      this.repoEntries = DirectoryService.parse(content, DirectoryService.getFormat(this.config.path));
+      Logger.info(`Loaded ${this.repoEntries.size} email directory entries from ${this.config.repo}/${this.config.path}`);
+    } catch (error) {
+      Logger.error(`Failed to load email directory ${this.config.repo}/${this.config.path} - keeping ${this.repoEntries.size} previous entries`, error);
+    }
+  }
+
+  /**
+   * Look up the email addresses of a login
+   * @param {Object} context - GitHub context (used to read a repository-hosted directory)
+   * @param {string} username - GitHub login
+   * @returns {Promise<string[]>} Addresses, empty when the login is not in the directory
+   */
+  async lookup(context, username) {
+    if (!this.isConfigured()) {
+      return [];
+    }
+
+    await this.refreshRepoFile(context);
+    const key = username.toLowerCase();
+    return this.fileEntries.get(key) || this.repoEntries.get(key) || [];
+  }
+
+  /**
+   * Re-read the repository-hosted directory on the next lookup when a push to the directory
+   * repository's default branch touches the directory file
+   * @param {Object} context - GitHub push webhook context
+   * @returns {boolean} True if the directory will be reloaded
+   */
+  handlePush(context) {
+    const { ref, repository, commits = [] } = context.payload;
+    if (!this.config.repo || repository?.full_name?.toLowerCase() !== this.config.repo.toLowerCase() ||
+        ref !== `refs/heads/${repository.default_branch}`) {
+      return false;
+    }
+
+    const touched = commits.some(commit =>
+      [...(commit.added || []), ...(commit.modified || []), ...(commit.removed || [])].includes(this.config.path)
+    );
+    if (touched) {
+      Logger.info(`Email directory ${this.config.repo}/${this.config.path} changed - reloading on next lookup`);
+      this.repoLoadedAt = 0;
+    }
+    return touched;
+  }
+
+  /**
+   * Get configuration summary
+   */
+  getConfigurationSummary() {
+    return {
+      configured: this.isConfigured(),
+      file: this.config.file || null,
+      repository: this.config.repo ? `${this.config.repo}/${this.config.path}` : null,
+      entries: new Set([...this.fileEntries.keys(), ...this.repoEntries.keys()]).size
+    };
+  }
+
+  /**
+   * Detect the file format from its extension
+   * @param {string} filename - File name or path
+   * @returns {string} 'csv', 'json' or 'yaml'
+   */
+  static getFormat(filename) {
+    const extension = path.extname(filename).toLowerCase();
+    if (extension === '.csv') {
+      return 'csv';
+    }
+    return extension === '.json' ? 'json' : 'yaml';
+  }
+
+  /**
+   * Parse directory content
+   * @param {string} content - File content
+   * @param {string} format - 'yaml', 'json' or 'csv'
+   * @returns {Map<string, string[]>} Lowercase login to addresses
+   * @throws {Error} When the content can't be parsed
+   */
+  static parse(content, format) {
+    const entries = new Map();
+    const add = (login, emails) => {
+      const addresses = emails.map(email => String(email).trim()).filter(email => email.includes('@'));
+      if (login && addresses.length > 0) {
+        entries.set(String(login).trim().toLowerCase(), addresses);
+      }
+    };
+
+    if (format === 'csv') {
+      content.split(/\r?\n/).forEach((line, index) => {
+        const [login, ...columns] = line.split(',').map(cell => cell.trim());
+        if (!login || login.startsWith('#') || (index === 0 && login.toLowerCase() === 'login')) {
+          return;
+        }
+        add(login, columns.flatMap(column => column.split(';')));
+      });
+      return entries;
+    }
+
+    const data = format === 'json' ? JSON.parse(content) : yaml.load(content);
+    if (data && (typeof data !== 'object' || Array.isArray(data))) {
+      throw new Error('Email directory must map logins to addresses');
+    }
+    Object.entries(data || {}).forEach(([login, emails]) => {
+      add(login, Array.isArray(emails) ? emails : [emails]);
+    });
+    return entries;
+  }
+}
@@ -2,7 +2,9 @@
  * @fileoverview Email Service
  * @description Robust email service for sending notifications using SMTP with comprehensive
  * error handling, bulk sending capabilities, and configuration validation.
- * Integrates with nodemailer for reliable email delivery.
+ * Integrates with nodemailer for reliable email delivery. When a store is provided, every
+ * email goes through a persisted outbox: transient SMTP failures are retried with exponential
+ * backoff, permanent ones are dead-lettered, and pending emails resume after a restart.
  * 
  * @author Jürgen Efeish
  * 
@@ -37,6 +39,11 @@
  * );
  * 
  * @example
+ * // Durable delivery through the store's outbox
+ * const emailService = new EmailService(store);
+ * emailService.startOutbox();
+ * 
+ * @example
  * // Test configuration
  * const testResult = await emailService.testConfiguration();
  * if (!testResult.success) {
@@ -49,14 +56,26 @@ import { Logger } from '../utils/logger.js';
 import { NotificationValidator } from '../utils/validators.js';
 import { AppConfig } from '../config/appConfig.js';
 
+const OUTBOX_LEASE_MS = 5 * 60 * 1000; // an attempt that takes longer is assumed lost and retried
+const OUTBOX_BATCH_SIZE = 50;
+
+// nodemailer error codes that will fail again on retry (without an SMTP response code)
+const PERMANENT_ERROR_CODES = ['EAUTH', 'EENVELOPE', 'EMESSAGE'];
+
 /**
  * @class EmailService
  * @description Email service for sending notifications with SMTP integration.
  * Provides reliable email delivery with error handling and configuration validation.
  */
 export class EmailService {
-  constructor() {
+  /**
+   * @param {BaseStore|null} [store=null] - Store for the outbox; without one, emails are sent once
+   */
+  constructor(store = null) {
     this.transporter = null;
+    this.store = store;
+    this.outboxTimer = null;
+    this.processingOutbox = false;
   }
 
   /**
@@ -118,11 +137,14 @@ export class EmailService {
    * @param {string} textContent - Plain text email content
    * @param {string} eventType - GitHub event type for logging
    * @param {string} action - GitHub event action for logging
+   * @param {Object} [headers={}] - Extra headers (e.g. List-Unsubscribe)
    * 
    * @returns {Promise<Object>} Result object with success status and details
    * @property {boolean} success - Whether the email was sent successfully
    * @property {string} [messageId] - Email message ID if successful
    * @property {string} [reason] - Failure reason if unsuccessful
+   * @property {boolean} [queued] - Failed transiently; the outbox will retry the delivery
+   * @property {boolean} [deadLettered] - Failed permanently or ran out of attempts
    * @property {string} recipient - Recipient email address
    * @property {string} subject - Email subject
    * 
@@ -141,7 +163,7 @@ export class EmailService {
    *   console.log('Email sent:', result.messageId);
    * }
    */
-  async sendNotification(to, subject, htmlContent, textContent, eventType, action) {
+  async sendNotification(to, subject, htmlContent, textContent, eventType, action, headers = {}) {
     Logger.info(`Attempting to send email notification for ${eventType}.${action} to ${to}`);
     
     // Check if email is configured
@@ -162,36 +184,22 @@ export class EmailService {
       return { success: false, reason: 'Invalid email address' };
     }
 
-    try {
-      const transporter = this.getTransporter();
-      if (!transporter) {
-        throw new Error('Failed to create email transporter');
-      }
+    const message = this.createMessage(to, subject, htmlContent, textContent, eventType, action, headers);
 
-      const config = AppConfig.email;
-      const mailOptions = {
-        from: config.from || config.user,
-        to: to,
-        subject: subject,
-        text: textContent,
-        html: htmlContent,
-        headers: {
-          'X-Notification-Type': `${eventType}.${action}`,
-          'X-Generated-By': 'PR-Notification-App'
-        }
-      };
+    if (this.store) {
+      let entry = null;
+      try {
+        entry = await this.store.enqueueOutbox(message, OUTBOX_LEASE_MS);
+      } catch (error) {
+        Logger.error(`Failed to add email for ${to} to the outbox - sending without retry`, error);
+      }
+      if (entry) {
+        return await this.attemptDelivery(entry);
+      }
+    }
 
-      Logger.debug(`Sending email with subject: "${subject}"`);
-      const info = await transporter.sendMail(mailOptions);
-      
-      Logger.info(`✅ Email sent successfully: ${info.messageId} for ${eventType}.${action} to ${to}`);
-      Logger.audit('EMAIL_SENT', { 
-        eventType, 
-        action, 
-        recipient: to, 
-        subject, 
-        messageId: info.messageId 
-      });
+    try {
+      const info = await this.transmit(message);
       return { 
         success: true, 
         messageId: info.messageId,
@@ -209,32 +217,252 @@ export class EmailService {
     }
   }
 
+  /**
+   * Build the outbox message for an email
+   * @returns {Object} `{ eventType, action, mailOptions }`
+   */
+  createMessage(to, subject, htmlContent, textContent, eventType, action, headers = {}) {
+    const config = AppConfig.email;
+    return {
+      eventType,
+      action,
+      mailOptions: {
+        from: config.from || config.user,
+        to: to,
+        subject: subject,
+        text: textContent,
+        html: htmlContent,
+        headers: {
+          'X-Notification-Type': `${eventType}.${action}`,
+          'X-Generated-By': 'PR-Notification-App',
+          ...headers
+        }
+      }
+    };
+  }
+
+  /**
+   * Hold an email in the outbox until `sendAt` (e.g. the end of the recipient's quiet hours); the
+   * outbox worker delivers it once it is due. Without a store, or with SMTP unconfigured, the
+   * email is sent right away.
+   * @param {Date} sendAt - Earliest delivery time
+   * @returns {Promise<Object>} `{ success, held, sendAt }` or the sendNotification result
+   */
+  async scheduleNotification(to, subject, htmlContent, textContent, eventType, action, headers, sendAt) {
+    if (!this.store || !this.isConfigured()) {
+      return await this.sendNotification(to, subject, htmlContent, textContent, eventType, action, headers);
+    }
+
+    if (!this.isValidEmail(to)) {
+      Logger.error(`Invalid email address: ${to}`);
+      return { success: false, reason: 'Invalid email address' };
+    }
+
+    try {
+      const message = this.createMessage(to, subject, htmlContent, textContent, eventType, action, headers);
+      await this.store.enqueueOutbox(message, Math.max(sendAt.getTime() - Date.now(), 0));
+      return { success: true, held: true, sendAt: sendAt.toISOString(), recipient: to, subject };
+    } catch (error) {
+      Logger.error(`Failed to hold email for ${to} until ${sendAt.toISOString()} - sending now`, error);
+      return await this.sendNotification(to, subject, htmlContent, textContent, eventType, action, headers);
+    }
+  }
+
+  /**
+   * Send a rendered message through the SMTP transporter
+   * @param {Object} message - `{ eventType, action, mailOptions }`
+   * @returns {Promise<Object>} nodemailer info
+   * @throws {Error} When the transporter is unavailable or SMTP rejects the message
+   */
+  async transmit({ eventType, action, mailOptions }) {
+    const transporter = this.getTransporter();
+    if (!transporter) {
+      throw new Error('Failed to create email transporter');
+    }
+
+    Logger.debug(`Sending email with subject: "${mailOptions.subject}"`);
+    const info = await transporter.sendMail(mailOptions);
+    
+    Logger.info(`✅ Email sent successfully: ${info.messageId} for ${eventType}.${action} to ${mailOptions.to}`);
+    Logger.audit('EMAIL_SENT', { 
+      eventType, 
+      action, 
+      recipient: mailOptions.to, 
+      subject: mailOptions.subject, 
+      messageId: info.messageId 
+    });
+    return info;
+  }
+
+  /**
+   * @async
+   * @memberof EmailService
+   * @description Make one delivery attempt for an outbox entry. Success removes the entry; a
+   * transient failure schedules the next attempt (EMAIL_RETRY_DELAY_MS * 2^(attempt - 1)); a
+   * permanent failure, or the last of EMAIL_MAX_ATTEMPTS attempts, dead-letters it.
+   *
+   * @param {OutboxEntry} entry - Leased outbox entry
+   * @returns {Promise<Object>} Result with `success`, and `queued` when a retry is scheduled
+   */
+  async attemptDelivery(entry) {
+    const { mailOptions, eventType, action } = entry.message;
+    const attempts = entry.attempts + 1;
+    const result = { recipient: mailOptions.to, subject: mailOptions.subject, attempts };
+
+    let info;
+    try {
+      info = await this.transmit(entry.message);
+    } catch (error) {
+      const config = AppConfig.emailOutbox;
+
+      if (EmailService.isTransientError(error) && attempts < config.maxAttempts) {
+        const delay = config.retryDelayMs * 2 ** (attempts - 1);
+        await this.store.rescheduleOutbox(entry.id, { attempts, nextAttemptAt: Date.now() + delay, error: error.message });
+        Logger.warn(`📬 Email to ${mailOptions.to} failed (${error.message}) - retrying in ${Math.round(delay / 1000)}s (attempt ${attempts}/${config.maxAttempts})`);
+        return { ...result, success: false, queued: true, reason: error.message };
+      }
+
+      await this.store.deadLetterOutbox(entry.id, { attempts, error: error.message });
+      Logger.error(`❌ Email to ${mailOptions.to} dead-lettered after ${attempts} attempt(s)`, error);
+      Logger.audit('EMAIL_DEAD_LETTERED', {
+        eventType,
+        action,
+        recipient: mailOptions.to,
+        subject: mailOptions.subject,
+        attempts,
+        error: error.message
+      });
+      return { ...result, success: false, deadLettered: true, reason: error.message };
+    }
+
+    try {
+      await this.store.completeOutbox(entry.id);
+    } catch (error) {
+      Logger.warn(`Email to ${mailOptions.to} was sent but could not be removed from the outbox`, { error: error.message });
+    }
+    return { ...result, success: true, messageId: info.messageId };
+  }
+
+  /**
+   * Check if an SMTP error is worth retrying: 4xx replies and connection-level errors are,
+   * 5xx replies and authentication/envelope/message errors are not
+   * @param {Error} error - nodemailer error
+   * @returns {boolean} True if the delivery should be retried
+   */
+  static isTransientError(error) {
+    if (error.responseCode) {
+      return error.responseCode >= 400 && error.responseCode < 500;
+    }
+    return !PERMANENT_ERROR_CODES.includes(error.code);
+  }
+
+  /**
+   * @async
+   * @memberof EmailService
+   * @description Deliver outbox entries that are due, including entries left pending by a
+   * previous process. Runs at most one batch at a time.
+   *
+   * @returns {Promise<Object>} Number of entries attempted and delivered
+   */
+  async processOutbox() {
+    if (!this.store || !this.isConfigured() || this.processingOutbox) {
+      return { attempted: 0, delivered: 0 };
+    }
+
+    this.processingOutbox = true;
+    try {
+      const entries = await this.store.claimOutbox(OUTBOX_BATCH_SIZE, OUTBOX_LEASE_MS);
+      if (entries.length === 0) {
+        return { attempted: 0, delivered: 0 };
+      }
+
+      Logger.info(`📬 Retrying ${entries.length} email(s) from the outbox`);
+      let delivered = 0;
+      for (const entry of entries) {
+        const result = await this.attemptDelivery(entry);
+        if (result.success) {
+          delivered++;
+        }
+      }
+
+      Logger.info(`📬 Outbox run complete: ${delivered}/${entries.length} delivered`);
+      return { attempted: entries.length, delivered };
+    } catch (error) {
+      Logger.error('Failed to process email outbox', error);
+      return { attempted: 0, delivered: 0, error: error.message };
+    } finally {
+      this.processingOutbox = false;
+    }
+  }
+
+  /**
+   * Start delivering due outbox entries every EMAIL_OUTBOX_POLL_INTERVAL_MS; the first run
+   * happens immediately so emails left pending by a restart are resumed
+   */
+  startOutbox() {
+    if (!this.store || this.outboxTimer) {
+      return;
+    }
+
+    const { pollIntervalMs } = AppConfig.emailOutbox;
+    this.outboxTimer = setInterval(() => this.processOutbox(), pollIntervalMs);
+    this.outboxTimer.unref?.();
+    this.processOutbox();
+
+    Logger.info(`Email outbox started (polling every ${Math.round(pollIntervalMs / 1000)}s)`);
+  }
+
+  /**
+   * Stop the outbox polling
+   */
+  stopOutbox() {
+    if (this.outboxTimer) {
+      clearInterval(this.outboxTimer);
+      this.outboxTimer = null;
+    }
+  }
+
   /**
    * Send notifications to multiple recipients
+   * @param {Function|null} [personalize=null] - Called with each address; returns that recipient's
+   * `{ htmlContent, textContent, headers, sendAt }` (e.g. with their unsubscribe links) instead of the
+   * shared content. A `sendAt` date holds the email until then (quiet hours).
    */
-  async sendBulkNotifications(recipients, subject, htmlContent, textContent, eventType, action) {
+  async sendBulkNotifications(recipients, subject, htmlContent, textContent, eventType, action, personalize = null) {
     Logger.info(`Sending bulk notifications to ${recipients.length} recipient(s) for ${eventType}.${action}`);
     
     const results = [];
     let successCount = 0;
     let failureCount = 0;
+    let queuedCount = 0;
+    let heldCount = 0;
 
     for (const email of recipients) {
       try {
-        const result = await this.sendNotification(
-          email, 
-          subject, 
-          htmlContent, 
-          textContent,
-          eventType,
-          action
-        );
+        const content = personalize ? personalize(email) : { htmlContent, textContent, headers: {} };
+        const result = content.sendAt
+          ? await this.scheduleNotification(email, subject, content.htmlContent, content.textContent, eventType, action, content.headers, content.sendAt)
+          : await this.sendNotification(
+            email, 
+            subject, 
+            content.htmlContent, 
+            content.textContent,
+            eventType,
+            action,
+            content.headers
+          );
         
         results.push({ email, ...result });
         
-        if (result.success) {
+        if (result.held) {
+          heldCount++;
+          Logger.info(`Notification to ${email} for ${eventType}.${action} held until ${result.sendAt} (quiet hours)`);
+        } else if (result.success) {
           successCount++;
           Logger.info(`Notification sent to ${email} for ${eventType}.${action}`);
+        } else if (result.queued) {
+          queuedCount++;
+          Logger.warn(`Notification to ${email} queued for retry: ${result.reason}`);
         } else {
           failureCount++;
           Logger.error(`Failed to send notification to ${email}: ${result.reason}`);
@@ -251,14 +479,16 @@ export class EmailService {
       }
     }
 
-    Logger.info(`Bulk notification complete: ${successCount} sent, ${failureCount} failed`);
+    Logger.info(`Bulk notification complete: ${successCount} sent, ${heldCount} held for quiet hours, ${queuedCount} queued for retry, ${failureCount} failed`);
     
     return {
-      success: successCount > 0,
+      success: successCount + heldCount > 0,
       results,
       summary: {
         total: recipients.length,
         success: successCount,
+        held: heldCount,
+        queued: queuedCount,
         failed: failureCount
       }
     };
@@ -0,0 +1,131 @@
+/**
+ * @fileoverview Email Threading
+ * @description Makes all emails about a pull request one conversation in the recipient's mail
+ * client. The first email sent for a PR (usually "opened") becomes the thread root: its
+ * Message-ID and subject are recorded in the store, keyed on repository and PR number. Every
+ * later email (reviews, checks, ready to merge, merged, ...) gets its own Message-ID,
+ * `In-Reply-To` and `References` pointing at the root, and the root's subject prefixed with
+ * `Re:` - Gmail only threads replies with a matching subject, Outlook groups conversations by
+ * subject. The event headline stays in the email body. Message-IDs are unique per email even
+ * for the root, since Gmail drops a second message with an already delivered Message-ID.
+ *
+ * @author Jürgen Efeish
+ *
+ * @module EmailThreadService
+ *
+ * @requires crypto - Random Message-ID parts
+ * @requires Logger - Logging utility
+ * @requires AppConfig - Application configuration
+ *
+ * @example
+ * const thread = await emailThreadService.getThread(notification);
+ * // { subject: 'Re: [octo-org/monorepo] Add caching (PR #42)',
+ * //   headers: { 'Message-ID': '<octo-org/monorepo/pull/42/...@company.com>',
+ * //              'In-Reply-To': '<octo-org/monorepo/pull/42/...@company.com>',
+ * //              'References': '<octo-org/monorepo/pull/42/...@company.com>' } }
+ */
+
+import crypto from 'node:crypto';
+import { Logger } from '../utils/logger.js';
+import { AppConfig } from '../config/appConfig.js';
+
+const DEFAULT_MESSAGE_ID_DOMAIN = 'pr-notifications.local'; // when neither EMAIL_MESSAGE_ID_DOMAIN nor a sender address is set
+
+/**
+ * @class EmailThreadService
+ * @description Thread roots per pull request and the headers that attach emails to them.
+ */
+export class EmailThreadService {
+  /**
+   * @param {BaseStore} store - Store the thread roots are recorded in
+   * @param {Object} [config=AppConfig.emailThreading] - `{ enabled, domain }`
+   */
+  constructor(store, config = AppConfig.emailThreading) {
+    this.store = store;
+    this.config = config;
+  }
+
+  /**
+   * Check if emails are threaded
+   */
+  isEnabled() {
+    return !!(this.config.enabled && this.store);
+  }
+
+  /**
+   * Get the subject and headers that put a notification's email in its pull request's thread.
+   * Claims the thread root when this is the first email for the PR. Store errors leave the
+   * email unthreaded rather than unsent.
+   * @param {Object} notification - Normalized notification
+   * @returns {Promise<{subject: string, headers: Object}|null>} Null when disabled or not about a PR
+   */
+  async getThread(notification) {
+    const pr = notification.pullRequest;
+    const repository = notification.repository?.fullName;
+    if (!this.isEnabled() || !pr?.number || !repository) {
+      return null;
+    }
+
+    const messageId = this.createMessageId(repository, pr.number);
+    const subject = EmailThreadService.getThreadSubject(repository, pr);
+
+    try {
+      const root = await this.store.claimThreadRoot(`${repository}#${pr.number}`, { messageId, subject });
+      if (root.messageId === messageId) {
+        return { subject, headers: { 'Message-ID': messageId } };
+      }
+
+      return {
+        subject: `Re: ${root.subject}`,
+        headers: {
+          'Message-ID': messageId,
+          'In-Reply-To': root.messageId,
+          'References': root.messageId
+        }
+      };
+    } catch (error) {
+      Logger.warn(`Failed to look up the email thread of ${repository}#${pr.number} - sending unthreaded`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Create a new Message-ID for an email about a pull request
+   * @param {string} repository - Repository full name
+   * @param {number} number - Pull request number
+   * @returns {string} `<owner/repo/pull/42/<time>.<random>@domain>`
+   */
+  createMessageId(repository, number) {
+    return `<${repository}/pull/${number}/${Date.now()}.${crypto.randomBytes(6).toString('hex')}@${this.getDomain()}>`;
+  }
+
+  /**
+   * Get the Message-ID domain: EMAIL_MESSAGE_ID_DOMAIN, else the domain of the sender address
+   */
+  getDomain() {
+    if (this.config.domain) {
+      return this.config.domain;
+    }
+    const match = /@([^\s>]+)/.exec(AppConfig.email.from || '');
+    return match ? match[1] : DEFAULT_MESSAGE_ID_DOMAIN;
+  }
+
+  /**
+   * Get the subject of a pull request's thread
+   * @param {string} repository - Repository full name
+   * @param {Object} pr - Pull request
+   */
+  static getThreadSubject(repository, pr) {
+    return pr.title ? `[${repository}] ${pr.title} (PR #${pr.number})` : `[${repository}] PR #${pr.number}`;
+  }
+
+  /**
+   * Get configuration summary
+   */
+  getConfigurationSummary() {
+    return {
+      enabled: this.isEnabled(),
+      domain: this.isEnabled() ? this.getDomain() : null
+    };
+  }
+}
@@ -10,6 +10,10 @@
  * 
  * @requires Logger - Logging utility
  * @requires ErrorHandler - Error handling utility
+ * @requires CodeOwners - CODEOWNERS parsing and matching
+ * @requires TtlCache - Expiring cache for user emails and team members
+ * @requires AppConfig - Application configuration
+ * @requires MemoryStore - Fallback store for commit author emails when none is passed
  * 
  * @example
  * // Get user email
@@ -36,6 +40,14 @@
 
 import { Logger } from '../utils/logger.js';
 import { ErrorHandler } from '../utils/logger.js';
+import { CodeOwners, CODEOWNERS_PATHS } from '../utils/codeowners.js';
+import { TtlCache } from '../utils/ttlCache.js';
+import { AppConfig } from '../config/appConfig.js';
+import { MemoryStore } from '../storage/memoryStore.js';
+
+const TEAM_MEMBERS_CACHE_TTL = 10 * 60 * 1000; // 10 minutes
+const COMMIT_SCAN_TTL = 24 * 60 * 60 * 1000; // a scanned pull request head is not listed again for a day
+const NOREPLY_EMAIL_PATTERN = /noreply\.github\.com$/i; // users.noreply.github.com and legacy noreply.github.com
 
 /**
  * @class GitHubService
@@ -43,34 +55,175 @@ import { ErrorHandler } from '../utils/logger.js';
  * Provides abstracted methods for common GitHub API calls with comprehensive error handling.
  */
 export class GitHubService {
-  constructor(app) {
+  /**
+   * @param {Object} app - Probot app
+   * @param {DirectoryService|null} [directory=null] - Email directory consulted before profile emails
+   * @param {BaseStore|null} [store=null] - Store the commit author emails are remembered in
+   */
+  constructor(app, directory = null, store = null) {
     this.app = app;
+    this.directory = directory;
+    this.userEmailCacheConfig = AppConfig.userEmailCache;
+    this.userEmails = new TtlCache(this.userEmailCacheConfig.ttlMs);
+    this.teamMembers = new TtlCache(TEAM_MEMBERS_CACHE_TTL);
+    this.store = store || new MemoryStore();
+    this.botLogin = null;
   }
 
   /**
-   * Get user email with fallback options
+   * Get a user's email addresses. Precedence: the email directory (EMAIL_DIRECTORY_*), the
+   * public GitHub profile email, then the author email of the user's commits on the event's
+   * pull request. `email` is the first address, `emails` all of them. Profile emails (and their
+   * absence) are cached, see getProfileEmail().
    */
   async getUserEmail(context, username) {
     Logger.debug(`Fetching email for user: ${username}`);
+
+    if (this.directory) {
+      try {
+        const emails = await this.directory.lookup(context, username);
+        if (emails.length > 0) {
+          Logger.debug(`Found ${emails.length} directory email(s) for user ${username}`);
+          return { success: true, email: emails[0], emails, source: 'directory' };
+        }
+      } catch (error) {
+        Logger.warn(`Email directory lookup failed for ${username}`, { error: error.message });
+      }
+    }
     
     try {
-      const { data: user } = await context.octokit.users.getByUsername({
-        username: username
-      });
-      
-      if (user.email) {
-        Logger.info(`Found email for user ${username}: ${user.email}`);
-        return { success: true, email: user.email, source: 'public_profile' };
-      } else {
-        Logger.warn(`User ${username} has no public email address`);
-        return { success: false, reason: 'no_public_email', username };
+      const profileEmail = await this.getProfileEmail(context, username);
+      if (profileEmail) {
+        Logger.info(`Found email for user ${username}: ${profileEmail}`);
+        return { success: true, email: profileEmail, emails: [profileEmail], source: 'public_profile' };
       }
+
+      const commitEmail = await this.getCommitAuthorEmail(context, username);
+      if (commitEmail) {
+        Logger.info(`Found commit author email for user ${username}: ${commitEmail}`);
+        return { success: true, email: commitEmail, emails: [commitEmail], source: 'commit_author' };
+      }
+
+      Logger.warn(`User ${username} has no public email address`);
+      return { success: false, reason: 'no_public_email', username };
     } catch (error) {
       Logger.error(`Could not fetch user ${username}`, error);
       return { success: false, reason: 'api_error', error: error.message, username };
     }
   }
 
+  /**
+   * Get a user's public profile email through the user email cache. A missing email is cached
+   * too (for the shorter negative TTL); API errors are not cached.
+   * @param {Object} context - GitHub context
+   * @param {string} username - GitHub login
+   * @returns {Promise<string|null>} Profile email or null when the profile has none
+   * @throws {Error} When the user can't be fetched
+   */
+  async getProfileEmail(context, username) {
+    const key = username.toLowerCase();
+    if (this.userEmails.has(key)) {
+      return this.userEmails.get(key);
+    }
+
+    const { data: user } = await context.octokit.users.getByUsername({
+      username: username
+    });
+
+    const email = user.email || null;
+    this.userEmails.set(key, email, email ? this.userEmailCacheConfig.ttlMs : this.userEmailCacheConfig.negativeTtlMs);
+    return email;
+  }
+
+  /**
+   * Drop cached emails and team memberships affected by a `member` (repository collaborator) or
+   * `membership` (team membership) webhook
+   * @param {Object} context - GitHub member or membership webhook context
+   */
+  handleMembershipEvent(context) {
+    const { member, team, organization } = context.payload;
+    if (member?.login) {
+      this.userEmails.delete(member.login.toLowerCase());
+    }
+    if (team?.slug && organization?.login) {
+      this.teamMembers.delete(`${organization.login}/${team.slug}`.toLowerCase());
+    }
+    Logger.debug(`Invalidated cached email and team data for ${member?.login || 'unknown member'}`);
+  }
+
+  /**
+   * Get user email cache statistics (hits are users.getByUsername calls saved)
+   * @returns {{size: number, hits: number, misses: number, hitRate: number}}
+   */
+  getCacheStats() {
+    return this.userEmails.getStats();
+  }
+
+  /**
+   * Get the email a user authored commits with on the event's pull request. Addresses found
+   * while scanning a pull request are remembered in the store for every author, so later events
+   * (including ones without a pull request, such as reminders, and after a restart) resolve
+   * without another API call. Each pull request head is scanned once a day at most (a dedup
+   * key in the store); GitHub noreply addresses are skipped.
+   * @param {Object} context - GitHub context
+   * @param {string} username - GitHub login
+   * @returns {Promise<string|null>} Author email or null when none was found
+   */
+  async getCommitAuthorEmail(context, username) {
+    const key = username.toLowerCase();
+    const pullRequest = this.getContextPullRequest(context);
+    const scanKey = pullRequest && `${context.payload.repository.full_name}#${pullRequest.number}@${pullRequest.head?.sha || ''}`;
+
+    const known = await this.store.getCommitEmail(key);
+    if (known || !pullRequest) {
+      return known;
+    }
+
+    if (await this.store.claimDedupKey(`commit_scan:${scanKey}`, COMMIT_SCAN_TTL)) {
+      try {
+        const commits = await context.octokit.paginate(context.octokit.pulls.listCommits, {
+          owner: context.payload.repository.owner.login,
+          repo: context.payload.repository.name,
+          pull_number: pullRequest.number,
+          per_page: 100
+        });
+
+        const authors = new Map();
+        commits.forEach(commit => {
+          const login = commit.author?.login?.toLowerCase();
+          const email = commit.commit?.author?.email;
+          if (login && email && !NOREPLY_EMAIL_PATTERN.test(email)) {
+            authors.set(login, email);
+          }
+        });
+        for (const [login, email] of authors) {
+          await this.store.setCommitEmail(login, email);
+        }
+      } catch (error) {
+        Logger.warn(`Failed to list commits of PR #${pullRequest.number}`, { error: error.message });
+        await this.store.releaseDedupKey(`commit_scan:${scanKey}`);
+      }
+    }
+
+    return await this.store.getCommitEmail(key);
+  }
+
+  /**
+   * Get the pull request an event belongs to
+   * @param {Object} context - GitHub context
+   * @returns {Object|null} Object with at least `number` (and `head.sha` when known)
+   */
+  getContextPullRequest(context) {
+    const payload = context?.payload || {};
+    if (payload.pull_request) {
+      return payload.pull_request;
+    }
+    if (payload.issue?.pull_request) {
+      return { number: payload.issue.number };
+    }
+    return payload.check_run?.pull_requests?.[0] || null;
+  }
+
   /**
    * Get emails for multiple users
    */
@@ -85,19 +238,20 @@ export class GitHubService {
       results.push(result);
       
       if (result.success) {
-        validEmails.push(result.email);
+        validEmails.push(...result.emails);
       }
     }
-    
-    Logger.info(`Found ${validEmails.length}/${usernames.length} valid email addresses`);
+
+    const found = results.filter(result => result.success).length;
+    Logger.info(`Found ${found}/${usernames.length} users with valid email addresses`);
     
     return {
-      emails: validEmails,
+      emails: [...new Set(validEmails)],
       results,
       summary: {
         total: usernames.length,
-        found: validEmails.length,
-        missing: usernames.length - validEmails.length
+        found,
+        missing: usernames.length - found
       }
     };
   }
@@ -118,7 +272,7 @@ export class GitHubService {
       results.push(result);
       
       if (result.success) {
-        validEmails.push(result.email);
+        validEmails.push(...result.emails);
         if (username === prCreator) {
           creatorHandled = true;
         }
@@ -149,46 +303,38 @@ export class GitHubService {
       });
     }
     
-    Logger.info(`Found ${validEmails.length}/${usernames.length} valid email addresses (PR creator: ${creatorHandled ? '✓' : '✗'})`);
+    const found = results.filter(result => result.success).length;
+    Logger.info(`Found ${found}/${usernames.length} users with valid email addresses (PR creator: ${creatorHandled ? '✓' : '✗'})`);
     
     return {
-      emails: validEmails,
+      emails: [...new Set(validEmails)],
       results,
       summary: {
         total: usernames.length,
-        found: validEmails.length,
-        missing: usernames.length - validEmails.length,
+        found,
+        missing: usernames.length - found,
         prCreatorNotified: creatorHandled
       }
     };
   }
 
   /**
-   * Fallback methods to get PR creator email when public email is not available
+   * Fallback methods to get PR creator email when public email is not available. The methods are
+   * tried in the configured strategy order (CREATOR_EMAIL_STRATEGIES or `creator_fallback.strategies`).
+   * @param {Object} context - GitHub context
+   * @param {string} username - PR creator login
+   * @param {Object|null} [fallback=null] - Repository fallback settings from RepositoryConfig.getCreatorFallback();
+   * when omitted only the environment variables are consulted
    */
-  async handlePRCreatorEmailFallback(context, username) {
+  async handlePRCreatorEmailFallback(context, username, fallback = null) {
     Logger.info(`Attempting fallback email methods for PR creator: ${username}`);
-    
-    // Method 1: Check environment variable override for specific users
-    const overrideEmail = process.env[`EMAIL_OVERRIDE_${username.toUpperCase()}`];
-    if (overrideEmail) {
-      Logger.info(`Found override email for ${username}: ${overrideEmail}`);
-      return { success: true, email: overrideEmail, source: 'environment_override' };
-    }
-    
-    // Method 2: Use default fallback email if configured
-    const defaultCreatorEmail = process.env.DEFAULT_CREATOR_EMAIL;
-    if (defaultCreatorEmail) {
-      Logger.warn(`Using default creator email for ${username}: ${defaultCreatorEmail}`);
-      return { success: true, email: defaultCreatorEmail, source: 'default_fallback' };
-    }
-    
-    // Method 3: Generate email based on username and domain
-    const emailDomain = process.env.CREATOR_EMAIL_DOMAIN;
-    if (emailDomain) {
-      const generatedEmail = `${username}@${emailDomain}`;
-      Logger.warn(`Generated email for ${username}: ${generatedEmail}`);
-      return { success: true, email: generatedEmail, source: 'domain_generation' };
+
+    const strategies = fallback?.strategies || AppConfig.creatorFallback.strategies;
+    for (const strategy of strategies) {
+      const result = await this.resolveCreatorEmail(strategy, context, username, fallback);
+      if (result) {
+        return { success: true, ...result };
+      }
     }
     
     Logger.error(`All fallback methods failed for PR creator: ${username}`);
@@ -200,6 +346,96 @@ export class GitHubService {
     };
   }
 
+  /**
+   * Run a single PR creator email fallback strategy
+   * @param {string} strategy - 'override', 'verified_domain', 'default' or 'domain'
+   * @param {Object} context - GitHub context
+   * @param {string} username - PR creator login
+   * @param {Object|null} fallback - Repository fallback settings
+   * @returns {Promise<{email: string, source: string}|null>} Null when the strategy found nothing
+   */
+  async resolveCreatorEmail(strategy, context, username, fallback) {
+    switch (strategy) {
+      case 'override': {
+        // Repository config, then environment variable override for specific users
+        const repositoryOverride = fallback?.emailOverrides?.[username.toLowerCase()];
+        if (repositoryOverride) {
+          Logger.info(`Found repository override email for ${username}: ${repositoryOverride}`);
+          return { email: repositoryOverride, source: 'repository_override' };
+        }
+
+        const overrideEmail = process.env[`EMAIL_OVERRIDE_${username.toUpperCase()}`];
+        if (overrideEmail) {
+          Logger.info(`Found override email for ${username}: ${overrideEmail}`);
+          return { email: overrideEmail, source: 'environment_override' };
+        }
+        return null;
+      }
+
+      case 'verified_domain': {
+        const email = await this.getVerifiedDomainEmail(context, username);
+        if (email) {
+          Logger.info(`Found verified domain email for ${username}: ${email}`);
+          return { email, source: 'verified_domain' };
+        }
+        return null;
+      }
+
+      case 'default': {
+        const defaultCreatorEmail = fallback ? fallback.defaultEmail : process.env.DEFAULT_CREATOR_EMAIL;
+        if (defaultCreatorEmail) {
+          Logger.warn(`Using default creator email for ${username}: ${defaultCreatorEmail}`);
+          return { email: defaultCreatorEmail, source: 'default_fallback' };
+        }
+        return null;
+      }
+
+      case 'domain': {
+        // Generate email based on username and domain
+        const emailDomain = fallback ? fallback.emailDomain : process.env.CREATOR_EMAIL_DOMAIN;
+        if (emailDomain) {
+          const generatedEmail = `${username}@${emailDomain}`;
+          Logger.warn(`Generated email for ${username}: ${generatedEmail}`);
+          return { email: generatedEmail, source: 'domain_generation' };
+        }
+        return null;
+      }
+
+      default:
+        Logger.warn(`Unknown creator email strategy: ${strategy}`);
+        return null;
+    }
+  }
+
+  /**
+   * Get a user's email on one of the organization's verified domains (GitHub Enterprise Cloud).
+   * Only available when the repository belongs to an organization with verified domains.
+   * @param {Object} context - GitHub context
+   * @param {string} username - GitHub login
+   * @returns {Promise<string|null>} First verified-domain email or null
+   */
+  async getVerifiedDomainEmail(context, username) {
+    const owner = context.payload.repository.owner;
+    if (owner.type && owner.type !== 'Organization') {
+      return null;
+    }
+
+    try {
+      const { user } = await context.octokit.graphql(
+        `query($login: String!, $org: String!) {
+          user(login: $login) {
+            organizationVerifiedDomainEmails(login: $org)
+          }
+        }`,
+        { login: username, org: owner.login }
+      );
+      return user?.organizationVerifiedDomainEmails?.[0] || null;
+    } catch (error) {
+      Logger.warn(`Verified domain email lookup failed for ${username}`, { error: error.message });
+      return null;
+    }
+  }
+
   /**
    * Get pull requests associated with a commit SHA
    */
@@ -295,6 +531,68 @@ export class GitHubService {
     }
   }
 
+  /**
+   * Get the login the app comments as (`<app-slug>[bot]`), looked up once
+   * @returns {Promise<string>} Bot login
+   * @throws {Error} When the app can't be fetched
+   */
+  async getBotLogin() {
+    if (!this.botLogin) {
+      const appOctokit = await this.app.auth();
+      const { data } = await appOctokit.apps.getAuthenticated();
+      this.botLogin = `${data.slug}[bot]`;
+    }
+    return this.botLogin;
+  }
+
+  /**
+   * Find the first comment on a pull request that was posted by this app and contains a marker.
+   * Comments of other bots or users are ignored, even when they quote the marker.
+   * @param {Object} context - GitHub webhook context
+   * @param {number} pullNumber - Pull request number
+   * @param {string} marker - Text the comment body must contain (e.g. a hidden HTML comment)
+   * @returns {Promise<Object>} `{ success, comment }`; comment is null when none was found
+   */
+  async findComment(context, pullNumber, marker) {
+    try {
+      const botLogin = await this.getBotLogin();
+      const comments = await context.octokit.paginate(context.octokit.issues.listComments, {
+        owner: context.payload.repository.owner.login,
+        repo: context.payload.repository.name,
+        issue_number: pullNumber,
+        per_page: 100
+      });
+
+      const comment = comments.find(item => item.user?.login === botLogin && item.body?.includes(marker)) || null;
+      return { success: true, comment };
+    } catch (error) {
+      Logger.error(`Failed to list comments on PR #${pullNumber}`, error);
+      return { success: false, error: error.message, comment: null };
+    }
+  }
+
+  /**
+   * Edit an existing issue or pull request comment
+   */
+  async updateComment(context, commentId, body) {
+    Logger.debug(`Updating comment ${commentId}, body length: ${body.length}`);
+
+    try {
+      const response = await context.octokit.issues.updateComment({
+        owner: context.payload.repository.owner.login,
+        repo: context.payload.repository.name,
+        comment_id: commentId,
+        body: body
+      });
+
+      Logger.info(`Successfully updated comment ${commentId}`);
+      return { success: true, comment: response.data };
+    } catch (error) {
+      Logger.error(`Failed to update comment ${commentId}`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Get repository information
    */
@@ -371,6 +669,14 @@ export class GitHubService {
         }
       });
     }
+
+    // Add members of requested teams (excluding PR creator)
+    for (const team of pullRequest.requested_teams || []) {
+      const members = await this.getTeamMembers(context, context.payload.repository.owner.login, team.slug);
+      members.usernames
+        .filter(login => login !== prCreator)
+        .forEach(login => additionalUsernames.add(login));
+    }
     
     Logger.debug(`Found ${additionalUsernames.size} additional users for PR #${pullRequest.number}: ${Array.from(additionalUsernames).join(', ') || 'none'}`);
     
@@ -384,6 +690,329 @@ export class GitHubService {
     };
   }
 
+  /**
+   * Load and parse the repository's CODEOWNERS file from the first location that has one
+   * @param {Object} context - GitHub context
+   * @param {string} [ref] - Branch or SHA to read from (defaults to the default branch)
+   * @returns {Promise<Object>} `{ success, rules, path }` (empty rules when there is no file)
+   */
+  async getCodeOwners(context, ref = undefined) {
+    const owner = context.payload.repository.owner.login;
+    const repo = context.payload.repository.name;
+
+    for (const path of CODEOWNERS_PATHS) {
+      try {
+        const { data } = await context.octokit.repos.getContent({ owner, repo, path, ref });
+        const content = Buffer.from(data.content, data.encoding || 'base64').toString('utf8');
+        const rules = CodeOwners.parse(content);
+        Logger.debug(`Loaded ${rules.length} CODEOWNERS rule(s) from ${path}`);
+        return { success: true, rules, path };
+      } catch (error) {
+        if (error.status !== 404) {
+          Logger.error(`Failed to read ${path}`, error);
+          return { success: false, error: error.message, rules: [] };
+        }
+      }
+    }
+
+    Logger.debug(`No CODEOWNERS file in ${context.payload.repository.full_name}`);
+    return { success: true, rules: [], path: null };
+  }
+
+  /**
+   * Get the paths of the files changed by a pull request
+   * @param {Object} context - GitHub context
+   * @param {number} pullNumber - Pull request number
+   * @returns {Promise<Object>} `{ success, files }`
+   */
+  async getPullRequestFiles(context, pullNumber) {
+    try {
+      const files = await context.octokit.paginate(context.octokit.pulls.listFiles, {
+        owner: context.payload.repository.owner.login,
+        repo: context.payload.repository.name,
+        pull_number: pullNumber,
+        per_page: 100
+      });
+
+      // Renamed files are owned by both their old and new location
+      const paths = new Set();
+      files.forEach(file => {
+        paths.add(file.filename);
+        if (file.previous_filename) {
+          paths.add(file.previous_filename);
+        }
+      });
+      return { success: true, files: Array.from(paths) };
+    } catch (error) {
+      Logger.error(`Failed to list files of PR #${pullNumber}`, error);
+      return { success: false, error: error.message, files: [] };
+    }
+  }
+
+  /**
+   * Get the logins of a team's members (needs the members:read permission). Membership is cached
+   * for 10 minutes per team, as review requests and CODEOWNERS often name the same teams.
+   * @param {Object} context - GitHub context
+   * @param {string} org - Organization login
+   * @param {string} teamSlug - Team slug
+   * @returns {Promise<Object>} `{ success, usernames }`
+   */
+  async getTeamMembers(context, org, teamSlug) {
+    const key = `${org}/${teamSlug}`.toLowerCase();
+    if (this.teamMembers.has(key)) {
+      return { success: true, usernames: this.teamMembers.get(key) };
+    }
+
+    try {
+      const members = await context.octokit.paginate(context.octokit.teams.listMembersInOrg, {
+        org,
+        team_slug: teamSlug,
+        per_page: 100
+      });
+
+      const usernames = members.map(member => member.login);
+      this.teamMembers.set(key, usernames);
+      Logger.debug(`Team @${org}/${teamSlug} has ${usernames.length} member(s)`);
+      return { success: true, usernames };
+    } catch (error) {
+      Logger.warn(`Failed to list members of team @${org}/${teamSlug}`, { error: error.message });
+      return { success: false, error: error.message, usernames: [] };
+    }
+  }
+
+  /**
+   * Get the code owners of a pull request's changed files as email recipients. Users and team
+   * members are resolved to their public emails; email owners are used as-is.
+   * @param {Object} context - GitHub context
+   * @param {Object} pullRequest - Pull request object
+   * @param {string[]} [exclude=[]] - Logins to leave out (e.g. the PR creator)
+   * @returns {Promise<Object>} `{ owners, usernames, emails, summary }`
+   */
+  async getCodeOwnerRecipients(context, pullRequest, exclude = []) {
+    const empty = { owners: [], usernames: [], emails: [], summary: { total: 0, found: 0, missing: 0 } };
+
+    const codeOwners = await this.getCodeOwners(context, pullRequest.base?.ref);
+    if (codeOwners.rules.length === 0) {
+      return empty;
+    }
+
+    const changed = await this.getPullRequestFiles(context, pullRequest.number);
+    const owners = CodeOwners.getOwners(codeOwners.rules, changed.files);
+    if (owners.length === 0) {
+      Logger.debug(`No code owners for the files changed in PR #${pullRequest.number}`);
+      return empty;
+    }
+
+    const { users, teams, emails } = CodeOwners.classifyOwners(owners);
+    const excluded = exclude.map(login => login.toLowerCase());
+    const usernames = new Set(users);
+
+    for (const team of teams) {
+      const members = await this.getTeamMembers(context, team.org, team.slug);
+      members.usernames.forEach(login => usernames.add(login));
+    }
+
+    const logins = Array.from(usernames).filter(login => !excluded.includes(login.toLowerCase()));
+    const emailResults = await this.getBulkUserEmails(context, logins);
+
+    Logger.info(`Code owners of PR #${pullRequest.number}: ${owners.join(', ')}`);
+    return {
+      owners,
+      usernames: logins,
+      emails: [...new Set([...emails, ...emailResults.emails])],
+      summary: emailResults.summary
+    };
+  }
+
+  /**
+   * Get everyone who has taken part in a pull request's discussion: authors of conversation
+   * comments, review comments and reviews. Bots are left out.
+   * @param {Object} context - GitHub webhook context
+   * @param {number} pullNumber - Pull request number
+   * @param {string[]} [exclude=[]] - Logins to leave out (e.g. the PR author or the commenter)
+   * @returns {Promise<Object>} `{ success, usernames }`
+   */
+  async getPRParticipants(context, pullNumber, exclude = []) {
+    const params = {
+      owner: context.payload.repository.owner.login,
+      repo: context.payload.repository.name,
+      per_page: 100
+    };
+    const excluded = exclude.map(login => login.toLowerCase());
+
+    try {
+      const [comments, reviewComments, reviews] = await Promise.all([
+        context.octokit.paginate(context.octokit.issues.listComments, { ...params, issue_number: pullNumber }),
+        context.octokit.paginate(context.octokit.pulls.listReviewComments, { ...params, pull_number: pullNumber }),
+        context.octokit.paginate(context.octokit.pulls.listReviews, { ...params, pull_number: pullNumber })
+      ]);
+
+      const usernames = new Set();
+      [...comments, ...reviewComments, ...reviews].forEach(item => {
+        const user = item.user;
+        if (user && user.type !== 'Bot' && !excluded.includes(user.login.toLowerCase())) {
+          usernames.add(user.login);
+        }
+      });
+
+      Logger.debug(`Found ${usernames.size} participant(s) on PR #${pullNumber}: ${Array.from(usernames).join(', ') || 'none'}`);
+      return { success: true, usernames: Array.from(usernames) };
+    } catch (error) {
+      Logger.error(`Failed to get participants of PR #${pullNumber}`, error);
+      return { success: false, error: error.message, usernames: [] };
+    }
+  }
+
+  /**
+   * Get the dismissal details of a review from the PR timeline. The review webhook payload
+   * doesn't carry the dismissal message, only the timeline's review_dismissed event does.
+   * @param {Object} context - GitHub webhook context
+   * @param {number} pullNumber - Pull request number
+   * @param {number} reviewId - Dismissed review ID
+   * @returns {Promise<Object>} `{ success, message, dismissedBy }`
+   */
+  async getReviewDismissal(context, pullNumber, reviewId) {
+    try {
+      const events = await context.octokit.paginate(context.octokit.issues.listEventsForTimeline, {
+        owner: context.payload.repository.owner.login,
+        repo: context.payload.repository.name,
+        issue_number: pullNumber,
+        per_page: 100
+      });
+
+      const dismissal = events
+        .filter(event => event.event === 'review_dismissed' && event.dismissed_review?.review_id === reviewId)
+        .pop();
+
+      if (!dismissal) {
+        return { success: false, reason: 'not_found' };
+      }
+
+      return {
+        success: true,
+        message: dismissal.dismissed_review.dismissal_message || null,
+        dismissedBy: dismissal.actor?.login || null
+      };
+    } catch (error) {
+      Logger.error(`Failed to get dismissal of review ${reviewId} on PR #${pullNumber}`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * List the repositories of every installation of the app, each with an installation-authenticated
+   * client. Used by scheduled jobs, which run outside of a webhook context.
+   * @returns {Promise<Object>} `{ success, repositories: [{ installationId, octokit, repository }] }`
+   */
+  async getInstallationRepositories() {
+    try {
+      const appOctokit = await this.app.auth();
+      const installations = await appOctokit.paginate(appOctokit.apps.listInstallations, { per_page: 100 });
+      const repositories = [];
+
+      for (const installation of installations) {
+        try {
+          const octokit = await this.app.auth(installation.id);
+          const repos = await octokit.paginate(octokit.apps.listReposAccessibleToInstallation, { per_page: 100 });
+          repos.forEach(repository => repositories.push({ installationId: installation.id, octokit, repository }));
+        } catch (error) {
+          Logger.warn(`Failed to list repositories of installation ${installation.id}`, { error: error.message });
+        }
+      }
+
+      Logger.debug(`Found ${repositories.length} repositories across ${installations.length} installation(s)`);
+      return { success: true, repositories };
+    } catch (error) {
+      Logger.error('Failed to list app installations', error);
+      return { success: false, error: error.message, repositories: [] };
+    }
+  }
+
+  /**
+   * List the open pull requests of the repository in the context
+   * @param {Object} context - GitHub context
+   * @returns {Promise<Object>} `{ success, pullRequests }`
+   */
+  async listOpenPullRequests(context) {
+    try {
+      const pullRequests = await context.octokit.paginate(context.octokit.pulls.list, {
+        owner: context.payload.repository.owner.login,
+        repo: context.payload.repository.name,
+        state: 'open',
+        per_page: 100
+      });
+
+      return { success: true, pullRequests };
+    } catch (error) {
+      Logger.error(`Failed to list open pull requests of ${context.payload.repository.full_name}`, error);
+      return { success: false, error: error.message, pullRequests: [] };
+    }
+  }
+
+  /**
+   * Get when each currently requested reviewer was (last) asked to review, from the PR timeline
+   * @param {Object} context - GitHub context
+   * @param {number} pullNumber - Pull request number
+   * @returns {Promise<Object>} `{ success, requestedAt: { login: Date } }`
+   */
+  async getReviewRequestTimes(context, pullNumber) {
+    try {
+      const events = await context.octokit.paginate(context.octokit.issues.listEventsForTimeline, {
+        owner: context.payload.repository.owner.login,
+        repo: context.payload.repository.name,
+        issue_number: pullNumber,
+        per_page: 100
+      });
+
+      const requestedAt = {};
+      events.forEach(event => {
+        const login = event.requested_reviewer?.login;
+        if (!login) {
+          return;
+        }
+        if (event.event === 'review_requested') {
+          requestedAt[login] = new Date(event.created_at);
+        } else if (event.event === 'review_request_removed') {
+          delete requestedAt[login];
+        }
+      });
+
+      return { success: true, requestedAt };
+    } catch (error) {
+      Logger.error(`Failed to get review requests of PR #${pullNumber}`, error);
+      return { success: false, error: error.message, requestedAt: {} };
+    }
+  }
+
+  /**
+   * Get each reviewer's latest approving or blocking review (comment-only reviews don't count)
+   * @param {Object} context - GitHub context
+   * @param {number} pullNumber - Pull request number
+   * @returns {Promise<Object>} `{ success, reviews: { login: { state, submittedAt } } }`
+   */
+  async getLatestReviews(context, pullNumber) {
+    try {
+      const reviews = await context.octokit.paginate(context.octokit.pulls.listReviews, {
+        owner: context.payload.repository.owner.login,
+        repo: context.payload.repository.name,
+        pull_number: pullNumber,
+        per_page: 100
+      });
+
+      const latest = {};
+      reviews
+        .filter(review => review.user && ['APPROVED', 'CHANGES_REQUESTED', 'DISMISSED'].includes(review.state))
+        .forEach(review => {
+          latest[review.user.login] = { state: review.state, submittedAt: new Date(review.submitted_at) };
+        });
+
+      return { success: true, reviews: latest };
+    } catch (error) {
+      Logger.error(`Failed to get reviews of PR #${pullNumber}`, error);
+      return { success: false, error: error.message, reviews: {} };
+    }
+  }
+
   /**
    * Get specific recipients for different event types
    */
@@ -1,8 +1,9 @@
 /**
  * @fileoverview Core Notification Service
  * @description Main orchestration service that coordinates the entire notification process.
- * Handles event processing, recipient determination, and email generation.
- * Acts as the central coordinator between GitHub events and email notifications.
+ * Handles event processing and recipient determination, then fans each notification out
+ * to the registered notification channels (email, Slack, ...).
+ * Acts as the central coordinator between GitHub events and notification delivery.
  * 
  * @author Jürgen Efeish
  * 
@@ -10,13 +11,16 @@
  * 
  * @requires Logger - Logging utility
  * @requires NotificationValidator - Event validation logic
- * @requires StatusFormatter - Status formatting utilities
- * @requires EmailTemplate - Email template generation
  * @requires AppConfig - Application configuration
+ * @requires RepositoryConfig - Per-repository configuration overrides
+ * @requires EmailChannel - Default channel when none are injected
+ * @requires MemoryStore - Default store when none is injected
  * 
  * @example
  * // Initialize service with dependencies
- * const notificationService = new NotificationService(emailService, githubService, app);
+ * const channels = NotificationChannelFactory.createChannels({ emailService, slackService });
+ * const store = await StoreFactory.create(AppConfig.storage);
+ * const notificationService = new NotificationService(emailService, githubService, app, channels, store);
  * 
  * @example
  * // Send PR notification
@@ -34,20 +38,31 @@
  */
 
 import { Logger } from '../utils/logger.js';
-import { NotificationValidator, StatusFormatter } from '../utils/validators.js';
-import { EmailTemplate } from '../templates/emailTemplate.js';
+import { NotificationValidator } from '../utils/validators.js';
 import { AppConfig } from '../config/appConfig.js';
+import { RepositoryConfig } from '../config/repositoryConfig.js';
+import { EmailChannel } from '../channels/emailChannel.js';
+import { MemoryStore } from '../storage/memoryStore.js';
 
 /**
  * @class NotificationService
  * @description Core notification service that orchestrates the notification process.
- * Coordinates between GitHub events, email generation, and notification delivery.
+ * Coordinates between GitHub events, recipient resolution, and channel delivery.
  */
 export class NotificationService {
-  constructor(emailService, githubService, app) {
+  /**
+   * @param {EmailService} emailService - Email service
+   * @param {GitHubService} githubService - GitHub API service
+   * @param {Object} app - Probot app instance
+   * @param {BaseChannel[]|null} [channels=null] - Notification channels; defaults to email only
+   * @param {BaseStore|null} [store=null] - Dedup and notification log store; defaults to memory
+   */
+  constructor(emailService, githubService, app, channels = null, store = null) {
     this.emailService = emailService;
     this.githubService = githubService;
     this.app = app;
+    this.channels = channels || [new EmailChannel({ emailService })];
+    this.store = store || new MemoryStore();
   }
 
   /**
@@ -58,44 +73,19 @@ export class NotificationService {
       Logger.info(`Processing ${eventType}.${action} for PR notification`);
       
       // Check if notification should be sent (separate from event processing)
-      if (!NotificationValidator.shouldSendNotification(eventType, action)) {
+      const repoConfig = await this.getRepositoryConfig(context);
+      if (!NotificationValidator.shouldSendNotification(eventType, action, repoConfig)) {
         Logger.debug(`Notification for ${eventType}.${action} is disabled`);
         return { success: false, reason: 'Notification disabled' };
       }
 
-      // Validate context
-      const contextValidation = this.githubService.validateContext(context);
-      if (!contextValidation.valid) {
-        throw new Error(`Invalid context: ${contextValidation.errors.join(', ')}`);
-      }
-
-      // Extract PR and repository information
-      const pr = context.payload.pull_request;
-      const repository = this.githubService.getRepositoryInfo(context);
+      const result = await this.deliver(context, eventType, action, data, customRecipients, repoConfig);
       
-      if (!pr) {
-        throw new Error('No pull request found in payload');
+      if (result.recipients) {
+        Logger.info(`PR #${context.payload.pull_request.number} notification sent to ${result.recipients.length} recipient(s): ${result.success ? 'SUCCESS' : 'FAILED'}`);
       }
-
-      // Determine recipients (PR owner + additional)
-      const recipients = await this.determineRecipients(context, pr, customRecipients);
       
-      if (recipients.emails.length === 0) {
-        Logger.warn(`No email recipients found for PR #${pr.number}`);
-        return { success: false, reason: 'No email recipients found' };
-      }
-
-      // Generate and send email
-      const emailData = this.generateEmailContent(data, repository, pr, eventType, action);
-      const sendResult = await this.sendNotifications(recipients.emails, emailData, eventType, action);
-      
-      Logger.info(`PR #${pr.number} notification sent to ${recipients.emails.length} recipient(s): ${sendResult.success ? 'SUCCESS' : 'FAILED'}`);
-      
-      return {
-        success: sendResult.success,
-        summary: sendResult.summary,
-        recipients: recipients.emails
-      };
+      return result;
       
     } catch (error) {
       Logger.error(`Failed to send PR notification for ${eventType}.${action}`, error);
@@ -106,30 +96,122 @@ export class NotificationService {
     }
   }
 
+  /**
+   * Resolve recipients and fan the notification out to all channels that accept it.
+   * Shared by every notification path once the enabled check has passed. Handlers can put
+   * expensive parts of the notification in `data.loadDetails` (an async function returning
+   * fields to add); it is only called once a channel accepted the notification.
+   */
+  async deliver(context, eventType, action, data, customRecipients, repoConfig) {
+    // Validate context
+    const contextValidation = this.githubService.validateContext(context);
+    if (!contextValidation.valid) {
+      throw new Error(`Invalid context: ${contextValidation.errors.join(', ')}`);
+    }
+
+    // Extract PR and repository information
+    const pr = context.payload.pull_request;
+    const repository = this.githubService.getRepositoryInfo(context);
+    
+    if (!pr) {
+      throw new Error('No pull request found in payload');
+    }
+
+    // Determine recipients (PR owner + additional + code owners, filtered by user preferences)
+    const recipients = await this.determineRecipients(context, pr, customRecipients, repoConfig, data.excludeUsers || [], { eventType, action });
+    const { loadDetails, ...notificationData } = data;
+    const notification = this.createNotification(context, eventType, action, notificationData, repository, pr, repoConfig);
+    const channels = this.getChannelsFor(notification, recipients);
+    
+    if (channels.length === 0) {
+      Logger.warn(`No notification channel accepted ${eventType}.${action} for PR #${pr.number}`);
+      return { success: false, reason: 'No notification channel accepted the notification' };
+    }
+
+    if (loadDetails) {
+      try {
+        Object.assign(notification, await loadDetails());
+      } catch (error) {
+        Logger.warn(`Failed to load details of ${eventType}.${action} for PR #${pr.number} - sending without them`, { error: error.message });
+      }
+    }
+
+    const sendResult = await this.sendNotifications(channels, notification, recipients);
+    
+    return {
+      success: sendResult.success,
+      summary: sendResult.summary,
+      channels: sendResult.channels,
+      recipients: recipients.emails
+    };
+  }
+
+  /**
+   * Build the channel-independent notification object from handler data
+   */
+  createNotification(context, eventType, action, data, repository, pr, repoConfig) {
+    return {
+      ...data,
+      context,
+      eventType,
+      action,
+      repository,
+      pullRequest: pr,
+      repoConfig
+    };
+  }
+
+  /**
+   * Get the channels that accept a notification for the resolved recipients
+   */
+  getChannelsFor(notification, recipients) {
+    return this.channels.filter(channel => channel.isEnabledFor(notification, recipients));
+  }
+
+  /**
+   * Load the effective configuration (env defaults + .github/pr-notifications.yml) for the event's repository
+   */
+  async getRepositoryConfig(context) {
+    return RepositoryConfig.load(context);
+  }
+
   /**
    * Determine email recipients for the notification
-   * Always prioritizes PR owner/creator first, then adds additional recipients
+   * Always prioritizes PR owner/creator first, then adds additional recipients.
+   * Users in excludeUsers (e.g. a commenter) are never notified about their own action.
+   * When the event is given, code owners are added and user preferences applied to the result.
+   * @param {{eventType: string, action: string}|null} [event=null] - Event being notified
    */
-  async determineRecipients(context, pr, customRecipients) {
+  async determineRecipients(context, pr, customRecipients, repoConfig = null, excludeUsers = [], event = null) {
+    const config = repoConfig || await this.getRepositoryConfig(context);
     const prCreator = pr.user.login;
+    const excluded = excludeUsers.map(login => login.toLowerCase());
     const recipients = [];
     let prCreatorNotified = false;
     
-    // PR Creator/Owner is ALWAYS the primary recipient
-    const creatorEmailResult = await this.githubService.getUserEmail(context, prCreator);
-    if (creatorEmailResult.success) {
-      recipients.push(creatorEmailResult.email);
-      prCreatorNotified = true;
-      Logger.debug(`PR owner ${prCreator} will be notified at ${creatorEmailResult.email}`);
+    // PR Creator/Owner is ALWAYS the primary recipient - unless they triggered the event themselves
+    if (excluded.includes(prCreator.toLowerCase())) {
+      Logger.debug(`PR owner ${prCreator} triggered this event - not notifying them`);
     } else {
-      Logger.error(`CRITICAL: PR owner ${prCreator} has no accessible email! Reason: ${creatorEmailResult.reason}`, null, {
-        prNumber: pr.number,
-        prCreator: prCreator
-      });
+      let creatorEmailResult = await this.githubService.getUserEmail(context, prCreator);
+      if (!creatorEmailResult.success) {
+        creatorEmailResult = await this.githubService.handlePRCreatorEmailFallback(context, prCreator, config.getCreatorFallback());
+      }
+      if (creatorEmailResult.success) {
+        const creatorEmails = creatorEmailResult.emails || [creatorEmailResult.email];
+        recipients.push(...creatorEmails);
+        prCreatorNotified = true;
+        Logger.debug(`PR owner ${prCreator} will be notified at ${creatorEmails.join(', ')}`);
+      } else {
+        Logger.error(`CRITICAL: PR owner ${prCreator} has no accessible email! Reason: ${creatorEmailResult.reason}`, null, {
+          prNumber: pr.number,
+          prCreator: prCreator
+        });
+      }
     }
     
-    // Add additional recipients (only if enabled via environment flag)
-    const includeAdditionalRecipients = AppConfig.includeAdditionalRecipients();
+    // Add additional recipients (only if enabled via environment flag or repository config)
+    const includeAdditionalRecipients = config.includeAdditionalRecipients();
     
     if (includeAdditionalRecipients) {
       if (customRecipients && customRecipients.length > 0) {
@@ -140,7 +222,7 @@ export class NotificationService {
       } else {
         // Add default additional recipients (assignees, reviewers, configured)
         const prRecipients = await this.githubService.getAdditionalPRRecipients(context, pr, prCreator);
-        const configuredRecipients = await this.getConfiguredAdditionalRecipients(context);
+        const configuredRecipients = await this.getConfiguredAdditionalRecipients(context, config);
         
         const allAdditional = [...prRecipients.emails, ...configuredRecipients.emails];
         const uniqueAdditional = allAdditional.filter(email => !recipients.includes(email));
@@ -149,23 +231,187 @@ export class NotificationService {
         Logger.debug(`Added ${uniqueAdditional.length} additional recipients (${prRecipients.emails.length} from PR, ${configuredRecipients.emails.length} from config)`);
       }
     } else {
-      Logger.debug('Additional recipients disabled via NOTIFY_ADDITIONAL_RECIPIENTS flag - only notifying PR owner');
+      Logger.debug('Additional recipients disabled via NOTIFY_ADDITIONAL_RECIPIENTS flag or repository config - only notifying PR owner');
+    }
+
+    // Drop excluded users that were added as additional recipients (e.g. the commenter as a reviewer)
+    for (const login of excludeUsers) {
+      const excludedEmail = await this.githubService.getUserEmail(context, login);
+      const excludedEmails = excludedEmail.success ? excludedEmail.emails : [];
+      excludedEmails.filter(email => recipients.includes(email)).forEach(email => {
+        recipients.splice(recipients.indexOf(email), 1);
+        Logger.debug(`Not notifying ${login} at ${email} - they triggered this event`);
+      });
     }
     
-    return { 
+    const result = { 
       emails: recipients, 
       summary: { 
         total: recipients.length, 
         prCreatorNotified: prCreatorNotified
       } 
     };
+
+    if (event) {
+      await this.addCodeOwnerRecipients(context, pr, event.eventType, event.action, config, result, excludeUsers);
+      await this.applyRecipientPreferences(context, result, event.eventType, event.action, config);
+    }
+
+    return result;
   }
 
   /**
-   * Get additional recipients from configuration
+   * Apply the `preferences` of the repository config to resolved recipients: users who opted out,
+   * don't want this event or don't want email are removed; `delivery` choices are recorded in
+   * `recipients.delivery` (email address to 'immediate' or 'digest') for the email channel.
+   * Addresses unsubscribed from the repository or category through an email link are removed too.
+   * Finally the quiet-hour windows of the remaining recipients are recorded (see applyQuietHours).
    */
-  async getConfiguredAdditionalRecipients(context) {
-    const config = AppConfig.notifications.additionalRecipients;
+  async applyRecipientPreferences(context, recipients, eventType, action, repoConfig) {
+    const preferences = repoConfig.getUserPreferences();
+    const category = (AppConfig.getNotificationCategory(eventType, action) || '').toLowerCase();
+    const eventKey = `${eventType}.${action}`;
+    recipients.delivery = {};
+
+    const target = { repository: context.payload.repository?.full_name || null, category: category || null };
+    const unsubscribed = [];
+    for (const email of recipients.emails) {
+      if (await this.store.isOptedOut(email, target)) {
+        unsubscribed.push(email);
+      }
+    }
+    if (unsubscribed.length > 0) {
+      recipients.emails = recipients.emails.filter(email => !unsubscribed.includes(email));
+      recipients.summary.unsubscribed = unsubscribed;
+      Logger.debug(`Not notifying ${unsubscribed.join(', ')} about ${eventKey} - unsubscribed`);
+    }
+
+    for (const [login, preference] of Object.entries(preferences)) {
+      const userEmails = await this.githubService.getUserEmail(context, login);
+      const emails = userEmails.success ? userEmails.emails.filter(email => recipients.emails.includes(email)) : [];
+      if (emails.length === 0) {
+        continue;
+      }
+
+      const reason = NotificationService.getPreferenceExclusion(preference, category, eventKey);
+      if (reason) {
+        recipients.emails = recipients.emails.filter(email => !emails.includes(email));
+        recipients.summary.excludedByPreference = [...(recipients.summary.excludedByPreference || []), login];
+        Logger.debug(`Not notifying ${login} about ${eventKey} - ${reason}`);
+      } else if (preference.delivery) {
+        emails.forEach(email => {
+          recipients.delivery[email.toLowerCase()] = preference.delivery;
+        });
+      }
+    }
+
+    recipients.summary.total = recipients.emails.length;
+    await this.applyQuietHours(context, recipients, category, eventKey, repoConfig, preferences);
+  }
+
+  /**
+   * Record the quiet-hour windows of the remaining recipients in `recipients.quietHours` (email
+   * address to QuietHours window) so the email channel holds their copy until the window ends.
+   * A user's own `quiet_hours` preference wins over their team's. Urgent events are not held.
+   */
+  async applyQuietHours(context, recipients, category, eventKey, repoConfig, preferences) {
+    const quietHours = repoConfig.getQuietHours();
+    recipients.quietHours = {};
+    if (NotificationService.matchesEvent(quietHours.urgent, category, eventKey)) {
+      Logger.debug(`${eventKey} is urgent - delivering regardless of quiet hours`);
+      return;
+    }
+
+    const windows = new Map();
+    for (const [team, window] of Object.entries(quietHours.teams)) {
+      const [org, slug] = team.includes('/') ? team.split('/') : [context.payload.repository.owner.login, team];
+      const members = await this.githubService.getTeamMembers(context, org, slug);
+      members.usernames.forEach(login => windows.set(login.toLowerCase(), window));
+    }
+    Object.entries(preferences)
+      .filter(([, preference]) => preference.quietHours)
+      .forEach(([login, preference]) => windows.set(login, preference.quietHours));
+
+    for (const [login, window] of windows) {
+      const userEmails = await this.githubService.getUserEmail(context, login);
+      const emails = userEmails.success ? userEmails.emails.filter(email => recipients.emails.includes(email)) : [];
+      emails.forEach(email => {
+        recipients.quietHours[email.toLowerCase()] = window;
+      });
+    }
+  }
+
+  /**
+   * Check if a list of categories and event keys covers an event
+   * @param {string[]} list - Lowercase categories (`pr_updates`) and event keys (`pull_request.synchronize`)
+   * @param {string} category - Lowercase notification category ('' when uncategorized)
+   * @param {string} eventKey - `eventType.action`
+   * @returns {boolean} True if the event or its category is listed
+   */
+  static matchesEvent(list, category, eventKey) {
+    return list.includes(eventKey) || (category !== '' && list.includes(category));
+  }
+
+  /**
+   * Check a user's preferences against an event
+   * @param {Object} preference - Entry of RepositoryConfig.getUserPreferences()
+   * @param {string} category - Lowercase notification category ('' when uncategorized)
+   * @param {string} eventKey - `eventType.action`
+   * @returns {string|null} Why the user is not notified, or null to notify them
+   */
+  static getPreferenceExclusion(preference, category, eventKey) {
+    const matches = (list) => NotificationService.matchesEvent(list, category, eventKey);
+
+    if (preference.optOut) {
+      return 'opted out';
+    }
+    if (preference.channels && !preference.channels.includes('email')) {
+      return `prefers ${preference.channels.join(', ') || 'no channel'}`;
+    }
+    if (preference.events && !matches(preference.events)) {
+      return 'event not in their events';
+    }
+    if (matches(preference.mute)) {
+      return 'event muted';
+    }
+    return null;
+  }
+
+  /**
+   * Add the code owners of the PR's changed files for the events configured in CODEOWNERS_EVENTS
+   * (or `codeowners.events` in the repository config)
+   */
+  async addCodeOwnerRecipients(context, pr, eventType, action, repoConfig, recipients, excludeUsers = []) {
+    const events = repoConfig ? repoConfig.getCodeOwnerEvents() : AppConfig.codeOwners.events;
+    const conclusion = context.payload.check_run?.conclusion;
+    const eventKeys = [`${eventType}.${action}`];
+    if (eventType === 'check_run' && ['failure', 'timed_out', 'action_required'].includes(conclusion)) {
+      eventKeys.push('checks_failed');
+    }
+
+    if (!eventKeys.some(key => events.includes(key))) {
+      return;
+    }
+
+    try {
+      const codeOwners = await this.githubService.getCodeOwnerRecipients(context, pr, [pr.user.login, ...excludeUsers]);
+      const added = codeOwners.emails.filter(email => !recipients.emails.includes(email));
+      recipients.emails.push(...added);
+      recipients.summary.total = recipients.emails.length;
+      recipients.summary.codeOwners = codeOwners.owners;
+      Logger.debug(`Added ${added.length} code owner recipient(s) for ${eventKeys.join('/')}`);
+    } catch (error) {
+      Logger.warn(`Could not resolve code owners for PR #${pr.number}`, { error: error.message });
+    }
+  }
+
+  /**
+   * Get additional recipients from configuration (repository config lists replace the env lists)
+   */
+  async getConfiguredAdditionalRecipients(context, repoConfig = null) {
+    const config = repoConfig
+      ? repoConfig.getAdditionalRecipients()
+      : AppConfig.notifications.additionalRecipients;
     const recipients = [];
     
     // Add direct email addresses from config
@@ -194,45 +440,51 @@ export class NotificationService {
     };
   }
 
+
   /**
-   * Generate email content
+   * Send a notification through each channel; one failing channel does not stop the others
    */
-  generateEmailContent(data, repository, pr, eventType, action) {
-    const subject = data.subject || EmailTemplate.generateSubject(eventType, action, {
-      pullRequest: pr,
-      statusInfo: data.statusInfo,
-      ...data
-    });
-    
-    const emailData = EmailTemplate.createEmailContent({
-      subject,
-      repository: repository.fullName,
-      pullRequest: pr,
-      event: `${eventType}.${action}`,
-      description: data.description,
-      detailsUrl: data.detailsUrl,
-      statusInfo: data.statusInfo,
-      summary: data.summary
-    });
-    
+  async sendNotifications(channels, notification, recipients) {
+    const results = {};
+
+    for (const channel of channels) {
+      try {
+        results[channel.name] = await channel.send(notification, recipients);
+      } catch (error) {
+        Logger.error(`Channel ${channel.name} failed for ${notification.eventType}.${notification.action}`, error);
+        results[channel.name] = { success: false, reason: error.message };
+      }
+      await this.recordNotification(notification, recipients, channel.name, results[channel.name]);
+    }
+
+    Logger.debug(`Channel results for ${notification.eventType}.${notification.action}: ${Object.entries(results).map(([name, result]) => `${name}=${result.success ? 'ok' : 'failed'}`).join(', ')}`);
+
     return {
-      subject,
-      ...emailData
+      success: Object.values(results).some(result => result.success),
+      summary: results.email?.summary,
+      channels: results
     };
   }
 
   /**
-   * Send notifications to recipients
+   * Record a channel delivery in the store; store errors are logged and never fail the delivery
    */
-  async sendNotifications(recipients, emailData, eventType, action) {
-    return await this.emailService.sendBulkNotifications(
-      recipients,
-      emailData.subject,
-      emailData.htmlContent,
-      emailData.textContent,
-      eventType,
-      action
-    );
+  async recordNotification(notification, recipients, channel, result) {
+    try {
+      await this.store.recordNotification({
+        repository: notification.repository?.fullName || 'unknown',
+        pullRequest: notification.pullRequest?.number ?? null,
+        eventType: notification.eventType,
+        action: notification.action,
+        channel,
+        recipients: recipients.emails,
+        success: Boolean(result?.success)
+      });
+    } catch (error) {
+      Logger.warn(`Failed to record ${channel} notification for ${notification.eventType}.${notification.action}`, {
+        error: error.message
+      });
+    }
   }
 
   /**
@@ -247,44 +499,19 @@ export class NotificationService {
       Logger.info(`Processing ready-to-merge notification`);
       
       // Check if ready-to-merge notifications are enabled
-      if (!NotificationValidator.shouldSendNotification('pull_request', 'ready_to_merge')) {
+      const repoConfig = await this.getRepositoryConfig(context);
+      if (!NotificationValidator.shouldSendNotification('pull_request', 'ready_to_merge', repoConfig)) {
         Logger.debug(`Ready-to-merge notifications are disabled`);
         return { success: false, reason: 'Ready-to-merge notifications disabled' };
       }
 
-      // Validate context
-      const contextValidation = this.githubService.validateContext(context);
-      if (!contextValidation.valid) {
-        throw new Error(`Invalid context: ${contextValidation.errors.join(', ')}`);
-      }
-
-      // Extract PR and repository information
-      const pr = context.payload.pull_request;
-      const repository = this.githubService.getRepositoryInfo(context);
-      
-      if (!pr) {
-        throw new Error('No pull request found in payload');
-      }
-
-      // Determine recipients (PR owner + additional)
-      const recipients = await this.determineRecipients(context, pr, null);
+      const result = await this.deliver(context, 'pull_request', 'ready_to_merge', data, null, repoConfig);
       
-      if (recipients.emails.length === 0) {
-        Logger.warn(`No email recipients found for ready-to-merge PR #${pr.number}`);
-        return { success: false, reason: 'No email recipients found' };
+      if (result.recipients) {
+        Logger.info(`Ready-to-merge notification for PR #${context.payload.pull_request.number} sent to ${result.recipients.length} recipient(s): ${result.success ? 'SUCCESS' : 'FAILED'}`);
       }
-
-      // Generate and send email
-      const emailData = this.generateEmailContent(data, repository, pr, 'pull_request', 'ready_to_merge');
-      const sendResult = await this.sendNotifications(recipients.emails, emailData, 'pull_request', 'ready_to_merge');
-      
-      Logger.info(`Ready-to-merge notification for PR #${pr.number} sent to ${recipients.emails.length} recipient(s): ${sendResult.success ? 'SUCCESS' : 'FAILED'}`);
       
-      return {
-        success: sendResult.success,
-        summary: sendResult.summary,
-        recipients: recipients.emails
-      };
+      return result;
       
     } catch (error) {
       Logger.error(`Failed to send ready-to-merge notification`, error);
@@ -304,6 +531,12 @@ export class NotificationService {
     
     return {
       email: emailConfig,
+      channels: this.channels.map(channel => ({
+        name: channel.name,
+        ...channel.getConfigurationSummary()
+      })),
+      storage: this.store.getConfigurationSummary(),
+      userEmailCache: this.githubService.getCacheStats(),
       enabledEvents: appConfig
     };
   }
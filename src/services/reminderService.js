@@ -0,0 +1,279 @@
+/**
+ * @fileoverview Reminder Service
+ * @description Periodically scans the open pull requests of every installation and emails
+ * reminders for PRs that are stuck: review requests pending for too long, approved PRs that
+ * nobody merges, and drafts nobody touches. Thresholds come from REMINDER_* env vars or the
+ * `reminders` section of the repository config. Each reminder is claimed in the notification
+ * store for the reminder interval, so nobody is reminded about the same PR more than once per
+ * interval - also across restarts.
+ *
+ * @author Jürgen Efeish
+ *
+ * @module ReminderService
+ *
+ * @requires Logger - Logging utility
+ * @requires AppConfig - Application configuration
+ * @requires Scheduler - Recurring scan
+ *
+ * @example
+ * // Start the scheduled scan (REMINDER_SCHEDULE, only when NOTIFY_REMINDERS=true)
+ * const reminderService = new ReminderService(githubService, notificationService);
+ * reminderService.start();
+ *
+ * @example
+ * // Run a scan right away
+ * const result = await reminderService.scan();
+ */
+
+import { Logger } from '../utils/logger.js';
+import { AppConfig } from '../config/appConfig.js';
+import { Scheduler } from '../utils/scheduler.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Subject wording per reminder type
+const REMINDER_TITLES = {
+  review_pending: 'is waiting for review',
+  approved_unmerged: 'is approved but not merged',
+  stale_draft: 'is a stale draft'
+};
+
+/**
+ * @class ReminderService
+ * @description Scheduled scan for stale pull requests. Reminders are sent as
+ * `reminder.review_pending`, `reminder.approved_unmerged` and `reminder.stale_draft`
+ * notifications (REMINDERS category) through the NotificationService.
+ */
+export class ReminderService {
+  constructor(githubService, notificationService) {
+    this.githubService = githubService;
+    this.notificationService = notificationService;
+  }
+
+  /**
+   * @async
+   * @memberof ReminderService
+   * @description Scan every repository of every installation and send due reminders
+   * @returns {Promise<Object>} `{ success, repositories, sent }`
+   */
+  async scan() {
+    const installations = await this.githubService.getInstallationRepositories();
+    if (!installations.success) {
+      return { success: false, error: installations.error };
+    }
+
+    let sent = 0;
+    for (const { installationId, octokit, repository } of installations.repositories) {
+      if (repository.archived) {
+        continue;
+      }
+
+      try {
+        sent += await this.scanRepository(this.createRepositoryContext(installationId, octokit, repository));
+      } catch (error) {
+        Logger.error(`Reminder scan failed for ${repository.full_name}`, error);
+      }
+    }
+
+    Logger.info(`Reminder scan complete: ${sent} reminder(s) sent across ${installations.repositories.length} repositories`);
+    return { success: true, repositories: installations.repositories.length, sent };
+  }
+
+  /**
+   * Send due reminders for the open pull requests of one repository
+   * @param {Object} context - Repository context from createRepositoryContext
+   * @param {Date} [now=new Date()] - Reference time
+   * @returns {Promise<number>} Number of reminders sent
+   */
+  async scanRepository(context, now = new Date()) {
+    const repoConfig = await this.notificationService.getRepositoryConfig(context);
+    if (!Object.keys(REMINDER_TITLES).some(type => repoConfig.isNotificationEnabled('reminder', type))) {
+      Logger.debug(`Reminders disabled for ${context.payload.repository.full_name}`);
+      return 0;
+    }
+
+    const thresholds = repoConfig.getReminderThresholds();
+    const { pullRequests } = await this.githubService.listOpenPullRequests(context);
+
+    let sent = 0;
+    for (const pr of pullRequests) {
+      const reminders = await this.findReminders(context, pr, thresholds, now);
+      for (const reminder of reminders) {
+        if (repoConfig.isNotificationEnabled('reminder', reminder.type) &&
+            await this.sendReminder(context, pr, reminder, thresholds.intervalHours * HOUR)) {
+          sent++;
+        }
+      }
+    }
+    return sent;
+  }
+
+  /**
+   * Work out which reminders are due for a pull request
+   * @param {Object} context - Repository context
+   * @param {Object} pr - Pull request from the pulls list
+   * @param {Object} thresholds - From RepositoryConfig.getReminderThresholds
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object[]>} Due reminders `{ type, usernames, description, summary }`
+   */
+  async findReminders(context, pr, thresholds, now) {
+    const reminders = [];
+    const age = (since) => now.getTime() - new Date(since).getTime();
+
+    // Drafts are only reminded about when they go stale - they aren't up for review or merge yet
+    if (pr.draft) {
+      if (thresholds.staleDraftDays > 0 && age(pr.updated_at) >= thresholds.staleDraftDays * DAY) {
+        const days = Math.floor(age(pr.updated_at) / DAY);
+        reminders.push({
+          type: 'stale_draft',
+          usernames: [],
+          description: `Draft pull request has not been updated for ${days} days`,
+          summary: 'Mark it ready for review, keep working on it, or close it if it is no longer needed.'
+        });
+      }
+      return reminders;
+    }
+
+    const requested = (pr.requested_reviewers || []).map(reviewer => reviewer.login);
+    if (thresholds.reviewPendingHours > 0 && requested.length > 0) {
+      const { requestedAt } = await this.githubService.getReviewRequestTimes(context, pr.number);
+      const overdue = requested.filter(login =>
+        age(requestedAt[login] || pr.created_at) >= thresholds.reviewPendingHours * HOUR
+      );
+
+      if (overdue.length > 0) {
+        reminders.push({
+          type: 'review_pending',
+          usernames: overdue,
+          description: `Review requested from ${overdue.join(', ')} more than ${thresholds.reviewPendingHours} hours ago`,
+          summary: `Waiting for review from: ${overdue.join(', ')}`
+        });
+      }
+    }
+
+    if (thresholds.approvedUnmergedHours > 0) {
+      const { reviews } = await this.githubService.getLatestReviews(context, pr.number);
+      const latest = Object.values(reviews);
+      const approvals = latest.filter(review => review.state === 'APPROVED');
+      const blocked = latest.some(review => review.state === 'CHANGES_REQUESTED');
+
+      if (approvals.length > 0 && !blocked) {
+        const approvedAt = Math.max(...approvals.map(review => review.submittedAt.getTime()));
+        if (age(approvedAt) >= thresholds.approvedUnmergedHours * HOUR) {
+          reminders.push({
+            type: 'approved_unmerged',
+            usernames: [],
+            description: `Approved ${Math.floor(age(approvedAt) / HOUR)} hours ago but not merged yet`,
+            summary: `${approvals.length} approval(s) and no changes requested.`
+          });
+        }
+      }
+    }
+
+    return reminders;
+  }
+
+  /**
+   * Send a reminder unless the same reminder was sent within the interval
+   * @param {Object} context - Repository context
+   * @param {Object} pr - Pull request
+   * @param {Object} reminder - Due reminder from findReminders
+   * @param {number} intervalMs - Minimum time between two identical reminders
+   * @returns {Promise<boolean>} True if the reminder was sent
+   */
+  async sendReminder(context, pr, reminder, intervalMs) {
+    const store = this.notificationService.store;
+    const key = `reminder:${reminder.type}:${context.payload.repository.full_name}#${pr.number}`;
+
+    if (!(await store.claimDedupKey(key, intervalMs))) {
+      Logger.debug(`Reminder ${key} already sent within the last ${intervalMs / HOUR} hours`);
+      return false;
+    }
+
+    const emails = reminder.usernames.length > 0
+      ? (await this.githubService.getBulkUserEmails(context, reminder.usernames)).emails
+      : null;
+
+    const data = {
+      subject: `⏰ Reminder: PR #${pr.number} ${REMINDER_TITLES[reminder.type]}: ${pr.title}`,
+      description: reminder.description,
+      detailsUrl: pr.html_url,
+      statusInfo: { status: 'REMINDER', emoji: '⏰', color: '#fd7e14' },
+      summary: reminder.summary
+    };
+
+    const result = await this.notificationService.sendPRNotification(
+      { ...context, payload: { ...context.payload, pull_request: pr } },
+      'reminder',
+      reminder.type,
+      data,
+      emails
+    );
+
+    if (!result.success) {
+      // Try again on the next scan instead of waiting a whole interval
+      await store.releaseDedupKey(key);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Build the minimal context NotificationService and GitHubService need for a repository,
+   * shaped like a webhook context
+   * @param {number} installationId - Installation ID
+   * @param {Object} octokit - Installation-authenticated client
+   * @param {Object} repository - Repository object
+   * @returns {Object} Context
+   */
+  createRepositoryContext(installationId, octokit, repository) {
+    return {
+      name: 'reminder',
+      octokit,
+      payload: {
+        installation: { id: installationId },
+        repository
+      }
+    };
+  }
+
+  /**
+   * Start the scheduled scan (only when NOTIFY_REMINDERS is true)
+   */
+  start() {
+    const config = AppConfig.reminders;
+    if (!config.enabled) {
+      Logger.debug('Reminders disabled (NOTIFY_REMINDERS) - scan not scheduled');
+      return;
+    }
+
+    try {
+      Scheduler.schedule('reminders', config.schedule, () => this.scan());
+    } catch (error) {
+      Logger.error('Reminder scheduler not started - check REMINDER_SCHEDULE', error);
+    }
+  }
+
+  /**
+   * Stop the scheduled scan
+   */
+  stop() {
+    Scheduler.cancel('reminders');
+  }
+
+  /**
+   * Get configuration summary
+   */
+  getConfigurationSummary() {
+    const config = AppConfig.reminders;
+    return {
+      enabled: config.enabled,
+      schedule: config.schedule,
+      reviewPendingHours: config.reviewPendingHours,
+      approvedUnmergedHours: config.approvedUnmergedHours,
+      staleDraftDays: config.staleDraftDays,
+      intervalHours: config.intervalHours
+    };
+  }
+}
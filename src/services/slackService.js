@@ -0,0 +1,190 @@
+/**
+ * @fileoverview Slack Service
+ * @description Sends notifications to Slack through incoming webhooks. Renders the same
+ * notification data the handlers build for email (subject, description, statusInfo,
+ * detailsUrl) as a Block Kit message, with the status color as the attachment bar.
+ * Which categories are posted, and to which webhook, is configured per NOTIFY_* category.
+ *
+ * @author Jürgen Efeish
+ *
+ * @module SlackService
+ *
+ * @requires Logger - Logging utility
+ * @requires AppConfig - Application configuration
+ *
+ * @example
+ * // Post a notification for a PR event
+ * const slackService = new SlackService();
+ * if (slackService.isEnabledFor('pull_request', 'opened')) {
+ *   const result = await slackService.sendNotification(data, repository, pr, 'pull_request', 'opened');
+ * }
+ */
+
+import { Logger } from '../utils/logger.js';
+import { AppConfig } from '../config/appConfig.js';
+
+/**
+ * @class SlackService
+ * @description Slack incoming-webhook client for notification delivery.
+ */
+export class SlackService {
+  /**
+   * Check if at least one Slack webhook is configured
+   */
+  isConfigured() {
+    const config = AppConfig.slack;
+    return !!config.webhookUrl || Object.keys(config.categoryWebhookUrls).length > 0;
+  }
+
+  /**
+   * Get the webhook URL for an event, preferring the category-specific URL
+   * @param {string} eventType - GitHub event type
+   * @param {string} action - GitHub event action
+   * @returns {string|null} Webhook URL or null if the event is not posted to Slack
+   */
+  getWebhookUrl(eventType, action) {
+    const config = AppConfig.slack;
+    const category = AppConfig.getNotificationCategory(eventType, action);
+
+    if (!category) {
+      return null;
+    }
+
+    if (config.categoryWebhookUrls[category]) {
+      return config.categoryWebhookUrls[category];
+    }
+
+    if (config.categories.length > 0 && !config.categories.includes(category)) {
+      return null;
+    }
+
+    return config.webhookUrl || null;
+  }
+
+  /**
+   * Check if an event should be posted to Slack
+   */
+  isEnabledFor(eventType, action) {
+    return !!this.getWebhookUrl(eventType, action);
+  }
+
+  /**
+   * @async
+   * @memberof SlackService
+   * @description Post a notification to the Slack webhook configured for the event's category
+   *
+   * @param {Object} data - Notification data from BaseHandler.createNotificationData
+   * @param {Object} repository - Repository info from GitHubService.getRepositoryInfo
+   * @param {Object|null} pr - Pull request object
+   * @param {string} eventType - GitHub event type
+   * @param {string} action - GitHub event action
+   * @returns {Promise<Object>} Result object with success status and HTTP status
+   */
+  async sendNotification(data, repository, pr, eventType, action) {
+    const webhookUrl = this.getWebhookUrl(eventType, action);
+    if (!webhookUrl) {
+      Logger.debug(`Slack not configured for ${eventType}.${action} - skipping`);
+      return { success: false, reason: 'Slack not configured for event' };
+    }
+
+    const message = this.buildMessage(data, repository, pr, eventType, action);
+
+    try {
+      Logger.debug(`Posting ${eventType}.${action} notification to Slack`);
+      const response = await fetch(webhookUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(message),
+        signal: AbortSignal.timeout(AppConfig.slack.timeoutMs)
+      });
+
+      if (!response.ok) {
+        const body = await response.text();
+        Logger.error(`❌ Slack webhook returned ${response.status} for ${eventType}.${action}: ${body}`);
+        return { success: false, reason: `Slack webhook returned ${response.status}`, status: response.status };
+      }
+
+      Logger.info(`✅ Slack notification posted for ${eventType}.${action}`);
+      Logger.audit('SLACK_SENT', {
+        eventType,
+        action,
+        repository: repository?.fullName,
+        subject: data.subject
+      });
+      return { success: true, status: response.status };
+    } catch (error) {
+      Logger.error(`❌ Failed to post Slack notification for ${eventType}.${action}`, error);
+      return { success: false, reason: error.message };
+    }
+  }
+
+  /**
+   * Build a Block Kit message from notification data
+   */
+  buildMessage(data, repository, pr, eventType, action) {
+    const { subject, description, detailsUrl, statusInfo } = data;
+    const title = detailsUrl
+      ? `*<${detailsUrl}|${this.escapeText(subject)}>*`
+      : `*${this.escapeText(subject)}*`;
+
+    const contextParts = [
+      statusInfo?.status ? `${statusInfo.emoji ? `${statusInfo.emoji} ` : ''}${statusInfo.status}` : null,
+      repository?.fullName ? this.escapeText(repository.fullName) : null,
+      pr ? `PR #${pr.number}` : null,
+      `${eventType}.${action}`
+    ].filter(Boolean);
+
+    const blocks = [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: description ? `${title}\n${this.escapeText(description)}` : title
+        }
+      },
+      {
+        type: 'context',
+        elements: [{ type: 'mrkdwn', text: contextParts.join(' · ') }]
+      }
+    ];
+
+    if (detailsUrl) {
+      blocks.push({
+        type: 'actions',
+        elements: [{
+          type: 'button',
+          text: { type: 'plain_text', text: 'View details' },
+          url: detailsUrl
+        }]
+      });
+    }
+
+    return {
+      text: subject,
+      attachments: [{
+        color: statusInfo?.color || '#0366d6',
+        blocks
+      }]
+    };
+  }
+
+  /**
+   * Escape the characters Slack treats as control sequences in mrkdwn text
+   */
+  escapeText(text) {
+    if (!text) return '';
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  }
+
+  /**
+   * Get configuration summary
+   */
+  getConfigurationSummary() {
+    const config = AppConfig.slack;
+    return {
+      configured: this.isConfigured(),
+      categories: config.categories.length > 0 ? config.categories : ['ALL'],
+      categoryWebhooks: Object.keys(config.categoryWebhookUrls)
+    };
+  }
+}
@@ -0,0 +1,160 @@
+/**
+ * @fileoverview Email Template Overrides
+ * @description Loads Handlebars templates that replace the built-in HTML email templates, so
+ * branding and layout can change without a deploy. Overrides come from a directory on the
+ * app's host (EMAIL_TEMPLATES_DIR) and from a directory in the notified repository
+ * (`templates.path` in `.github/pr-notifications.yml`, read from the default branch).
+ * Repository templates win over directory templates of the same name; templates neither
+ * provides fall back to the built-in ones (see TemplateRenderer). Both sources are re-read
+ * after EMAIL_TEMPLATES_REFRESH_MS, and a repository's templates right away when a push to
+ * its default branch touches them.
+ *
+ * @author Jürgen Efeish
+ *
+ * @module TemplateService
+ *
+ * @requires Logger - Logging utility
+ * @requires AppConfig - Application configuration
+ * @requires TemplateRenderer - Template file conventions
+ *
+ * @example
+ * // .github/pr-notifications.yml
+ * templates:
+ *   path: .github/email-templates   # layout.hbs, pull_request.opened.hbs, ...
+ *
+ * @example
+ * const templates = await templateService.getTemplates(context, repoConfig);
+ * const html = TemplateRenderer.render('pull_request.opened', data, templates);
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { Logger } from '../utils/logger.js';
+import { AppConfig } from '../config/appConfig.js';
+import { TemplateRenderer, TEMPLATE_EXTENSION } from '../templates/templateRenderer.js';
+
+/**
+ * @class TemplateService
+ * @description Template overrides from a local directory and repository directories.
+ */
+export class TemplateService {
+  constructor(config = AppConfig.emailTemplates) {
+    this.config = config;
+    this.directoryTemplates = new Map();
+    this.directoryLoadedAt = 0;
+    this.repoTemplates = new Map(); // `owner/repo:path` -> { templates, loadedAt }
+  }
+
+  /**
+   * Get the template overrides for a notification
+   * @param {Object} context - GitHub context of the notified repository
+   * @param {RepositoryConfig|null} repoConfig - Effective repository configuration
+   * @returns {Promise<Map<string, string>>} Template name to source (empty without overrides)
+   */
+  async getTemplates(context, repoConfig) {
+    this.refreshDirectory();
+
+    const templatesPath = repoConfig?.getTemplatesPath();
+    if (!templatesPath || !context?.octokit) {
+      return this.directoryTemplates;
+    }
+
+    const repoTemplates = await this.getRepoTemplates(context, templatesPath);
+    return repoTemplates.size > 0
+      ? new Map([...this.directoryTemplates, ...repoTemplates])
+      : this.directoryTemplates;
+  }
+
+  /**
+   * (Re)read EMAIL_TEMPLATES_DIR when it is older than the refresh interval, keeping the
+   * previous templates if it cannot be read
+   */
+  refreshDirectory() {
+    if (!this.config.dir || Date.now() - this.directoryLoadedAt < this.config.refreshMs) {
+      return;
+    }
+
+    this.directoryLoadedAt = Date.now();
+    try {
+      this.directoryTemplates = TemplateRenderer.readDirectory(this.config.dir);
+      Logger.debug(`Loaded ${this.directoryTemplates.size} email template(s) from ${this.config.dir}`);
+    } catch (error) {
+      Logger.error(`Failed to read email templates from ${this.config.dir} - keeping ${this.directoryTemplates.size} previous template(s)`, error);
+    }
+  }
+
+  /**
+   * Get the templates in a directory of the notified repository, cached for the refresh interval
+   * @param {Object} context - GitHub context
+   * @param {string} templatesPath - Directory inside the repository
+   * @returns {Promise<Map<string, string>>} Template name to source
+   */
+  async getRepoTemplates(context, templatesPath) {
+    const key = `${context.payload.repository.full_name.toLowerCase()}:${templatesPath}`;
+    const cached = this.repoTemplates.get(key);
+    if (cached && Date.now() - cached.loadedAt < this.config.refreshMs) {
+      return cached.templates;
+    }
+
+    const owner = context.payload.repository.owner.login;
+    const repo = context.payload.repository.name;
+    const templates = new Map();
+    try {
+      const { data } = await context.octokit.repos.getContent({ owner, repo, path: templatesPath });
+      const files = Array.isArray(data) ? data.filter(file => file.type === 'file' && file.name.endsWith(TEMPLATE_EXTENSION)) : [];
+
+      for (const file of files) {
+        const { data: content } = await context.octokit.repos.getContent({ owner, repo, path: file.path });
+        templates.set(path.basename(file.name, TEMPLATE_EXTENSION), Buffer.from(content.content, content.encoding || 'base64').toString('utf8'));
+      }
+      Logger.debug(`Loaded ${templates.size} email template(s) from ${context.payload.repository.full_name}/${templatesPath}`);
+    } catch (error) {
+      if (error.status !== 404) {
+        Logger.error(`Failed to read email templates from ${context.payload.repository.full_name}/${templatesPath}`, error);
+        return cached ? cached.templates : templates;
+      }
+      Logger.warn(`Email template directory ${templatesPath} not found in ${context.payload.repository.full_name} - using the default templates`);
+    }
+
+    this.repoTemplates.set(key, { templates, loadedAt: Date.now() });
+    return templates;
+  }
+
+  /**
+   * Re-read a repository's templates on the next notification when a push to its default
+   * branch touches its template directory
+   * @param {Object} context - GitHub push webhook context
+   * @returns {boolean} True if cached templates were dropped
+   */
+  handlePush(context) {
+    const { ref, repository, commits = [] } = context.payload;
+    if (!repository || ref !== `refs/heads/${repository.default_branch}`) {
+      return false;
+    }
+
+    const prefix = `${repository.full_name.toLowerCase()}:`;
+    const files = commits.flatMap(commit => [...(commit.added || []), ...(commit.modified || []), ...(commit.removed || [])]);
+    let touched = false;
+
+    for (const key of this.repoTemplates.keys()) {
+      const templatesPath = key.slice(prefix.length);
+      if (key.startsWith(prefix) && files.some(file => file.startsWith(`${templatesPath}/`))) {
+        Logger.info(`Email templates in ${repository.full_name}/${templatesPath} changed - reloading on next notification`);
+        this.repoTemplates.delete(key);
+        touched = true;
+      }
+    }
+    return touched;
+  }
+
+  /**
+   * Get configuration summary
+   */
+  getConfigurationSummary() {
+    this.refreshDirectory();
+    return {
+      directory: this.config.dir || null,
+      overrides: [...this.directoryTemplates.keys()]
+    };
+  }
+}
@@ -0,0 +1,272 @@
+/**
+ * @fileoverview Unsubscribe Service
+ * @description One-click unsubscribe for notification emails. Every email gets signed,
+ * per-recipient links to unsubscribe from the repository or from the notification category,
+ * shown in the footer and sent as RFC 8058 `List-Unsubscribe` / `List-Unsubscribe-Post`
+ * headers. The links point to a route on the Probot server that records the opt-out in the
+ * store; NotificationService then leaves the recipient out of matching notifications.
+ * Requires UNSUBSCRIBE_SECRET (token signing key) and UNSUBSCRIBE_BASE_URL (public URL of the app).
+ *
+ * @author Jürgen Efeish
+ *
+ * @module UnsubscribeService
+ *
+ * @requires crypto - HMAC token signatures
+ * @requires Logger - Logging utility
+ * @requires AppConfig - Application configuration
+ * @requires EmailTemplate - HTML escaping for the confirmation pages
+ *
+ * @example
+ * // Links and headers for one recipient
+ * const links = unsubscribeService.createLinks('octocat@company.com', 'octo-org/monorepo', 'CHECK_RESULTS');
+ * const headers = UnsubscribeService.getHeaders(links);
+ *
+ * @example
+ * // Mount the route (Probot's getRouter)
+ * unsubscribeService.registerRoutes(getRouter(UNSUBSCRIBE_ROUTER_PATH));
+ */
+
+import crypto from 'node:crypto';
+import { Logger } from '../utils/logger.js';
+import { AppConfig } from '../config/appConfig.js';
+import { EmailTemplate } from '../templates/emailTemplate.js';
+
+/**
+ * @constant {string} UNSUBSCRIBE_ROUTER_PATH
+ * @description Path the unsubscribe router is mounted on; the route itself is `/unsubscribe` below it
+ */
+export const UNSUBSCRIBE_ROUTER_PATH = '/pr-notifications';
+
+/**
+ * @constant {string} DIGEST_OPT_OUT_CATEGORY
+ * @description Category of the opt-out that stops digest emails (a digest spans repositories)
+ */
+export const DIGEST_OPT_OUT_CATEGORY = 'DIGEST';
+
+const OPT_OUT_SCOPES = ['repository', 'category'];
+
+/**
+ * @class UnsubscribeService
+ * @description Signed unsubscribe links and the HTTP route recording opt-outs.
+ */
+export class UnsubscribeService {
+  /**
+   * @param {BaseStore} store - Store the opt-outs are recorded in
+   * @param {Object} [config=AppConfig.unsubscribe] - `{ secret, baseUrl }`
+   */
+  constructor(store, config = AppConfig.unsubscribe) {
+    this.store = store;
+    this.config = config;
+  }
+
+  /**
+   * Check if unsubscribe links can be generated
+   */
+  isEnabled() {
+    return !!(this.config.secret && this.config.baseUrl);
+  }
+
+  /**
+   * Create the unsubscribe links of one recipient for a notification
+   * @param {string} email - Recipient address
+   * @param {string} repository - Repository full name
+   * @param {string|null} category - Notification category (e.g. 'CHECK_RESULTS'), null when uncategorized
+   * @returns {{repository: string, repositoryUrl: string, category: (string|null), categoryUrl: (string|null)}|null}
+   * Null when unsubscribe links are not configured
+   */
+  createLinks(email, repository, category) {
+    if (!this.isEnabled()) {
+      return null;
+    }
+
+    return {
+      repository,
+      repositoryUrl: this.getUrl({ email, scope: 'repository', value: repository }),
+      category,
+      categoryUrl: category ? this.getUrl({ email, scope: 'category', value: category }) : null
+    };
+  }
+
+  /**
+   * Create the unsubscribe link of one recipient for a digest email
+   * @param {string} email - Recipient address
+   * @returns {{repository: null, repositoryUrl: null, category: string, categoryUrl: string}|null}
+   * Null when unsubscribe links are not configured
+   */
+  createDigestLinks(email) {
+    if (!this.isEnabled()) {
+      return null;
+    }
+
+    return {
+      repository: null,
+      repositoryUrl: null,
+      category: DIGEST_OPT_OUT_CATEGORY,
+      categoryUrl: this.getUrl({ email, scope: 'category', value: DIGEST_OPT_OUT_CATEGORY })
+    };
+  }
+
+  /**
+   * Build the unsubscribe URL for an opt-out
+   * @param {{email: string, scope: string, value: string}} optOut - Opt-out the link records
+   * @returns {string} Absolute URL
+   */
+  getUrl(optOut) {
+    const baseUrl = this.config.baseUrl.replace(/\/+$/, '');
+    return `${baseUrl}${UNSUBSCRIBE_ROUTER_PATH}/unsubscribe?token=${this.createToken(optOut)}`;
+  }
+
+  /**
+   * Sign an opt-out into a URL-safe token
+   * @param {{email: string, scope: string, value: string}} optOut - Opt-out
+   * @returns {string} `payload.signature`, both base64url
+   */
+  createToken({ email, scope, value }) {
+    const payload = Buffer.from(JSON.stringify({ e: email.toLowerCase(), s: scope, v: value })).toString('base64url');
+    return `${payload}.${this.sign(payload)}`;
+  }
+
+  /**
+   * Verify a token and decode its opt-out
+   * @param {string} token - Token from an unsubscribe link
+   * @returns {{email: string, scope: string, value: string}|null} Null when the token is malformed or forged
+   */
+  verifyToken(token) {
+    const [payload, signature] = String(token || '').split('.');
+    if (!payload || !signature) {
+      return null;
+    }
+
+    const expected = Buffer.from(this.sign(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    try {
+      const { e: email, s: scope, v: value } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      return email && OPT_OUT_SCOPES.includes(scope) && value ? { email, scope, value } : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * HMAC-SHA256 signature of a token payload
+   */
+  sign(payload) {
+    return crypto.createHmac('sha256', this.config.secret).update(payload).digest('base64url');
+  }
+
+  /**
+   * Record the opt-out of a token
+   * @param {string} token - Token from an unsubscribe link
+   * @returns {Promise<Object>} `{ success, optOut }` or `{ success: false, reason }`
+   */
+  async unsubscribe(token) {
+    const optOut = this.verifyToken(token);
+    if (!optOut) {
+      Logger.warn('Rejected unsubscribe request with an invalid token');
+      return { success: false, reason: 'invalid_token' };
+    }
+
+    await this.store.addOptOut(optOut);
+    Logger.info(`${optOut.email} unsubscribed from ${optOut.scope} ${optOut.value}`);
+    Logger.audit('UNSUBSCRIBED', optOut);
+    return { success: true, optOut };
+  }
+
+  /**
+   * Register the unsubscribe route. GET shows a confirmation page (so link scanners don't
+   * unsubscribe anyone), POST records the opt-out - this is also the RFC 8058 one-click request.
+   * @param {Object} router - Express router from Probot's getRouter(UNSUBSCRIBE_ROUTER_PATH)
+   */
+  registerRoutes(router) {
+    router.get('/unsubscribe', (req, res) => {
+      const optOut = this.verifyToken(req.query.token);
+      if (!optOut) {
+        res.status(400).type('html').send(UnsubscribeService.renderPage('Invalid unsubscribe link', 'This link is invalid or incomplete.'));
+        return;
+      }
+
+      res.type('html').send(UnsubscribeService.renderPage(
+        'Unsubscribe',
+        `Stop sending ${UnsubscribeService.describe(optOut)} to ${optOut.email}?`,
+        req.originalUrl
+      ));
+    });
+
+    router.post('/unsubscribe', async (req, res) => {
+      try {
+        const result = await this.unsubscribe(req.query.token);
+        if (!result.success) {
+          res.status(400).type('html').send(UnsubscribeService.renderPage('Invalid unsubscribe link', 'This link is invalid or incomplete.'));
+          return;
+        }
+        res.type('html').send(UnsubscribeService.renderPage(
+          'Unsubscribed',
+          `${result.optOut.email} will no longer receive ${UnsubscribeService.describe(result.optOut)}.`
+        ));
+      } catch (error) {
+        Logger.error('Failed to record unsubscribe request', error);
+        res.status(500).type('html').send(UnsubscribeService.renderPage('Something went wrong', 'Please try again later.'));
+      }
+    });
+
+    Logger.info(`Unsubscribe route registered at ${UNSUBSCRIBE_ROUTER_PATH}/unsubscribe`);
+  }
+
+  /**
+   * Get configuration summary
+   */
+  getConfigurationSummary() {
+    return {
+      enabled: this.isEnabled(),
+      url: this.isEnabled() ? `${this.config.baseUrl.replace(/\/+$/, '')}${UNSUBSCRIBE_ROUTER_PATH}/unsubscribe` : null
+    };
+  }
+
+  /**
+   * Build the RFC 8058 headers for a recipient's links: the repository link, or the category
+   * link of digests
+   * @param {Object|null} links - Result of createLinks or createDigestLinks
+   * @returns {Object} Headers (empty without links)
+   */
+  static getHeaders(links) {
+    if (!links) {
+      return {};
+    }
+    return {
+      'List-Unsubscribe': `<${links.repositoryUrl || links.categoryUrl}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    };
+  }
+
+  /**
+   * Describe what an opt-out stops, e.g. "notifications for octo-org/monorepo"
+   */
+  static describe({ scope, value }) {
+    return scope === 'repository'
+      ? `notifications for ${value}`
+      : `${value.toLowerCase().replace(/_/g, ' ')} notifications`;
+  }
+
+  /**
+   * Render a minimal HTML page, with a confirmation button when an action URL is given
+   */
+  static renderPage(title, message, actionUrl = null) {
+    const escape = (text) => EmailTemplate.escapeHtml(text);
+    const form = actionUrl
+      ? `<form method="post" action="${escape(actionUrl)}"><button type="submit">Unsubscribe</button></form>`
+      : '';
+    return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${escape(title)}</title></head>
+<body style="font-family: Arial, sans-serif; padding: 20px;">
+  <h2>${escape(title)}</h2>
+  <p>${escape(message)}</p>
+  ${form}
+</body>
+</html>`;
+  }
+}
@@ -0,0 +1,171 @@
+/**
+ * @fileoverview Outbound Webhook Service
+ * @description Delivers JSON payloads to the configured outbound webhook URLs. Each request body
+ * is signed with HMAC-SHA256 (same scheme as GitHub's `X-Hub-Signature-256`) and non-2xx
+ * responses or network errors are retried with exponential backoff. Deliveries run inside the
+ * GitHub webhook handler, so all attempts together are capped at MAX_DELIVERY_TIME_MS: a retry
+ * that would not finish in time is skipped, and request timeouts are shortened to the time left.
+ *
+ * @author Jürgen Efeish
+ *
+ * @module WebhookService
+ *
+ * @requires crypto - HMAC signing and delivery IDs
+ * @requires Logger - Logging utility
+ * @requires AppConfig - Application configuration
+ *
+ * @example
+ * // Deliver a payload to all configured URLs
+ * const webhookService = new WebhookService();
+ * const result = await webhookService.deliver(payload, 'pull_request.opened');
+ *
+ * @example
+ * // Verify a delivery on the receiving side
+ * const valid = WebhookService.sign(rawBody, secret) === req.headers['x-pr-notification-signature-256'];
+ */
+
+import crypto from 'crypto';
+import { Logger } from '../utils/logger.js';
+import { AppConfig } from '../config/appConfig.js';
+
+const MAX_DELIVERY_TIME_MS = 5000; // all attempts to all URLs, well below GitHub's 10s webhook timeout
+
+/**
+ * @class WebhookService
+ * @description HTTP client for signed outbound webhook deliveries with retries.
+ */
+export class WebhookService {
+  /**
+   * Check if at least one outbound webhook URL is configured
+   */
+  isConfigured() {
+    return AppConfig.outboundWebhooks.urls.length > 0;
+  }
+
+  /**
+   * Check if an event's category is delivered to the outbound webhooks
+   * @param {string} eventType - GitHub event type
+   * @param {string} action - GitHub event action
+   * @returns {boolean} True if the event should be delivered
+   */
+  isEnabledFor(eventType, action) {
+    const config = AppConfig.outboundWebhooks;
+    if (config.urls.length === 0) {
+      return false;
+    }
+
+    const category = AppConfig.getNotificationCategory(eventType, action);
+    if (!category) {
+      return false;
+    }
+
+    return config.categories.length === 0 || config.categories.includes(category);
+  }
+
+  /**
+   * Compute the signature header value for a request body
+   * @param {string} body - Raw JSON request body
+   * @param {string} secret - Shared secret
+   * @returns {string} `sha256=<hex digest>`
+   */
+  static sign(body, secret) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+  }
+
+  /**
+   * @async
+   * @memberof WebhookService
+   * @description Deliver a payload to every configured URL
+   *
+   * @param {Object} payload - JSON-serializable payload
+   * @param {string} event - Event name for the `X-PR-Notification-Event` header
+   * @returns {Promise<Object>} Result with per-URL delivery details
+   */
+  async deliver(payload, event) {
+    const config = AppConfig.outboundWebhooks;
+    const body = JSON.stringify(payload);
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'PR-Notification-App',
+      'X-PR-Notification-Event': event,
+      'X-PR-Notification-Delivery': payload.id || crypto.randomUUID()
+    };
+
+    if (config.secret) {
+      headers['X-PR-Notification-Signature-256'] = WebhookService.sign(body, config.secret);
+    } else {
+      Logger.warn('OUTBOUND_WEBHOOK_SECRET not configured - outbound webhook deliveries are unsigned');
+    }
+
+    const deadline = Date.now() + MAX_DELIVERY_TIME_MS;
+    const deliveries = await Promise.all(config.urls.map(url => this.deliverWithRetry(url, body, headers, config, deadline)));
+
+    const successCount = deliveries.filter(delivery => delivery.success).length;
+    Logger.info(`Outbound webhook ${event}: ${successCount}/${deliveries.length} deliveries succeeded`);
+
+    return {
+      success: successCount > 0,
+      deliveries
+    };
+  }
+
+  /**
+   * POST to a single URL, retrying non-2xx responses and network errors with exponential backoff
+   * until the attempts or the time up to `deadline` run out
+   */
+  async deliverWithRetry(url, body, headers, config, deadline = Date.now() + MAX_DELIVERY_TIME_MS) {
+    const maxAttempts = config.maxRetries + 1;
+    let lastError = null;
+    let attempt = 1;
+
+    for (; attempt <= maxAttempts; attempt++) {
+      try {
+        const response = await fetch(url, {
+          method: 'POST',
+          headers,
+          body,
+          signal: AbortSignal.timeout(Math.max(1, Math.min(config.timeoutMs, deadline - Date.now())))
+        });
+
+        if (response.ok) {
+          Logger.debug(`Outbound webhook delivered to ${url} (attempt ${attempt}, status ${response.status})`);
+          Logger.audit('WEBHOOK_DELIVERED', { url, event: headers['X-PR-Notification-Event'], status: response.status, attempts: attempt });
+          return { url, success: true, status: response.status, attempts: attempt };
+        }
+
+        lastError = `HTTP ${response.status}`;
+      } catch (error) {
+        lastError = error.message;
+      }
+
+      if (attempt === maxAttempts) {
+        break;
+      }
+
+      const delay = config.retryDelayMs * Math.pow(2, attempt - 1);
+      if (Date.now() + delay >= deadline) {
+        Logger.warn(`Outbound webhook to ${url} failed (${lastError}) - no time left for a retry within ${MAX_DELIVERY_TIME_MS}ms`);
+        break;
+      }
+
+      Logger.warn(`Outbound webhook to ${url} failed (${lastError}) - retrying in ${delay}ms (attempt ${attempt}/${maxAttempts})`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+
+    Logger.error(`❌ Outbound webhook to ${url} failed after ${attempt} attempt(s): ${lastError}`);
+    return { url, success: false, reason: lastError, attempts: attempt };
+  }
+
+  /**
+   * Get configuration summary
+   */
+  getConfigurationSummary() {
+    const config = AppConfig.outboundWebhooks;
+    return {
+      configured: this.isConfigured(),
+      urls: config.urls.length,
+      signed: !!config.secret,
+      categories: config.categories.length > 0 ? config.categories : ['ALL']
+    };
+  }
+}
@@ -0,0 +1,287 @@
+/**
+ * @fileoverview Notification Store Base Class
+ * @description Storage abstraction for state that has to outlive a single process: dedup keys
+ * with a TTL (e.g. the 30-minute ready-to-merge suppression) and the log of sent notifications.
+ * Backends implement the async BaseStore interface; StoreFactory picks one from STORAGE_BACKEND.
+ *
+ * @author Jürgen Efeish
+ *
+ * @module BaseStore
+ *
+ * @example
+ * // Suppress duplicates for 30 minutes, across restarts and replicas sharing the store
+ * if (await store.claimDedupKey(`ready_to_merge:${repo}#${pr.number}`, 30 * 60 * 1000)) {
+ *   // first claim - send the notification
+ * }
+ */
+
+/**
+ * @typedef {Object} NotificationRecord
+ * @property {string} repository - Repository full name
+ * @property {number|null} pullRequest - Pull request number
+ * @property {string} eventType - GitHub event type
+ * @property {string} action - Event action
+ * @property {string} channel - Channel name (email, slack, ...)
+ * @property {string[]} recipients - Resolved recipients
+ * @property {boolean} success - Delivery result
+ * @property {string} [sentAt] - ISO timestamp, set by the store when omitted
+ */
+
+/**
+ * @typedef {Object} OutboxEntry
+ * @property {number} id - Outbox entry id
+ * @property {Object} message - Rendered message (e.g. nodemailer mail options plus event info)
+ * @property {number} attempts - Delivery attempts so far
+ * @property {string|null} lastError - Error of the last failed attempt
+ * @property {string} status - `pending` or `dead`
+ * @property {string} createdAt - ISO timestamp
+ * @property {string} updatedAt - ISO timestamp of the last status change
+ * @property {number} nextAttemptAt - Epoch ms when the entry is next due (or its lease expires)
+ */
+
+/**
+ * @typedef {Object} OptOut
+ * @property {string} email - Lowercase email address
+ * @property {string} scope - `repository` or `category`
+ * @property {string} value - Repository full name or notification category (lowercase)
+ * @property {string} [createdAt] - ISO timestamp
+ */
+
+/**
+ * @typedef {Object} DigestEntry
+ * @property {number} id - Queue entry id
+ * @property {string} recipient - Lowercase email address
+ * @property {Object} entry - Digest line of a notification (see DigestService.enqueue)
+ * @property {number} attempts - Digest emails with this entry that failed so far
+ * @property {string} queuedAt - ISO timestamp
+ */
+
+/**
+ * @typedef {Object} EmailThread
+ * @property {string} messageId - Message-ID of the first email of the pull request (with angle brackets)
+ * @property {string} subject - Subject of that email, which replies reuse
+ * @property {string} [createdAt] - ISO timestamp
+ */
+
+/**
+ * @abstract
+ * @class BaseStore
+ * @description Interface all storage backends implement. All methods are async so that
+ * network-backed stores can be added without changing callers.
+ */
+export class BaseStore {
+  /**
+   * Name of the backend (set by subclasses)
+   */
+  static backendName = 'base';
+
+  get name() {
+    return this.constructor.backendName;
+  }
+
+  /**
+   * Atomically claim a dedup key. Succeeds if the key does not exist or has expired.
+   * @param {string} key - Dedup key
+   * @param {number} ttlMs - How long the claim suppresses duplicates
+   * @returns {Promise<boolean>} True if the key was claimed by this call
+   */
+  async claimDedupKey(key, ttlMs) {
+    throw new Error('claimDedupKey must be implemented by subclass');
+  }
+
+  /**
+   * Check if an unexpired dedup key exists
+   * @param {string} key - Dedup key
+   * @returns {Promise<boolean>} True if the key is active
+   */
+  async hasDedupKey(key) {
+    throw new Error('hasDedupKey must be implemented by subclass');
+  }
+
+  /**
+   * Remove a dedup key (e.g. when the guarded notification failed)
+   * @param {string} key - Dedup key
+   */
+  async releaseDedupKey(key) {
+    throw new Error('releaseDedupKey must be implemented by subclass');
+  }
+
+  /**
+   * Record a sent notification
+   * @param {NotificationRecord} record - Notification details
+   */
+  async recordNotification(record) {
+    throw new Error('recordNotification must be implemented by subclass');
+  }
+
+  /**
+   * Get recorded notifications, newest first
+   * @param {Object} [filter={}] - Optional `repository`, `pullRequest` and `limit` (default 50)
+   * @returns {Promise<NotificationRecord[]>} Matching records
+   */
+  async getNotifications(filter = {}) {
+    throw new Error('getNotifications must be implemented by subclass');
+  }
+
+  /**
+   * Add a message to the outbox. The entry starts leased for `leaseMs` so the caller can make
+   * the first delivery attempt itself without the outbox worker picking it up concurrently.
+   * @param {Object} message - Rendered message
+   * @param {number} leaseMs - Initial lease
+   * @returns {Promise<OutboxEntry>} Stored entry
+   */
+  async enqueueOutbox(message, leaseMs) {
+    throw new Error('enqueueOutbox must be implemented by subclass');
+  }
+
+  /**
+   * Lease pending outbox entries that are due. Entries whose lease expires without being
+   * completed or rescheduled (e.g. the process crashed mid-send) become due again.
+   * @param {number} limit - Maximum number of entries
+   * @param {number} leaseMs - Lease duration
+   * @returns {Promise<OutboxEntry[]>} Leased entries, oldest first
+   */
+  async claimOutbox(limit, leaseMs) {
+    throw new Error('claimOutbox must be implemented by subclass');
+  }
+
+  /**
+   * Remove a delivered entry from the outbox
+   * @param {number} id - Outbox entry id
+   */
+  async completeOutbox(id) {
+    throw new Error('completeOutbox must be implemented by subclass');
+  }
+
+  /**
+   * Record a failed attempt and schedule the next one
+   * @param {number} id - Outbox entry id
+   * @param {Object} update - `attempts`, `nextAttemptAt` (epoch ms) and `error`
+   */
+  async rescheduleOutbox(id, update) {
+    throw new Error('rescheduleOutbox must be implemented by subclass');
+  }
+
+  /**
+   * Move an entry to the dead letters; it will not be attempted again
+   * @param {number} id - Outbox entry id
+   * @param {Object} update - `attempts` and `error`
+   */
+  async deadLetterOutbox(id, update) {
+    throw new Error('deadLetterOutbox must be implemented by subclass');
+  }
+
+  /**
+   * Get outbox entries by status, newest first
+   * @param {string} [status='dead'] - `pending` or `dead`
+   * @param {number} [limit=50] - Maximum number of entries
+   * @returns {Promise<OutboxEntry[]>} Entries
+   */
+  async getOutbox(status = 'dead', limit = 50) {
+    throw new Error('getOutbox must be implemented by subclass');
+  }
+
+  /**
+   * Count outbox entries per status
+   * @returns {Promise<{pending: number, dead: number}>} Counts
+   */
+  async getOutboxCounts() {
+    throw new Error('getOutboxCounts must be implemented by subclass');
+  }
+
+  /**
+   * Remember the email a user authored commits with
+   * @param {string} login - GitHub login
+   * @param {string} email - Git author email
+   */
+  async setCommitEmail(login, email) {
+    throw new Error('setCommitEmail must be implemented by subclass');
+  }
+
+  /**
+   * Get the remembered commit author email of a user
+   * @param {string} login - GitHub login
+   * @returns {Promise<string|null>} Email or null when none is known
+   */
+  async getCommitEmail(login) {
+    throw new Error('getCommitEmail must be implemented by subclass');
+  }
+
+  /**
+   * Queue a notification for a recipient's next digest email
+   * @param {string} recipient - Email address
+   * @param {Object} entry - Digest line of the notification
+   * @param {number} [attempts=0] - Failed digest emails the entry was already part of
+   * @returns {Promise<DigestEntry>} The queued entry
+   */
+  async enqueueDigest(recipient, entry, attempts = 0) {
+    throw new Error('enqueueDigest must be implemented by subclass');
+  }
+
+  /**
+   * List the recipients with queued digest entries
+   * @returns {Promise<Array<{recipient: string, count: number}>>} Recipients and their number of entries
+   */
+  async listDigests() {
+    throw new Error('listDigests must be implemented by subclass');
+  }
+
+  /**
+   * Remove and return all queued digest entries of a recipient. Entries are returned to exactly
+   * one caller, so replicas flushing at the same time don't send the same digest twice.
+   * @param {string} recipient - Email address
+   * @returns {Promise<DigestEntry[]>} The removed entries, oldest first
+   */
+  async clearDigest(recipient) {
+    throw new Error('clearDigest must be implemented by subclass');
+  }
+
+  /**
+   * Record that a recipient unsubscribed from a repository or a notification category
+   * @param {OptOut} optOut - Email, scope and value; recording the same opt-out twice is a no-op
+   */
+  async addOptOut(optOut) {
+    throw new Error('addOptOut must be implemented by subclass');
+  }
+
+  /**
+   * Check if a recipient unsubscribed from the repository or the category of a notification
+   * @param {string} email - Email address
+   * @param {Object} target - `repository` full name and `category` (either may be null)
+   * @returns {Promise<boolean>} True if an opt-out matches
+   */
+  async isOptedOut(email, target) {
+    throw new Error('isOptedOut must be implemented by subclass');
+  }
+
+  /**
+   * Record the first email of a pull request's thread, unless one is recorded already
+   * @param {string} key - Thread key (`owner/repo#number`)
+   * @param {EmailThread} thread - Message-ID and subject of the email about to be sent
+   * @returns {Promise<EmailThread>} The recorded thread: `thread` on the first claim, the earlier one otherwise
+   */
+  async claimThreadRoot(key, thread) {
+    throw new Error('claimThreadRoot must be implemented by subclass');
+  }
+
+  /**
+   * Delete expired dedup keys, and notification records and dead letters older than the retention period
+   * @param {number} retentionMs - Age after which notification records and dead letters are deleted
+   * @returns {Promise<Object>} Number of deleted dedup keys, notifications and dead letters
+   */
+  async purgeExpired(retentionMs) {
+    throw new Error('purgeExpired must be implemented by subclass');
+  }
+
+  /**
+   * Release resources held by the backend
+   */
+  async close() {}
+
+  /**
+   * Get configuration summary
+   */
+  getConfigurationSummary() {
+    return { backend: this.name };
+  }
+}
@@ -0,0 +1,213 @@
+/**
+ * @fileoverview In-Memory Notification Store
+ * @description BaseStore backend that keeps everything in process memory. Used by tests and
+ * as the fallback when no persistent backend is available; state is lost on restart.
+ *
+ * @author Jürgen Efeish
+ *
+ * @module MemoryStore
+ * @extends BaseStore
+ *
+ * @example
+ * const store = new MemoryStore();
+ * await store.claimDedupKey('deployment:42:success', 5 * 60 * 1000); // true
+ * await store.claimDedupKey('deployment:42:success', 5 * 60 * 1000); // false
+ */
+
+import { BaseStore } from './baseStore.js';
+
+/**
+ * @class MemoryStore
+ * @extends BaseStore
+ * @description In-process storage backend.
+ */
+export class MemoryStore extends BaseStore {
+  static backendName = 'memory';
+
+  constructor() {
+    super();
+    this.dedupKeys = new Map();
+    this.notifications = [];
+    this.outbox = new Map();
+    this.nextOutboxId = 1;
+    this.optOuts = new Map();
+    this.threads = new Map();
+    this.digests = [];
+    this.commitEmails = new Map();
+    this.nextDigestId = 1;
+  }
+
+  async claimDedupKey(key, ttlMs) {
+    if (await this.hasDedupKey(key)) {
+      return false;
+    }
+    this.dedupKeys.set(key, Date.now() + ttlMs);
+    return true;
+  }
+
+  async hasDedupKey(key) {
+    const expiresAt = this.dedupKeys.get(key);
+    if (expiresAt === undefined) {
+      return false;
+    }
+    if (expiresAt <= Date.now()) {
+      this.dedupKeys.delete(key);
+      return false;
+    }
+    return true;
+  }
+
+  async releaseDedupKey(key) {
+    this.dedupKeys.delete(key);
+  }
+
+  async recordNotification(record) {
+    this.notifications.push({ ...record, sentAt: record.sentAt || new Date().toISOString() });
+  }
+
+  async getNotifications({ repository, pullRequest, limit = 50 } = {}) {
+    return this.notifications
+      .filter(record => !repository || record.repository === repository)
+      .filter(record => pullRequest === undefined || record.pullRequest === pullRequest)
+      .reverse()
+      .slice(0, limit);
+  }
+
+  async enqueueOutbox(message, leaseMs) {
+    const entry = {
+      id: this.nextOutboxId++,
+      message,
+      attempts: 0,
+      lastError: null,
+      status: 'pending',
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      nextAttemptAt: Date.now() + leaseMs
+    };
+    this.outbox.set(entry.id, entry);
+    return { ...entry };
+  }
+
+  async claimOutbox(limit, leaseMs) {
+    const now = Date.now();
+    const due = Array.from(this.outbox.values())
+      .filter(entry => entry.status === 'pending' && entry.nextAttemptAt <= now)
+      .slice(0, limit);
+
+    due.forEach(entry => {
+      entry.nextAttemptAt = now + leaseMs;
+    });
+    return due.map(entry => ({ ...entry }));
+  }
+
+  async completeOutbox(id) {
+    this.outbox.delete(id);
+  }
+
+  async rescheduleOutbox(id, { attempts, nextAttemptAt, error }) {
+    const entry = this.outbox.get(id);
+    if (entry) {
+      Object.assign(entry, { attempts, nextAttemptAt, lastError: error, updatedAt: new Date().toISOString() });
+    }
+  }
+
+  async deadLetterOutbox(id, { attempts, error }) {
+    const entry = this.outbox.get(id);
+    if (entry) {
+      Object.assign(entry, { attempts, status: 'dead', lastError: error, updatedAt: new Date().toISOString() });
+    }
+  }
+
+  async getOutbox(status = 'dead', limit = 50) {
+    return Array.from(this.outbox.values())
+      .filter(entry => entry.status === status)
+      .reverse()
+      .slice(0, limit)
+      .map(entry => ({ ...entry }));
+  }
+
+  async getOutboxCounts() {
+    const counts = { pending: 0, dead: 0 };
+    this.outbox.forEach(entry => counts[entry.status]++);
+    return counts;
+  }
+
+  async setCommitEmail(login, email) {
+    this.commitEmails.set(login.toLowerCase(), email);
+  }
+
+  async getCommitEmail(login) {
+    return this.commitEmails.get(login.toLowerCase()) || null;
+  }
+
+  async enqueueDigest(recipient, entry, attempts = 0) {
+    const digestEntry = {
+      id: this.nextDigestId++,
+      recipient: recipient.toLowerCase(),
+      entry,
+      attempts,
+      queuedAt: new Date().toISOString()
+    };
+    this.digests.push(digestEntry);
+    return { ...digestEntry };
+  }
+
+  async listDigests() {
+    const counts = new Map();
+    this.digests.forEach(({ recipient }) => counts.set(recipient, (counts.get(recipient) || 0) + 1));
+    return Array.from(counts, ([recipient, count]) => ({ recipient, count }));
+  }
+
+  async clearDigest(recipient) {
+    const address = recipient.toLowerCase();
+    const cleared = this.digests.filter(digestEntry => digestEntry.recipient === address);
+    this.digests = this.digests.filter(digestEntry => digestEntry.recipient !== address);
+    return cleared;
+  }
+
+  async addOptOut({ email, scope, value }) {
+    const optOut = { email: email.toLowerCase(), scope, value: value.toLowerCase() };
+    const key = `${optOut.email}|${scope}|${optOut.value}`;
+    if (!this.optOuts.has(key)) {
+      this.optOuts.set(key, { ...optOut, createdAt: new Date().toISOString() });
+    }
+  }
+
+  async isOptedOut(email, { repository = null, category = null } = {}) {
+    const address = email.toLowerCase();
+    return (!!repository && this.optOuts.has(`${address}|repository|${repository.toLowerCase()}`)) ||
+      (!!category && this.optOuts.has(`${address}|category|${category.toLowerCase()}`));
+  }
+
+  async claimThreadRoot(key, { messageId, subject }) {
+    if (!this.threads.has(key)) {
+      this.threads.set(key, { messageId, subject, createdAt: new Date().toISOString() });
+    }
+    return { ...this.threads.get(key) };
+  }
+
+  async purgeExpired(retentionMs) {
+    const now = Date.now();
+    let dedupKeys = 0;
+    for (const [key, expiresAt] of this.dedupKeys.entries()) {
+      if (expiresAt <= now) {
+        this.dedupKeys.delete(key);
+        dedupKeys++;
+      }
+    }
+
+    const cutoff = now - retentionMs;
+    const before = this.notifications.length;
+    this.notifications = this.notifications.filter(record => Date.parse(record.sentAt) >= cutoff);
+
+    let deadLetters = 0;
+    for (const [id, entry] of this.outbox.entries()) {
+      if (entry.status === 'dead' && Date.parse(entry.updatedAt) < cutoff) {
+        this.outbox.delete(id);
+        deadLetters++;
+      }
+    }
+
+    return { dedupKeys, notifications: before - this.notifications.length, deadLetters };
+  }
+}
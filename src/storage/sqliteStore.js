@@ -0,0 +1,362 @@
+/**
+ * @fileoverview SQLite Notification Store
+ * @description BaseStore backend persisted to a SQLite file via better-sqlite3. The database runs
+ * in WAL mode with a busy timeout, so several app processes on the same host (or sharing a volume)
+ * can use one file; dedup claims are a single atomic upsert.
+ *
+ * @author Jürgen Efeish
+ *
+ * @module SqliteStore
+ * @extends BaseStore
+ *
+ * @requires better-sqlite3 - SQLite driver
+ *
+ * @example
+ * const store = new SqliteStore('data/pr-notifications.db');
+ * await store.recordNotification({ repository: 'octo-org/monorepo', pullRequest: 42, ... });
+ */
+
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { BaseStore } from './baseStore.js';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS dedup_keys (
+    key TEXT PRIMARY KEY,
+    expires_at INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS dedup_keys_expires_at ON dedup_keys (expires_at);
+
+  CREATE TABLE IF NOT EXISTS notifications (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    repository TEXT NOT NULL,
+    pull_request INTEGER,
+    event_type TEXT NOT NULL,
+    action TEXT,
+    channel TEXT NOT NULL,
+    recipients TEXT NOT NULL,
+    success INTEGER NOT NULL,
+    sent_at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS notifications_pull_request ON notifications (repository, pull_request);
+
+  CREATE TABLE IF NOT EXISTS outbox (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    message TEXT NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    status TEXT NOT NULL DEFAULT 'pending',
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    next_attempt_at INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS outbox_due ON outbox (status, next_attempt_at);
+
+  CREATE TABLE IF NOT EXISTS opt_outs (
+    email TEXT NOT NULL,
+    scope TEXT NOT NULL,
+    value TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    PRIMARY KEY (email, scope, value)
+  );
+
+  CREATE TABLE IF NOT EXISTS commit_emails (
+    login TEXT PRIMARY KEY,
+    email TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS digest_queue (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    recipient TEXT NOT NULL,
+    entry TEXT NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    queued_at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS digest_queue_recipient ON digest_queue (recipient);
+
+  CREATE TABLE IF NOT EXISTS email_threads (
+    thread_key TEXT PRIMARY KEY,
+    message_id TEXT NOT NULL,
+    subject TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  );
+`;
+
+/**
+ * @class SqliteStore
+ * @extends BaseStore
+ * @description File-backed storage backend.
+ */
+export class SqliteStore extends BaseStore {
+  static backendName = 'sqlite';
+
+  /**
+   * @param {string} filename - Database file (created with its directory if missing), or ':memory:'
+   */
+  constructor(filename) {
+    super();
+    this.filename = filename;
+
+    if (filename !== ':memory:') {
+      fs.mkdirSync(path.dirname(path.resolve(filename)), { recursive: true });
+    }
+
+    this.db = new Database(filename);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('busy_timeout = 5000');
+    this.db.exec(SCHEMA);
+
+    this.statements = {
+      claim: this.db.prepare(`
+        INSERT INTO dedup_keys (key, expires_at) VALUES (@key, @expiresAt)
+        ON CONFLICT (key) DO UPDATE SET expires_at = excluded.expires_at
+        WHERE dedup_keys.expires_at <= @now
+      `),
+      has: this.db.prepare('SELECT 1 FROM dedup_keys WHERE key = ? AND expires_at > ?'),
+      release: this.db.prepare('DELETE FROM dedup_keys WHERE key = ?'),
+      record: this.db.prepare(`
+        INSERT INTO notifications (repository, pull_request, event_type, action, channel, recipients, success, sent_at)
+        VALUES (@repository, @pullRequest, @eventType, @action, @channel, @recipients, @success, @sentAt)
+      `),
+      enqueueOutbox: this.db.prepare(`
+        INSERT INTO outbox (message, created_at, updated_at, next_attempt_at)
+        VALUES (@message, @now, @now, @nextAttemptAt)
+        RETURNING *
+      `),
+      claimOutbox: this.db.prepare(`
+        UPDATE outbox SET next_attempt_at = @leaseUntil
+        WHERE id IN (
+          SELECT id FROM outbox WHERE status = 'pending' AND next_attempt_at <= @now ORDER BY id LIMIT @limit
+        )
+        RETURNING *
+      `),
+      completeOutbox: this.db.prepare('DELETE FROM outbox WHERE id = ?'),
+      rescheduleOutbox: this.db.prepare(`
+        UPDATE outbox SET attempts = @attempts, next_attempt_at = @nextAttemptAt, last_error = @error, updated_at = @now
+        WHERE id = @id
+      `),
+      deadLetterOutbox: this.db.prepare(`
+        UPDATE outbox SET status = 'dead', attempts = @attempts, last_error = @error, updated_at = @now
+        WHERE id = @id
+      `),
+      listOutbox: this.db.prepare('SELECT * FROM outbox WHERE status = ? ORDER BY id DESC LIMIT ?'),
+      countOutbox: this.db.prepare('SELECT status, COUNT(*) AS count FROM outbox GROUP BY status'),
+      setCommitEmail: this.db.prepare(`
+        INSERT INTO commit_emails (login, email, updated_at) VALUES (@login, @email, @now)
+        ON CONFLICT (login) DO UPDATE SET email = excluded.email, updated_at = excluded.updated_at
+      `),
+      getCommitEmail: this.db.prepare('SELECT email FROM commit_emails WHERE login = ?'),
+      enqueueDigest: this.db.prepare(`
+        INSERT INTO digest_queue (recipient, entry, attempts, queued_at) VALUES (@recipient, @entry, @attempts, @now)
+        RETURNING *
+      `),
+      listDigests: this.db.prepare('SELECT recipient, COUNT(*) AS count FROM digest_queue GROUP BY recipient ORDER BY MIN(id)'),
+      clearDigest: this.db.prepare('DELETE FROM digest_queue WHERE recipient = ? RETURNING *'),
+      addOptOut: this.db.prepare(`
+        INSERT INTO opt_outs (email, scope, value, created_at) VALUES (@email, @scope, @value, @now)
+        ON CONFLICT (email, scope, value) DO NOTHING
+      `),
+      isOptedOut: this.db.prepare(`
+        SELECT 1 FROM opt_outs WHERE email = @email
+          AND ((scope = 'repository' AND value = @repository) OR (scope = 'category' AND value = @category))
+      `),
+      claimThreadRoot: this.db.prepare(`
+        INSERT INTO email_threads (thread_key, message_id, subject, created_at) VALUES (@key, @messageId, @subject, @now)
+        ON CONFLICT (thread_key) DO NOTHING
+      `),
+      getThreadRoot: this.db.prepare('SELECT message_id, subject, created_at FROM email_threads WHERE thread_key = ?'),
+      purgeDedupKeys: this.db.prepare('DELETE FROM dedup_keys WHERE expires_at <= ?'),
+      purgeNotifications: this.db.prepare('DELETE FROM notifications WHERE sent_at < ?'),
+      purgeDeadLetters: this.db.prepare("DELETE FROM outbox WHERE status = 'dead' AND updated_at < ?")
+    };
+  }
+
+  async claimDedupKey(key, ttlMs) {
+    const now = Date.now();
+    const { changes } = this.statements.claim.run({ key, expiresAt: now + ttlMs, now });
+    return changes === 1;
+  }
+
+  async hasDedupKey(key) {
+    return this.statements.has.get(key, Date.now()) !== undefined;
+  }
+
+  async releaseDedupKey(key) {
+    this.statements.release.run(key);
+  }
+
+  async recordNotification(record) {
+    this.statements.record.run({
+      repository: record.repository,
+      pullRequest: record.pullRequest ?? null,
+      eventType: record.eventType,
+      action: record.action ?? null,
+      channel: record.channel,
+      recipients: JSON.stringify(record.recipients || []),
+      success: record.success ? 1 : 0,
+      sentAt: record.sentAt || new Date().toISOString()
+    });
+  }
+
+  async getNotifications({ repository, pullRequest, limit = 50 } = {}) {
+    const conditions = [];
+    const params = { limit };
+    if (repository) {
+      conditions.push('repository = @repository');
+      params.repository = repository;
+    }
+    if (pullRequest !== undefined) {
+      conditions.push('pull_request = @pullRequest');
+      params.pullRequest = pullRequest;
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const rows = this.db.prepare(`SELECT * FROM notifications ${where} ORDER BY id DESC LIMIT @limit`).all(params);
+
+    return rows.map(row => ({
+      repository: row.repository,
+      pullRequest: row.pull_request,
+      eventType: row.event_type,
+      action: row.action,
+      channel: row.channel,
+      recipients: JSON.parse(row.recipients),
+      success: row.success === 1,
+      sentAt: row.sent_at
+    }));
+  }
+
+  async enqueueOutbox(message, leaseMs) {
+    const row = this.statements.enqueueOutbox.get({
+      message: JSON.stringify(message),
+      now: new Date().toISOString(),
+      nextAttemptAt: Date.now() + leaseMs
+    });
+    return SqliteStore.toOutboxEntry(row);
+  }
+
+  async claimOutbox(limit, leaseMs) {
+    const now = Date.now();
+    return this.statements.claimOutbox.all({ now, leaseUntil: now + leaseMs, limit })
+      .sort((a, b) => a.id - b.id)
+      .map(row => SqliteStore.toOutboxEntry(row));
+  }
+
+  async completeOutbox(id) {
+    this.statements.completeOutbox.run(id);
+  }
+
+  async rescheduleOutbox(id, { attempts, nextAttemptAt, error }) {
+    this.statements.rescheduleOutbox.run({ id, attempts, nextAttemptAt, error: error ?? null, now: new Date().toISOString() });
+  }
+
+  async deadLetterOutbox(id, { attempts, error }) {
+    this.statements.deadLetterOutbox.run({ id, attempts, error: error ?? null, now: new Date().toISOString() });
+  }
+
+  async getOutbox(status = 'dead', limit = 50) {
+    return this.statements.listOutbox.all(status, limit).map(row => SqliteStore.toOutboxEntry(row));
+  }
+
+  async getOutboxCounts() {
+    const counts = { pending: 0, dead: 0 };
+    this.statements.countOutbox.all().forEach(row => {
+      counts[row.status] = row.count;
+    });
+    return counts;
+  }
+
+  async setCommitEmail(login, email) {
+    this.statements.setCommitEmail.run({ login: login.toLowerCase(), email, now: new Date().toISOString() });
+  }
+
+  async getCommitEmail(login) {
+    return this.statements.getCommitEmail.get(login.toLowerCase())?.email ?? null;
+  }
+
+  async enqueueDigest(recipient, entry, attempts = 0) {
+    const row = this.statements.enqueueDigest.get({
+      recipient: recipient.toLowerCase(),
+      entry: JSON.stringify(entry),
+      attempts,
+      now: new Date().toISOString()
+    });
+    return SqliteStore.toDigestEntry(row);
+  }
+
+  async listDigests() {
+    return this.statements.listDigests.all().map(({ recipient, count }) => ({ recipient, count }));
+  }
+
+  async clearDigest(recipient) {
+    return this.statements.clearDigest.all(recipient.toLowerCase())
+      .sort((a, b) => a.id - b.id)
+      .map(row => SqliteStore.toDigestEntry(row));
+  }
+
+  async addOptOut({ email, scope, value }) {
+    this.statements.addOptOut.run({ email: email.toLowerCase(), scope, value: value.toLowerCase(), now: new Date().toISOString() });
+  }
+
+  async isOptedOut(email, { repository = null, category = null } = {}) {
+    return this.statements.isOptedOut.get({
+      email: email.toLowerCase(),
+      repository: repository?.toLowerCase() ?? null,
+      category: category?.toLowerCase() ?? null
+    }) !== undefined;
+  }
+
+  async claimThreadRoot(key, { messageId, subject }) {
+    this.statements.claimThreadRoot.run({ key, messageId, subject, now: new Date().toISOString() });
+    const row = this.statements.getThreadRoot.get(key);
+    return { messageId: row.message_id, subject: row.subject, createdAt: row.created_at };
+  }
+
+  async purgeExpired(retentionMs) {
+    const now = Date.now();
+    const cutoff = new Date(now - retentionMs).toISOString();
+    return {
+      dedupKeys: this.statements.purgeDedupKeys.run(now).changes,
+      notifications: this.statements.purgeNotifications.run(cutoff).changes,
+      deadLetters: this.statements.purgeDeadLetters.run(cutoff).changes
+    };
+  }
+
+  /**
+   * Map an outbox row to an OutboxEntry
+   */
+  static toOutboxEntry(row) {
+    return {
+      id: row.id,
+      message: JSON.parse(row.message),
+      attempts: row.attempts,
+      lastError: row.last_error,
+      status: row.status,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      nextAttemptAt: row.next_attempt_at
+    };
+  }
+
+  /**
+   * Map a digest_queue row to a DigestEntry
+   */
+  static toDigestEntry(row) {
+    return {
+      id: row.id,
+      recipient: row.recipient,
+      entry: JSON.parse(row.entry),
+      attempts: row.attempts,
+      queuedAt: row.queued_at
+    };
+  }
+
+  async close() {
+    this.db.close();
+  }
+
+  getConfigurationSummary() {
+    return { backend: this.name, path: this.filename };
+  }
+}
@@ -0,0 +1,48 @@
+/**
+ * @fileoverview Notification Store Factory
+ * @description Creates the storage backend selected by STORAGE_BACKEND (`sqlite` or `memory`).
+ *
+ * @author Jürgen Efeish
+ *
+ * @module StoreFactory
+ *
+ * @requires Logger - Logging utility
+ * @requires MemoryStore - In-process backend
+ *
+ * @example
+ * // Create the configured store
+ * const store = await StoreFactory.create(AppConfig.storage);
+ */
+
+import { Logger } from '../utils/logger.js';
+import { MemoryStore } from './memoryStore.js';
+
+/**
+ * Factory for creating the configured storage backend
+ */
+export class StoreFactory {
+  /**
+   * Create a store for the given configuration. The SQLite backend is loaded lazily so that
+   * environments without the native module still start (with a warning) on the memory store.
+   * @param {Object} config - Storage configuration (AppConfig.storage)
+   * @returns {Promise<BaseStore>} Store instance
+   */
+  static async create(config) {
+    if (config.backend === 'memory') {
+      return new MemoryStore();
+    }
+
+    if (config.backend !== 'sqlite') {
+      Logger.warn(`Unknown STORAGE_BACKEND '${config.backend}' - using memory store`);
+      return new MemoryStore();
+    }
+
+    try {
+      const { SqliteStore } = await import('./sqliteStore.js');
+      return new SqliteStore(config.path);
+    } catch (error) {
+      Logger.error(`SQLite store unavailable at ${config.path} - falling back to memory store (dedup will not survive restarts)`, error);
+      return new MemoryStore();
+    }
+  }
+}
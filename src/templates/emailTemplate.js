@@ -2,7 +2,8 @@
  * @fileoverview Email Template System
  * @description Professional email template system for generating consistent, well-formatted
  * notification emails. Includes HTML templates with CSS styling, plain text alternatives,
- * and dynamic content generation for various GitHub events.
+ * and dynamic content generation for various GitHub events. The HTML part is rendered from
+ * Handlebars templates by TemplateRenderer, which can be overridden per event.
  * 
  * @author Jürgen Efeish
  * 
@@ -10,6 +11,8 @@
  * @module EmailTemplate
  * 
  * @requires DataFormatter - Data formatting utilities
+ * @requires TemplateRenderer - Handlebars rendering of the HTML part
+ * @requires Markdown - Rendering of Markdown summaries (PR descriptions, reviews, comments)
  * 
  * @example
  * // Create email content
@@ -30,6 +33,8 @@
  */
 
 import { DataFormatter } from '../utils/validators.js';
+import { TemplateRenderer } from './templateRenderer.js';
+import { Markdown } from '../utils/markdown.js';
 
 /**
  * @class EmailTemplate
@@ -50,7 +55,12 @@ export class EmailTemplate {
       description, 
       detailsUrl, 
       statusInfo,
-      summary
+      summary,
+      summaryFormat,
+      checks,
+      failures,
+      unsubscribe,
+      templates
     } = data;
 
     const textContent = this.generateTextContent({
@@ -60,7 +70,11 @@ export class EmailTemplate {
       event,
       description,
       summary,
-      detailsUrl
+      summaryFormat,
+      checks,
+      failures,
+      detailsUrl,
+      unsubscribe
     });
 
     const htmlContent = this.generateHtmlContent({
@@ -70,8 +84,13 @@ export class EmailTemplate {
       event,
       description,
       summary,
+      summaryFormat,
+      checks,
+      failures,
       detailsUrl,
-      statusInfo
+      statusInfo,
+      unsubscribe,
+      templates
     });
 
     return { textContent, htmlContent };
@@ -79,8 +98,12 @@ export class EmailTemplate {
 
   /**
    * Generate plain text email content
+   * @param {Object} data - Email data; `unsubscribe` holds the recipient's links (UnsubscribeService.createLinks)
+   * and `summaryFormat` is 'markdown' when the summary is GitHub Markdown; `checks` are the rows of the
+   * check results table (CheckRunHandler.createCheckRows) and `failures` the failed checks' output
+   * and annotations (CheckRunHandler.getFailureDetails)
    */
-  static generateTextContent({ subject, repository, pullRequest, event, description, summary, detailsUrl }) {
+  static generateTextContent({ subject, repository, pullRequest, event, description, summary, summaryFormat, checks, failures, detailsUrl, unsubscribe }) {
     const sections = [
       subject,
       '',
@@ -88,42 +111,167 @@ export class EmailTemplate {
       pullRequest ? `Pull Request: #${pullRequest.number} - ${pullRequest.title}` : null,
       `Event: ${event}`,
       description ? `Description: ${description}` : null,
-      summary ? `Summary: ${summary}` : null,
+      summary ? this.formatTextSummary(summary, summaryFormat) : null,
+      checks?.length ? this.formatTextChecks(checks) : null,
+      failures?.length ? this.formatTextFailures(failures) : null,
       '',
       detailsUrl ? `Details: ${detailsUrl}` : null,
       pullRequest ? `Pull Request: ${pullRequest.html_url}` : null
     ].filter(Boolean);
 
+    if (unsubscribe) {
+      sections.push('', this.formatTextUnsubscribe(unsubscribe));
+    }
+
     return sections.join('\n').trim();
   }
 
+  /**
+   * Format the unsubscribe footer of the text part
+   * @param {Object} unsubscribe - Recipient's links (UnsubscribeService.createLinks or createDigestLinks)
+   */
+  static formatTextUnsubscribe(unsubscribe) {
+    return [
+      '--',
+      unsubscribe.repositoryUrl ? `Unsubscribe from ${unsubscribe.repository}: ${unsubscribe.repositoryUrl}` : null,
+      unsubscribe.categoryUrl ? `Unsubscribe from ${this.formatCategory(unsubscribe.category)} notifications: ${unsubscribe.categoryUrl}` : null
+    ].filter(Boolean).join('\n');
+  }
+
+  /**
+   * Get the unsubscribe links as template data, with a display label for the category
+   */
+  static getUnsubscribeData(unsubscribe) {
+    return unsubscribe ? { ...unsubscribe, categoryLabel: unsubscribe.category ? this.formatCategory(unsubscribe.category) : null } : null;
+  }
+
   /**
    * Generate HTML email content
+   * @param {Object} data - Email data; `unsubscribe` holds the recipient's links (UnsubscribeService.createLinks)
+   * and `templates` the template overrides (TemplateService.getTemplates). Markdown summaries are
+   * passed to the templates as sanitized `summaryHtml`.
    */
-  static generateHtmlContent({ subject, repository, pullRequest, event, description, summary, detailsUrl, statusInfo }) {
-    return `
-<!DOCTYPE html>
-<html>
-<head>
-  <meta charset="utf-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>${subject}</title>
-  <style>
-    ${this.getEmailStyles()}
-  </style>
-</head>
-<body>
-  <div class="container">    
-    <div class="content">
-      <p><strong>${repository}</strong></p>
-      ${pullRequest ? `<p><a href="${pullRequest.html_url}">Pull Request #${pullRequest.number}: ${pullRequest.title}</a></p>` : ''}
-      
-      ${statusInfo?.status ? `<p>Status: ${statusInfo.status}</p>` : ''}
-      ${description ? `<p>Description: ${this.escapeHtml(description)}</p>` : ''}
-    </div>
-  </div>
-</body>
-</html>`.trim();
+  static generateHtmlContent({ subject, repository, pullRequest, event, description, summary, summaryFormat, checks, failures, detailsUrl, statusInfo, unsubscribe, templates }) {
+    return TemplateRenderer.render(event, {
+      subject,
+      repository,
+      pullRequest,
+      event,
+      description,
+      summary,
+      summaryHtml: summaryFormat === 'markdown' ? Markdown.toHtml(summary) : null,
+      checks: checks || [],
+      failures: (failures || []).map(failure => ({ ...failure, outputHtml: Markdown.toHtml(failure.output) })),
+      detailsUrl,
+      statusInfo,
+      unsubscribe: this.getUnsubscribeData(unsubscribe),
+      styles: this.getEmailStyles()
+    }, templates);
+  }
+
+  /**
+   * Format the summary line(s) of the text part; Markdown summaries become readable plain text
+   */
+  static formatTextSummary(summary, summaryFormat) {
+    return summaryFormat === 'markdown'
+      ? `Summary:\n${Markdown.toText(summary)}`
+      : `Summary: ${summary}`;
+  }
+
+  /**
+   * Format the check results of the text part, one line per check
+   */
+  static formatTextChecks(checks) {
+    const lines = checks.map(check =>
+      `  ${check.emoji} ${check.name}: ${check.result}${check.duration ? ` (${check.duration})` : ''}${check.url ? ` - ${check.url}` : ''}`);
+    return ['', 'Checks:', ...lines].join('\n');
+  }
+
+  /**
+   * Format the failed checks of the text part: output excerpt and annotations per check
+   */
+  static formatTextFailures(failures) {
+    const lines = ['', 'Failures:'];
+    failures.forEach(failure => {
+      lines.push(`  ${failure.name} (${failure.conclusion})${failure.url ? ` - ${failure.url}` : ''}`);
+      if (failure.output) {
+        lines.push(...Markdown.toText(failure.output).split('\n').map(line => (line ? `    ${line}` : '')));
+      }
+      failure.annotations.forEach(annotation => {
+        const message = annotation.message.replace(/\s*\n\s*/g, ' ');
+        lines.push(`    [${annotation.level}] ${annotation.location}${annotation.title ? ` ${annotation.title}` : ''}: ${message}`);
+      });
+      if (failure.moreAnnotations > 0) {
+        lines.push(`    ... and ${failure.moreAnnotations} more annotation(s)`);
+      }
+      lines.push('');
+    });
+    return lines.join('\n').trimEnd();
+  }
+
+  /**
+   * Create digest email content from queued notifications, grouped by repository and PR. The
+   * HTML part is rendered from the `digest` template; as a digest spans repositories, only the
+   * EMAIL_TEMPLATES_DIR overrides apply to it.
+   * @param {Object[]} entries - Queued digest entries (see DigestService.enqueue)
+   * @param {Map<string, string>} [templates=new Map()] - HTML template overrides
+   * @param {Object|null} [unsubscribe=null] - Recipient's digest unsubscribe link (UnsubscribeService.createDigestLinks)
+   * @returns {{subject: string, textContent: string, htmlContent: string}} Digest email
+   */
+  static createDigestContent(entries, templates = new Map(), unsubscribe = null) {
+    const repositories = new Map();
+    entries.forEach(entry => {
+      if (!repositories.has(entry.repository)) {
+        repositories.set(entry.repository, new Map());
+      }
+      const pullRequests = repositories.get(entry.repository);
+      const key = entry.pullRequest ? entry.pullRequest.number : 'other';
+      if (!pullRequests.has(key)) {
+        pullRequests.set(key, { pullRequest: entry.pullRequest, entries: [] });
+      }
+      pullRequests.get(key).entries.push({
+        ...entry,
+        label: `${entry.statusInfo?.status ? `[${entry.statusInfo.status}] ` : ''}${entry.subject || entry.event}`
+      });
+    });
+
+    const subject = `PR notification digest: ${entries.length} update${entries.length === 1 ? '' : 's'}` +
+      ` in ${repositories.size} repositor${repositories.size === 1 ? 'y' : 'ies'}`;
+    const groups = Array.from(repositories, ([name, pullRequests]) => ({ name, pullRequests: Array.from(pullRequests.values()) }));
+
+    const text = [subject, ''];
+    groups.forEach(({ name, pullRequests }) => {
+      text.push(name);
+      pullRequests.forEach(({ pullRequest, entries: prEntries }) => {
+        if (pullRequest) {
+          text.push(`  #${pullRequest.number} - ${pullRequest.title} (${pullRequest.url})`);
+        }
+        prEntries.forEach(entry => {
+          text.push(`    - ${entry.label}${entry.description ? `: ${entry.description}` : ''}`);
+        });
+      });
+      text.push('');
+    });
+    if (unsubscribe) {
+      text.push(this.formatTextUnsubscribe(unsubscribe));
+    }
+
+    const htmlContent = TemplateRenderer.render('digest', {
+      subject,
+      event: 'digest',
+      repositories: groups,
+      unsubscribe: this.getUnsubscribeData(unsubscribe),
+      styles: this.getEmailStyles()
+    }, templates);
+
+    return { subject, textContent: text.join('\n').trim(), htmlContent };
+  }
+
+  /**
+   * Format a notification category for display ('CHECK_RESULTS' -> 'check results')
+   */
+  static formatCategory(category) {
+    return String(category).toLowerCase().replace(/_/g, ' ');
   }
 
   /**
@@ -162,6 +310,95 @@ export class EmailTemplate {
       a:hover {
         text-decoration: underline;
       }
+      code {
+        font-family: Consolas, monospace;
+        background-color: #f6f8fa;
+        padding: 1px 4px;
+      }
+      .summary {
+        white-space: pre-line;
+      }
+      .markdown {
+        font-size: 14px;
+        border-left: 3px solid #e1e4e8;
+        padding-left: 12px;
+      }
+      .markdown pre {
+        background-color: #f6f8fa;
+        padding: 8px;
+        overflow-x: auto;
+        font-size: 12px;
+      }
+      .markdown pre code {
+        padding: 0;
+      }
+      .markdown table {
+        border-collapse: collapse;
+      }
+      .markdown th, .markdown td {
+        border: 1px solid #e1e4e8;
+        padding: 4px 8px;
+      }
+      .markdown blockquote {
+        margin: 0;
+        padding-left: 10px;
+        color: #6a737d;
+        border-left: 3px solid #e1e4e8;
+      }
+      .markdown img {
+        max-width: 100%;
+      }
+      .meta {
+        font-size: 12px;
+        color: #6a737d;
+      }
+      .checks {
+        border-collapse: collapse;
+        margin: 15px 0;
+        font-size: 13px;
+      }
+      .checks th, .checks td {
+        border-bottom: 1px solid #e1e4e8;
+        padding: 4px 12px 4px 0;
+        text-align: left;
+      }
+      .checks tr.failed td {
+        color: #cb2431;
+        font-weight: bold;
+      }
+      h3 {
+        font-size: 15px;
+        margin: 20px 0 8px;
+      }
+      .failure {
+        margin-bottom: 20px;
+      }
+      .annotations {
+        padding-left: 20px;
+        font-size: 13px;
+      }
+      .annotations li {
+        margin-bottom: 6px;
+      }
+      .annotations .message {
+        white-space: pre-line;
+      }
+      .level-failure {
+        color: #cb2431;
+        font-weight: bold;
+      }
+      .level-warning {
+        color: #b08800;
+        font-weight: bold;
+      }
+      .level-notice {
+        color: #6a737d;
+      }
+      .footer {
+        margin-top: 30px;
+        font-size: 12px;
+        color: #6a737d;
+      }
     `;
   }
 
@@ -0,0 +1,143 @@
+/**
+ * @fileoverview HTML Email Template Renderer
+ * @description Renders the HTML part of notification emails from Handlebars templates. Every
+ * template is a `<name>.hbs` file: `layout` is the document around the content, the body
+ * template is picked by event key (`pull_request.opened`), then event type (`pull_request`),
+ * then `default`, and all templates can be used as partials (`{{> details}}`). `{{url value}}`
+ * outputs a link for an `href`. The built-in templates live in `src/templates/html`; overrides
+ * (see TemplateService) replace templates by name, so anything an override set leaves out
+ * falls back to the built-in template.
+ *
+ * @author Jürgen Efeish
+ *
+ * @module TemplateRenderer
+ *
+ * @requires handlebars - Template engine
+ * @requires Logger - Logging utility
+ *
+ * @example
+ * const html = TemplateRenderer.render('pull_request.opened', { subject, repository, pullRequest });
+ *
+ * @example
+ * // With a repository's overrides (name -> template source)
+ * const html = TemplateRenderer.render('check_run.completed', data, new Map([['layout', brandedLayout]]));
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Handlebars from 'handlebars';
+import { Logger } from '../utils/logger.js';
+
+/**
+ * @constant {string} DEFAULT_TEMPLATES_DIR
+ * @description Directory of the built-in templates
+ */
+export const DEFAULT_TEMPLATES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'html');
+
+/**
+ * @constant {string} TEMPLATE_EXTENSION
+ * @description File extension of template files
+ */
+export const TEMPLATE_EXTENSION = '.hbs';
+
+/**
+ * @class TemplateRenderer
+ * @description Static Handlebars renderer with built-in templates and per-call overrides.
+ */
+export class TemplateRenderer {
+  static #handlebars = TemplateRenderer.createEngine();
+  static #compiled = new Map(); // template source -> compiled template
+  static #defaults = null;
+
+  /**
+   * Create the Handlebars environment with the template helpers:
+   * `{{url value}}` escapes a link for an attribute without encoding `=` (Handlebars' default
+   * escaping turns query strings into `?token&#x3D;...`, which some mail clients don't decode)
+   */
+  static createEngine() {
+    const handlebars = Handlebars.create();
+    const map = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+    handlebars.registerHelper('url', (value) =>
+      new handlebars.SafeString(String(value ?? '').replace(/[&<>"']/g, (m) => map[m])));
+    return handlebars;
+  }
+
+  /**
+   * Built-in templates, read once
+   * @returns {Map<string, string>} Template name to source
+   */
+  static get defaults() {
+    if (!this.#defaults) {
+      this.#defaults = this.readDirectory(DEFAULT_TEMPLATES_DIR);
+    }
+    return this.#defaults;
+  }
+
+  /**
+   * Read the `.hbs` files of a directory (not recursive)
+   * @param {string} dir - Directory path
+   * @returns {Map<string, string>} Template name (file name without extension) to source
+   */
+  static readDirectory(dir) {
+    const templates = new Map();
+    fs.readdirSync(dir)
+      .filter(file => file.endsWith(TEMPLATE_EXTENSION))
+      .forEach(file => {
+        templates.set(path.basename(file, TEMPLATE_EXTENSION), fs.readFileSync(path.join(dir, file), 'utf8'));
+      });
+    return templates;
+  }
+
+  /**
+   * Get the body template names to try for an event, most specific first
+   * @param {string} event - Event key (`eventType.action`) or event type
+   */
+  static getTemplateNames(event) {
+    const [eventType] = event.split('.');
+    return [...new Set([event, eventType, 'default'])];
+  }
+
+  /**
+   * Render the HTML of a notification. If an override set fails to render, the email is
+   * rendered with the built-in templates instead.
+   * @param {string} event - Event key (`eventType.action`)
+   * @param {Object} data - Template data
+   * @param {Map<string, string>} [overrides=new Map()] - Template name to source, replacing built-in templates
+   * @returns {string} HTML document
+   */
+  static render(event, data, overrides = new Map()) {
+    if (overrides.size === 0) {
+      return this.renderWith(this.defaults, event, data);
+    }
+
+    try {
+      return this.renderWith(new Map([...this.defaults, ...overrides]), event, data);
+    } catch (error) {
+      Logger.warn(`Failed to render custom email template for ${event} - using the built-in templates`, error);
+      return this.renderWith(this.defaults, event, data);
+    }
+  }
+
+  /**
+   * Render the body template of an event inside the layout
+   * @param {Map<string, string>} templates - Complete template set
+   */
+  static renderWith(templates, event, data) {
+    const partials = Object.fromEntries([...templates].map(([name, source]) => [name, this.compile(source)]));
+    const name = this.getTemplateNames(event).find(candidate => templates.has(candidate));
+    const body = partials[name](data, { partials });
+
+    return partials.layout({ ...data, body }, { partials }).trim();
+  }
+
+  /**
+   * Compile a template, reusing earlier compilations of the same source
+   */
+  static compile(source) {
+    if (!this.#compiled.has(source)) {
+      this.#compiled.set(source, this.#handlebars.compile(source));
+    }
+    return this.#compiled.get(source);
+  }
+}
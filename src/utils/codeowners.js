@@ -0,0 +1,145 @@
+/**
+ * @fileoverview CODEOWNERS Parsing Utilities
+ * @description Parses a repository's CODEOWNERS file and matches it against changed files.
+ * Patterns follow GitHub's CODEOWNERS rules (a subset of .gitignore syntax): the last matching
+ * line wins, `/` anchors a pattern to the repository root, `*` and `?` stay within a directory,
+ * `**` spans directories, and a pattern matching a directory also matches everything below it.
+ *
+ * @author Jürgen Efeish
+ *
+ * @module CodeOwners
+ *
+ * @example
+ * // Owners of a pull request's changed files
+ * const rules = CodeOwners.parse(content);
+ * const owners = CodeOwners.getOwners(rules, ['infra/terraform/main.tf', 'README.md']);
+ * // ['@octo-org/platform', 'docs@company.com']
+ */
+
+/**
+ * @constant {string[]} CODEOWNERS_PATHS
+ * @description Locations GitHub reads the CODEOWNERS file from, in order of precedence
+ */
+export const CODEOWNERS_PATHS = ['.github/CODEOWNERS', 'CODEOWNERS', 'docs/CODEOWNERS'];
+
+/**
+ * @class CodeOwners
+ * @description Static helpers for parsing and matching CODEOWNERS files.
+ */
+export class CodeOwners {
+  /**
+   * Parse CODEOWNERS content into rules
+   * @param {string} content - File content
+   * @returns {Array<{pattern: string, owners: string[], regex: RegExp}>} Rules in file order
+   */
+  static parse(content) {
+    const rules = [];
+
+    String(content || '').split(/\r?\n/).forEach(line => {
+      const value = line.replace(/(^|\s)#.*$/, '').trim();
+      if (!value) {
+        return;
+      }
+
+      const [pattern, ...owners] = value.split(/\s+/);
+      rules.push({ pattern, owners, regex: this.patternToRegExp(pattern) });
+    });
+
+    return rules;
+  }
+
+  /**
+   * Convert a CODEOWNERS pattern to a regular expression matching repository paths
+   * @param {string} pattern - Pattern such as `/infra/**`, `*.js` or `docs/`
+   * @returns {RegExp} Expression matching paths without a leading slash
+   */
+  static patternToRegExp(pattern) {
+    // A slash at the start or in the middle anchors the pattern to the root
+    const anchored = pattern.startsWith('/') || pattern.slice(0, -1).includes('/');
+    const directory = pattern.endsWith('/');
+    const value = pattern.replace(/^\//, '').replace(/\/$/, '');
+    // `docs/*` matches `docs/guide.md` but not `docs/api/guide.md`; a name without wildcards
+    // can also be a directory and matches everything below it
+    const lastSegmentWildcard = /[*?]/.test(value.split('/').pop());
+
+    let regex = '';
+    for (let i = 0; i < value.length; i++) {
+      const char = value[i];
+      if (char === '*' && value[i + 1] === '*') {
+        // '**/' matches zero or more directories, any other '**' everything
+        if (value[i + 2] === '/') {
+          regex += '(?:.*/)?';
+          i += 2;
+        } else {
+          regex += '.*';
+          i += 1;
+        }
+      } else if (char === '*') {
+        regex += '[^/]*';
+      } else if (char === '?') {
+        regex += '[^/]';
+      } else {
+        regex += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+      }
+    }
+
+    let suffix = '(?:/.*)?$';
+    if (directory) {
+      suffix = '/.*$';
+    } else if (lastSegmentWildcard) {
+      suffix = '$';
+    }
+
+    return new RegExp(`${anchored ? '^' : '^(?:.*/)?'}${regex}${suffix}`);
+  }
+
+  /**
+   * Get the owners of a single path (owners of the last matching rule)
+   * @param {Array} rules - Parsed rules
+   * @param {string} path - Repository path
+   * @returns {string[]} Owners, empty when no rule matches or the rule has no owners
+   */
+  static getOwnersForPath(rules, path) {
+    const normalized = path.replace(/^\//, '');
+    for (let i = rules.length - 1; i >= 0; i--) {
+      if (rules[i].regex.test(normalized)) {
+        return rules[i].owners;
+      }
+    }
+    return [];
+  }
+
+  /**
+   * Get the owners of a set of paths
+   * @param {Array} rules - Parsed rules
+   * @param {string[]} paths - Repository paths (e.g. a pull request's changed files)
+   * @returns {string[]} Unique owners (`@user`, `@org/team` or email addresses)
+   */
+  static getOwners(rules, paths) {
+    const owners = new Set();
+    paths.forEach(path => this.getOwnersForPath(rules, path).forEach(owner => owners.add(owner)));
+    return Array.from(owners);
+  }
+
+  /**
+   * Split owners into users, teams and email addresses
+   * @param {string[]} owners - Owners from getOwners
+   * @returns {{users: string[], teams: Array<{org: string, slug: string}>, emails: string[]}}
+   */
+  static classifyOwners(owners) {
+    const result = { users: [], teams: [], emails: [] };
+
+    owners.forEach(owner => {
+      if (owner.startsWith('@') && owner.includes('/')) {
+        const [org, slug] = owner.substring(1).split('/');
+        result.teams.push({ org, slug });
+      } else if (owner.startsWith('@')) {
+        result.users.push(owner.substring(1));
+      } else if (owner.includes('@')) {
+        result.emails.push(owner);
+      }
+    });
+
+    return result;
+  }
+}
@@ -0,0 +1,223 @@
+/**
+ * @fileoverview GitHub Markdown Rendering
+ * @description Renders GitHub-flavored Markdown from PR descriptions, reviews and comments for
+ * emails: sanitized HTML for the HTML part and readable plain text for the text part. Supports
+ * tables, task lists (shown as ☑/☐, since mail clients drop form inputs), fenced code blocks
+ * and @mentions linked to GitHub profiles (@org/team mentions to the team page). The HTML is
+ * passed through a strict allowlist, so raw HTML in a description cannot inject scripts,
+ * styles, forms or tracking attributes into the email.
+ *
+ * @author Jürgen Efeish
+ *
+ * @module Markdown
+ *
+ * @requires marked - Markdown parser
+ * @requires sanitize-html - HTML allowlist sanitizer
+ *
+ * @example
+ * Markdown.toHtml('- [x] Tests\n\ncc @octocat');
+ * // <ul><li>☑ Tests</li></ul><p>cc <a href="https://github.com/octocat">@octocat</a></p>
+ *
+ * @example
+ * Markdown.toText('| Check | Result |\n|---|---|\n| lint | **failed** |');
+ * // 'Check | Result\nlint | failed'
+ */
+
+import { Marked } from 'marked';
+import sanitizeHtml from 'sanitize-html';
+
+const GITHUB_URL = 'https://github.com';
+const MENTION_PATTERN = /^@([a-z\d](?:[a-z\d]|-(?=[a-z\d])){0,38})(?:\/([a-z\d][\w.-]*))?/i;
+
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    'p', 'br', 'hr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'strong', 'em', 'del', 'code', 'pre',
+    'blockquote', 'ul', 'ol', 'li', 'a', 'img', 'table', 'thead', 'tbody', 'tr', 'th', 'td',
+    'details', 'summary', 'sup', 'sub', 'kbd'
+  ],
+  allowedAttributes: {
+    a: ['href', 'title'],
+    img: ['src', 'alt', 'title', 'width', 'height'],
+    ol: ['start'],
+    th: ['align'],
+    td: ['align'],
+    code: ['class']
+  },
+  allowedClasses: { code: [/^language-[\w-]+$/] },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: { img: ['https'] },
+  allowProtocolRelative: false,
+  disallowedTagsMode: 'discard',
+  // Images whose source was removed (http:, data:) would only leave an empty box
+  exclusiveFilter: (frame) => frame.tag === 'img' && !frame.attribs.src
+};
+
+/**
+ * @class Markdown
+ * @description Static Markdown-to-HTML and Markdown-to-text conversion.
+ */
+export class Markdown {
+  static #marked = Markdown.createParser();
+
+  /**
+   * Create the GFM parser with the @mention extension and email-friendly task list items
+   */
+  static createParser() {
+    return new Marked({
+      gfm: true,
+      breaks: true,
+      renderer: {
+        checkbox({ checked }) {
+          return checked ? '☑' : '☐';
+        }
+      },
+      extensions: [{
+        name: 'mention',
+        level: 'inline',
+        // Only an @ at the start or after a non-word character starts a mention (not user@example.com)
+        start(src) {
+          const match = /(^|[^\w@/`])@[a-z\d]/i.exec(src);
+          return match ? match.index + match[1].length : undefined;
+        },
+        tokenizer(src) {
+          const match = MENTION_PATTERN.exec(src);
+          if (!match) {
+            return undefined;
+          }
+          return { type: 'mention', raw: match[0], login: match[1], team: match[2] || null };
+        },
+        renderer({ raw, login, team }) {
+          return `<a href="${Markdown.getMentionUrl(login, team)}">${raw}</a>`;
+        }
+      }]
+    });
+  }
+
+  /**
+   * Get the profile URL of a user or the page of an org team
+   */
+  static getMentionUrl(login, team = null) {
+    return team ? `${GITHUB_URL}/orgs/${login}/teams/${team}` : `${GITHUB_URL}/${login}`;
+  }
+
+  /**
+   * Render Markdown as sanitized HTML
+   * @param {string} markdown - GitHub-flavored Markdown
+   * @returns {string} HTML fragment safe to embed in an email
+   */
+  static toHtml(markdown) {
+    if (!markdown) {
+      return '';
+    }
+    return sanitizeHtml(this.#marked.parse(String(markdown)), SANITIZE_OPTIONS).trim();
+  }
+
+  /**
+   * Render Markdown as readable plain text: markup is dropped, links keep their URL, task list
+   * items show [x]/[ ], code blocks are indented and table cells are separated by ` | `
+   * @param {string} markdown - GitHub-flavored Markdown
+   * @returns {string} Plain text
+   */
+  static toText(markdown) {
+    if (!markdown) {
+      return '';
+    }
+    return this.blocksToText(this.#marked.lexer(String(markdown))).replace(/\n{3,}/g, '\n\n').trim();
+  }
+
+  /**
+   * Convert block tokens to text, separated by blank lines
+   */
+  static blocksToText(tokens) {
+    return tokens.map(token => this.blockToText(token)).filter(text => text !== '').join('\n\n');
+  }
+
+  /**
+   * Convert one block token to text
+   */
+  static blockToText(token) {
+    switch (token.type) {
+      case 'space':
+        return '';
+      case 'heading':
+      case 'paragraph':
+        return this.inlineToText(token.tokens);
+      case 'text':
+        return token.tokens ? this.inlineToText(token.tokens) : token.text;
+      case 'code':
+        return token.text.split('\n').map(line => `    ${line}`).join('\n');
+      case 'blockquote':
+        return this.blocksToText(token.tokens).split('\n').map(line => `> ${line}`).join('\n');
+      case 'list':
+        return token.items.map((item, index) => {
+          const marker = token.ordered ? `${(token.start || 1) + index}.` : '-';
+          const task = item.task ? `[${item.checked ? 'x' : ' '}] ` : '';
+          const [first, ...rest] = item.tokens
+            .filter(child => child.type !== 'checkbox')
+            .map(child => this.blockToText(child))
+            .filter(text => text !== '')
+            .join(token.loose ? '\n\n' : '\n')
+            .split('\n');
+          return [`${marker} ${task}${first}`, ...rest.map(line => (line ? `  ${line}` : ''))].join('\n');
+        }).join('\n');
+      case 'table':
+        return [token.header, ...token.rows]
+          .map(cells => cells.map(cell => this.inlineToText(cell.tokens)).join(' | '))
+          .join('\n');
+      case 'hr':
+        return '---';
+      case 'html':
+        return this.stripTags(token.text);
+      default:
+        return token.raw.trim();
+    }
+  }
+
+  /**
+   * Convert inline tokens to text
+   */
+  static inlineToText(tokens = []) {
+    return tokens.map(token => {
+      switch (token.type) {
+        case 'link': {
+          const text = this.inlineToText(token.tokens);
+          return text === token.href || `mailto:${text}` === token.href ? text : `${text} (${token.href})`;
+        }
+        case 'image':
+          return `[image: ${token.text || token.href}]`;
+        case 'br':
+          return '\n';
+        case 'codespan':
+          return token.text;
+        case 'html':
+          return this.stripTags(token.text);
+        case 'mention':
+          return token.raw;
+        case 'checkbox':
+          return '';
+        default:
+          return token.tokens ? this.inlineToText(token.tokens) : this.decodeEntities(token.text ?? token.raw);
+      }
+    }).join('');
+  }
+
+  /**
+   * Remove HTML tags from raw HTML in Markdown, keeping line breaks after block elements
+   */
+  static stripTags(html) {
+    const text = html.replace(/<\/(p|div|li|tr|summary|h[1-6])>|<br\s*\/?>/gi, '$&\n');
+    return this.decodeEntities(sanitizeHtml(text, { allowedTags: [], allowedAttributes: {} })).trim();
+  }
+
+  /**
+   * Decode the entities marked leaves in escaped text
+   */
+  static decodeEntities(text) {
+    return String(text)
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'")
+      .replace(/&amp;/g, '&');
+  }
+}
@@ -0,0 +1,103 @@
+/**
+ * @fileoverview Quiet Hours Utilities
+ * @description Parses quiet-hour windows (`start`/`end` as HH:MM in an IANA timezone) and
+ * works out whether a moment falls inside one and when the window ends. Windows may cross
+ * midnight (22:00-07:00). Times are computed with Intl, so no timezone database is bundled.
+ *
+ * @author Jürgen Efeish
+ *
+ * @module QuietHours
+ *
+ * @example
+ * const window = QuietHours.parse({ start: '22:00', end: '07:00', timezone: 'Europe/Berlin' });
+ * const sendAt = QuietHours.getEnd(window, new Date()); // Date the window ends, or null outside it
+ */
+
+/**
+ * @class QuietHours
+ * @description Static helpers for timezone-aware quiet-hour windows.
+ */
+export class QuietHours {
+  /**
+   * Parse and validate a quiet-hours setting
+   * @param {Object} setting - `{ start: 'HH:MM', end: 'HH:MM', timezone: 'Area/City' }` (timezone defaults to UTC)
+   * @returns {{start: number, end: number, timezone: string}|null} Minutes after midnight, or null when invalid
+   */
+  static parse(setting) {
+    if (!setting || typeof setting !== 'object') {
+      return null;
+    }
+
+    const start = this.parseTime(setting.start);
+    const end = this.parseTime(setting.end);
+    const timezone = setting.timezone || 'UTC';
+    if (start === null || end === null || start === end || !this.isValidTimezone(timezone)) {
+      return null;
+    }
+
+    return { start, end, timezone };
+  }
+
+  /**
+   * Parse `HH:MM` into minutes after midnight
+   * @returns {number|null} Minutes, or null when the value is not a valid time
+   */
+  static parseTime(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+      return null;
+    }
+    return Number(match[1]) * 60 + Number(match[2]);
+  }
+
+  /**
+   * Check if a timezone name is known to Intl
+   */
+  static isValidTimezone(timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Get the wall-clock time of a moment in a timezone
+   * @param {Date} date - Moment
+   * @param {string} timezone - IANA timezone
+   * @returns {number} Seconds after local midnight
+   */
+  static getLocalSeconds(date, timezone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(date);
+    const value = (type) => Number(parts.find(part => part.type === type).value);
+
+    return value('hour') * 3600 + value('minute') * 60 + value('second');
+  }
+
+  /**
+   * Get when the quiet-hours window around a moment ends
+   * @param {Object} window - Parsed window (see parse)
+   * @param {Date} [date=new Date()] - Moment to check
+   * @returns {Date|null} End of the window, or null when the moment is outside it
+   */
+  static getEnd(window, date = new Date()) {
+    const now = this.getLocalSeconds(date, window.timezone);
+    const start = window.start * 60;
+    const end = window.end * 60;
+    const quiet = start < end ? now >= start && now < end : now >= start || now < end;
+    if (!quiet) {
+      return null;
+    }
+
+    // Seconds until the local end time; DST changes inside the window shift it by up to an hour
+    const remaining = (end - now + 24 * 3600) % (24 * 3600);
+    return new Date(date.getTime() + remaining * 1000);
+  }
+}
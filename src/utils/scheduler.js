@@ -0,0 +1,134 @@
+/**
+ * @fileoverview Task Scheduling Utilities
+ * @description Minimal in-process scheduler for recurring jobs such as digest flushes.
+ * Schedules are simple strings so they can live in environment variables and repository
+ * config files. Timers are unref'd so they never keep the process alive on their own.
+ *
+ * @author Jürgen Efeish
+ *
+ * @module Scheduler
+ *
+ * @requires Logger - Logging utility
+ *
+ * @example
+ * // Run a task every day at 09:00 (server time)
+ * Scheduler.schedule('digest', 'daily@09:00', () => digestService.flush());
+ *
+ * @example
+ * // Compute the next run of an hourly schedule
+ * const next = Scheduler.getNextRun(Scheduler.parseSchedule('hourly'));
+ */
+
+import { Logger } from './logger.js';
+
+/**
+ * @class Scheduler
+ * @description Recurring task scheduler supporting `hourly` and `daily@HH:MM` schedules.
+ */
+export class Scheduler {
+  static #timers = new Map();
+
+  /**
+   * Parse a schedule string
+   * @param {string} spec - `hourly` or `daily@HH:MM` (also accepts `daily HH:MM`)
+   * @returns {Object} Parsed schedule ({ type: 'hourly' } or { type: 'daily', hour, minute })
+   * @throws {Error} When the schedule string is not recognized
+   */
+  static parseSchedule(spec) {
+    const value = String(spec || '').trim().toLowerCase();
+
+    if (value === 'hourly') {
+      return { type: 'hourly' };
+    }
+
+    const daily = value.match(/^daily(?:[@\s]+(\d{1,2}):(\d{2}))?$/);
+    if (daily) {
+      const hour = daily[1] !== undefined ? parseInt(daily[1]) : 9;
+      const minute = daily[2] !== undefined ? parseInt(daily[2]) : 0;
+      if (hour > 23 || minute > 59) {
+        throw new Error(`Invalid time in schedule: ${spec}`);
+      }
+      return { type: 'daily', hour, minute };
+    }
+
+    throw new Error(`Unsupported schedule: ${spec} (expected 'hourly' or 'daily@HH:MM')`);
+  }
+
+  /**
+   * Compute the next run time of a parsed schedule
+   * @param {Object} schedule - Parsed schedule from parseSchedule
+   * @param {Date} [from=new Date()] - Reference time
+   * @returns {Date} Next run time (always after `from`)
+   */
+  static getNextRun(schedule, from = new Date()) {
+    const next = new Date(from.getTime());
+    next.setSeconds(0, 0);
+
+    if (schedule.type === 'hourly') {
+      next.setMinutes(0);
+      next.setHours(next.getHours() + 1);
+      return next;
+    }
+
+    next.setHours(schedule.hour, schedule.minute);
+    if (next <= from) {
+      next.setDate(next.getDate() + 1);
+    }
+    return next;
+  }
+
+  /**
+   * Schedule a recurring task; replaces any task already scheduled under the same name
+   * @param {string} name - Unique task name
+   * @param {string} spec - Schedule string
+   * @param {Function} task - Async function to run
+   * @returns {Date} Time of the first run
+   */
+  static schedule(name, spec, task) {
+    const schedule = this.parseSchedule(spec);
+    this.cancel(name);
+
+    const arm = () => {
+      const nextRun = this.getNextRun(schedule);
+      const timer = setTimeout(async () => {
+        try {
+          Logger.debug(`Running scheduled task: ${name}`);
+          await task();
+        } catch (error) {
+          Logger.error(`Scheduled task ${name} failed`, error);
+        }
+        if (this.#timers.has(name)) {
+          arm();
+        }
+      }, nextRun.getTime() - Date.now());
+      timer.unref?.();
+      this.#timers.set(name, timer);
+      return nextRun;
+    };
+
+    const firstRun = arm();
+    Logger.info(`Scheduled task ${name} (${spec}) - next run at ${firstRun.toISOString()}`);
+    return firstRun;
+  }
+
+  /**
+   * Cancel a scheduled task
+   * @param {string} name - Task name
+   */
+  static cancel(name) {
+    const timer = this.#timers.get(name);
+    if (timer) {
+      clearTimeout(timer);
+      this.#timers.delete(name);
+    }
+  }
+
+  /**
+   * Cancel all scheduled tasks
+   */
+  static cancelAll() {
+    for (const name of Array.from(this.#timers.keys())) {
+      this.cancel(name);
+    }
+  }
+}
@@ -0,0 +1,106 @@
+/**
+ * @fileoverview Expiring In-Memory Cache
+ * @description Small key/value cache whose entries expire after a time-to-live. Each entry
+ * can have its own TTL, so a negative result (e.g. "this user has no public email") can be
+ * kept for less time than a positive one. Hits and misses are counted to show how many API
+ * calls the cache saved.
+ *
+ * @author Jürgen Efeish
+ *
+ * @module TtlCache
+ *
+ * @example
+ * const cache = new TtlCache(60 * 60 * 1000);
+ * cache.set('octocat', 'octocat@company.com');
+ * cache.set('hubot', null, 10 * 60 * 1000); // cached "not found", kept for 10 minutes
+ * cache.has('hubot'); // true
+ * cache.getStats();   // { size: 2, hits: 0, misses: 0, hitRate: 0 }
+ */
+
+/**
+ * @class TtlCache
+ * @description Map-backed cache with per-entry expiry and hit/miss statistics.
+ * A TTL of 0 disables caching: nothing is stored and every lookup is a miss.
+ */
+export class TtlCache {
+  /**
+   * @param {number} ttlMs - Default time-to-live in milliseconds
+   */
+  constructor(ttlMs) {
+    this.ttlMs = ttlMs;
+    this.entries = new Map();
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  /**
+   * Check for a live entry, counting a hit or a miss. Use before get() when cached values can be null.
+   * @param {string} key - Cache key
+   * @returns {boolean} True if the key is cached and not expired
+   */
+  has(key) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt > Date.now()) {
+      this.hits++;
+      return true;
+    }
+
+    if (entry) {
+      this.entries.delete(key);
+    }
+    this.misses++;
+    return false;
+  }
+
+  /**
+   * Get a cached value without touching the statistics
+   * @param {string} key - Cache key
+   * @returns {*} Cached value or undefined when missing or expired
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    return entry && entry.expiresAt > Date.now() ? entry.value : undefined;
+  }
+
+  /**
+   * Cache a value
+   * @param {string} key - Cache key
+   * @param {*} value - Value (null is a valid cached value)
+   * @param {number} [ttlMs=this.ttlMs] - Time-to-live of this entry
+   */
+  set(key, value, ttlMs = this.ttlMs) {
+    if (ttlMs > 0) {
+      this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    }
+  }
+
+  /**
+   * Remove an entry
+   * @param {string} key - Cache key
+   * @returns {boolean} True if an entry was removed
+   */
+  delete(key) {
+    return this.entries.delete(key);
+  }
+
+  /**
+   * Remove every entry (statistics are kept)
+   */
+  clear() {
+    this.entries.clear();
+  }
+
+  /**
+   * Get cache statistics
+   * @returns {{size: number, hits: number, misses: number, hitRate: number}} hitRate is 0-1
+   */
+  getStats() {
+    const lookups = this.hits + this.misses;
+    return {
+      size: this.entries.size,
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: lookups > 0 ? this.hits / lookups : 0
+    };
+  }
+}
@@ -48,9 +48,13 @@ export class NotificationValidator {
   /**
    * Check if notification should be sent based on NOTIFY_* environment variables
    * This is separate from event processing - events are always processed for analysis,
-   * but notifications are only sent if explicitly enabled
+   * but notifications are only sent if explicitly enabled.
+   * A repository config (from .github/pr-notifications.yml) takes precedence when given.
    */
-  static shouldSendNotification(eventType, action) {
+  static shouldSendNotification(eventType, action, repoConfig = null) {
+    if (repoConfig) {
+      return repoConfig.isNotificationEnabled(eventType, action);
+    }
     return AppConfig.isNotificationEnabled(eventType, action);
   }
 }
@@ -144,6 +148,20 @@ export class DataFormatter {
     return `${displayed.join(', ')} and ${remaining} more`;
   }
 
+  /**
+   * Format a duration for display ('45s', '3m 12s', '1h 5m')
+   * @param {number|null} ms - Duration in milliseconds
+   * @returns {string|null} Formatted duration, null when unknown
+   */
+  static formatDuration(ms) {
+    if (ms === null || ms === undefined || Number.isNaN(ms) || ms < 0) return null;
+
+    const seconds = Math.round(ms / 1000);
+    if (seconds < 60) return `${seconds}s`;
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+    return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+  }
+
   /**
    * Format repository name for display
    */
@@ -0,0 +1,105 @@
+import { describe, test } from "node:test";
+import assert from "node:assert";
+
+import { CheckRunHandler } from "../src/handlers/checkRunHandler.js";
+import { EmailTemplate } from "../src/templates/emailTemplate.js";
+
+const checkRuns = [
+  { name: "build", status: "completed", conclusion: "success", started_at: "2024-05-01T10:00:00Z", completed_at: "2024-05-01T10:03:12Z", html_url: "https://github.com/octo-org/monorepo/runs/1" },
+  { name: "lint", status: "completed", conclusion: "failure", started_at: "2024-05-01T10:00:00Z", completed_at: "2024-05-01T10:00:45Z", html_url: "https://github.com/octo-org/monorepo/runs/2" },
+  { name: "e2e", status: "in_progress", conclusion: null, started_at: "2024-05-01T10:00:00Z", completed_at: null, html_url: "https://github.com/octo-org/monorepo/runs/3" },
+  { name: "docs", status: "completed", conclusion: "skipped", started_at: null, completed_at: null, html_url: null },
+  { name: "audit", status: "completed", conclusion: "timed_out", started_at: "2024-05-01T10:00:00Z", completed_at: "2024-05-01T11:05:00Z", html_url: "https://github.com/octo-org/monorepo/runs/5" },
+];
+
+describe("CheckRunHandler check results table", () => {
+  test("lists failed checks first with their durations", () => {
+    const handler = new CheckRunHandler(null);
+
+    const { checks } = handler.analyzeCheckRuns(checkRuns, "lint");
+
+    assert.deepStrictEqual(checks.map(check => check.name), ["audit", "lint", "e2e", "docs", "build"]);
+    assert.deepStrictEqual(checks.map(check => check.duration), ["1h 5m", "45s", null, null, "3m 12s"]);
+    assert.deepStrictEqual(checks.map(check => check.result), ["timed_out", "failure", "in_progress", "skipped", "success"]);
+    assert.deepStrictEqual(checks.filter(check => check.failed).map(check => check.name), ["audit", "lint"]);
+  });
+
+  test("renders the table in both parts of the check email", () => {
+    const { checks } = new CheckRunHandler(null).analyzeCheckRuns(checkRuns, "lint");
+
+    const { htmlContent, textContent } = EmailTemplate.createEmailContent({
+      subject: "PR #42 - Checks: 2 failed, 1 passed",
+      repository: "octo-org/monorepo",
+      event: "check_run.completed",
+      checks,
+    });
+
+    assert.match(htmlContent, /<tr class="failed">\s*<td><a href="https:\/\/github\.com\/octo-org\/monorepo\/runs\/2">lint<\/a><\/td>\s*<td>❌ failure<\/td>\s*<td>45s<\/td>/);
+    assert.match(htmlContent, /<td>docs<\/td>\s*<td>⏭️ skipped<\/td>\s*<td>-<\/td>/);
+    assert.match(textContent, /Checks:\n {2}⏰ audit: timed_out \(1h 5m\) - https:\/\/github\.com\/octo-org\/monorepo\/runs\/5\n {2}❌ lint: failure \(45s\)/);
+  });
+});
+
+describe("CheckRunHandler failure details", () => {
+  const annotations = [
+    { path: "src/b.js", start_line: 3, end_line: 3, annotation_level: "warning", message: "Unused variable", blob_href: "https://github.com/octo-org/monorepo/blob/abc/src/b.js" },
+    ...Array.from({ length: 6 }, (_, i) => ({ path: "src/a.js", start_line: i + 1, end_line: i + 2, annotation_level: "failure", title: "no-undef", message: `'x${i}' is not defined\n${"at line ".repeat(60)}` })),
+  ];
+  const context = {
+    payload: { repository: { name: "monorepo", owner: { login: "octo-org" } } },
+    octokit: {
+      checks: {
+        listAnnotations: "listAnnotations",
+      },
+      async paginate(method, { check_run_id }) {
+        assert.strictEqual(method, "listAnnotations");
+        return check_run_id === 2 ? [...annotations] : [];
+      },
+    },
+  };
+  const runs = [
+    ...checkRuns.filter(run => run.name !== "lint"),
+    {
+      id: 2,
+      name: "lint",
+      status: "completed",
+      conclusion: "failure",
+      html_url: "https://github.com/octo-org/monorepo/runs/2",
+      output: { summary: "**7 problems** found", text: Array.from({ length: 30 }, (_, i) => `line ${i}`).join("\n"), annotations_count: 7 },
+    },
+  ];
+
+  test("includes output excerpts and the most severe annotations of failed checks", async () => {
+    const failures = await new CheckRunHandler(null).getFailureDetails(context, runs);
+
+    assert.deepStrictEqual(failures.map(failure => failure.name), ["audit", "lint"]);
+    const [audit, lint] = failures;
+    assert.deepStrictEqual(audit.annotations, []);
+    assert.strictEqual(audit.output, null);
+    assert.strictEqual(lint.annotations.length, 5);
+    assert.strictEqual(lint.moreAnnotations, 2);
+    assert.deepStrictEqual(lint.annotations.map(annotation => annotation.level), ["failure", "failure", "failure", "failure", "failure"]);
+    assert.strictEqual(lint.annotations[0].location, "src/a.js:1-2");
+    assert.strictEqual(lint.annotations[0].message.length, 300);
+    assert.match(lint.output, /^\*\*7 problems\*\* found\n\nline 0\n/);
+    assert.match(lint.output, /line 17\n\n…$/);
+  });
+
+  test("renders the failures in both parts of the check email", async () => {
+    const failures = await new CheckRunHandler(null).getFailureDetails(context, runs);
+
+    const { htmlContent, textContent } = EmailTemplate.createEmailContent({
+      subject: "PR #42 - Checks: 2 failed",
+      repository: "octo-org/monorepo",
+      event: "check_run.completed",
+      failures,
+    });
+
+    assert.match(htmlContent, /<h3><a href="https:\/\/github\.com\/octo-org\/monorepo\/runs\/2">lint<\/a>/);
+    assert.match(htmlContent, /<p><strong>7 problems<\/strong> found<\/p>/);
+    assert.match(htmlContent, /<span class="level-failure">failure<\/span> <code>src\/a\.js:1-2<\/code> <strong>no-undef<\/strong>/);
+    assert.match(textContent, /Failures:\n {2}audit \(timed_out\)/);
+    assert.match(textContent, / {4}\[failure\] src\/a\.js:1-2 no-undef: 'x0' is not defined at line/);
+    assert.match(textContent, / {4}\.\.\. and 2 more annotation\(s\)/);
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, test } from "node:test";
+import assert from "node:assert";
+
+import { CodeOwners } from "../src/utils/codeowners.js";
+import { GitHubService } from "../src/services/githubService.js";
+
+const content = `
+# Default owners
+*                 @octocat
+
+/infra/**         @octo-org/platform
+docs/             docs@company.com   # any docs directory
+apps/*/config.yml @hubot
+/infra/README.md
+`;
+
+describe("CodeOwners", () => {
+  const rules = CodeOwners.parse(content);
+
+  test("parses rules and ignores comments", () => {
+    assert.deepStrictEqual(rules.map((rule) => rule.pattern), ["*", "/infra/**", "docs/", "apps/*/config.yml", "/infra/README.md"]);
+    assert.deepStrictEqual(rules[2].owners, ["docs@company.com"]);
+  });
+
+  test("uses the last matching rule", () => {
+    assert.deepStrictEqual(CodeOwners.getOwnersForPath(rules, "infra/terraform/main.tf"), ["@octo-org/platform"]);
+    assert.deepStrictEqual(CodeOwners.getOwnersForPath(rules, "src/infra/main.tf"), ["@octocat"]);
+    assert.deepStrictEqual(CodeOwners.getOwnersForPath(rules, "packages/web/docs/guide.md"), ["docs@company.com"]);
+    assert.deepStrictEqual(CodeOwners.getOwnersForPath(rules, "apps/web/config.yml"), ["@hubot"]);
+    assert.deepStrictEqual(CodeOwners.getOwnersForPath(rules, "apps/web/nested/config.yml"), ["@octocat"]);
+    assert.deepStrictEqual(CodeOwners.getOwnersForPath(rules, "infra/README.md"), []);
+  });
+
+  test("matches a trailing wildcard only in its own directory", () => {
+    const docsRules = CodeOwners.parse("docs/* docs@example.com");
+
+    assert.deepStrictEqual(CodeOwners.getOwnersForPath(docsRules, "docs/getting-started.md"), ["docs@example.com"]);
+    assert.deepStrictEqual(CodeOwners.getOwnersForPath(docsRules, "docs/build-app/troubleshooting.md"), []);
+  });
+
+  test("resolves users, team members and emails of a pull request", async () => {
+    const octokit = {
+      repos: {
+        async getContent({ path }) {
+          if (path !== "CODEOWNERS") {
+            throw Object.assign(new Error("Not Found"), { status: 404 });
+          }
+          return { data: { content: Buffer.from(content).toString("base64"), encoding: "base64" } };
+        },
+      },
+      pulls: { listFiles: "listFiles" },
+      teams: { listMembersInOrg: "listMembersInOrg" },
+      users: {
+        async getByUsername({ username }) {
+          return { data: { email: `${username}@company.com` } };
+        },
+      },
+      async paginate(method) {
+        if (method === "listFiles") {
+          return [{ filename: "infra/main.tf" }, { filename: "docs/setup.md", previous_filename: "docs/install.md" }];
+        }
+        return [{ login: "platform-lead" }, { login: "octocat" }];
+      },
+    };
+    const context = { octokit, payload: { repository: { full_name: "octo-org/monorepo", name: "monorepo", owner: { login: "octo-org" } } } };
+
+    const result = await new GitHubService().getCodeOwnerRecipients(context, { number: 42, base: { ref: "main" } }, ["octocat"]);
+
+    assert.deepStrictEqual(result.owners, ["@octo-org/platform", "docs@company.com"]);
+    assert.deepStrictEqual(result.usernames, ["platform-lead"]);
+    assert.deepStrictEqual(result.emails, ["docs@company.com", "platform-lead@company.com"]);
+  });
+});
@@ -0,0 +1,85 @@
+import { describe, test } from "node:test";
+import assert from "node:assert";
+
+import { CommentHandler } from "../src/handlers/commentHandler.js";
+
+const pullRequest = { number: 42, title: "Add caching", html_url: "https://github.com/octo-org/monorepo/pull/42", user: { login: "octocat" } };
+
+/**
+ * NotificationService stand-in recording what would be sent
+ */
+function createNotificationService(participants = []) {
+  const service = {
+    sent: [],
+    participantExclusions: null,
+    githubService: {
+      async getPullRequest() {
+        return { success: true, pullRequest };
+      },
+      async getPRParticipants(context, pullNumber, exclude) {
+        service.participantExclusions = exclude;
+        return { success: true, usernames: participants };
+      },
+      async getBulkUserEmails(context, usernames) {
+        return { emails: usernames.map((login) => `${login}@company.com`) };
+      },
+    },
+    async sendPRNotification(context, eventType, action, data, customRecipients) {
+      service.sent.push({ context, eventType, action, data, customRecipients });
+      return { success: true };
+    },
+  };
+  return service;
+}
+
+describe("CommentHandler", () => {
+  test("notifies participants about a review comment with file and line context", async () => {
+    const notificationService = createNotificationService(["hubot"]);
+    const handler = new CommentHandler(notificationService);
+
+    const result = await handler.handle({
+      payload: {
+        repository: { full_name: "octo-org/monorepo" },
+        pull_request: pullRequest,
+        comment: {
+          user: { login: "monalisa", type: "User" },
+          body: "This cache never expires.",
+          path: "src/cache.js",
+          line: 12,
+          diff_hunk: "@@ -1,3 +10,4 @@\n const cache = new Map();\n+cache.set(key, value);",
+          html_url: "https://github.com/octo-org/monorepo/pull/42#discussion_r1",
+        },
+      },
+    }, "created");
+
+    assert.strictEqual(result.success, true);
+    const [sent] = notificationService.sent;
+    assert.strictEqual(sent.eventType, "pull_request_review_comment");
+    assert.deepStrictEqual(sent.customRecipients, ["hubot@company.com"]);
+    assert.deepStrictEqual(sent.data.excludeUsers, ["monalisa"]);
+    assert.deepStrictEqual(notificationService.participantExclusions, ["monalisa", "octocat"]);
+    assert.match(sent.data.description, /src\/cache\.js:12/);
+    assert.match(sent.data.summary, /\+cache\.set\(key, value\);/);
+    assert.match(sent.data.summary, /This cache never expires\./);
+  });
+
+  test("loads the pull request for conversation comments and skips plain issues", async () => {
+    const notificationService = createNotificationService();
+    const handler = new CommentHandler(notificationService);
+    const comment = { user: { login: "monalisa", type: "User" }, body: "LGTM" };
+
+    await handler.handle({ payload: { issue: { number: 42, pull_request: {} }, comment } }, "created");
+    const skipped = await handler.handle({ payload: { issue: { number: 7 }, comment } }, "created");
+
+    assert.strictEqual(notificationService.sent.length, 1);
+    assert.strictEqual(notificationService.sent[0].eventType, "issue_comment");
+    assert.strictEqual(notificationService.sent[0].context.payload.pull_request, pullRequest);
+    assert.strictEqual(skipped.reason, "Comment is not on a pull request");
+  });
+
+  test("formats line ranges for multi-line review comments", () => {
+    assert.strictEqual(CommentHandler.formatLocation({ path: "a.js", start_line: 3, line: 8 }), "a.js:3-8");
+    assert.strictEqual(CommentHandler.formatLocation({ path: "a.js", original_line: 5 }), "a.js:5");
+    assert.strictEqual(CommentHandler.formatLocation({ body: "general" }), null);
+  });
+});
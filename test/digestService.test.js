@@ -0,0 +1,112 @@
+import { describe, test } from "node:test";
+import assert from "node:assert";
+
+import { DigestService } from "../src/services/digestService.js";
+import { EmailTemplate } from "../src/templates/emailTemplate.js";
+import { RepositoryConfig } from "../src/config/repositoryConfig.js";
+import { MemoryStore } from "../src/storage/memoryStore.js";
+
+const notification = (eventType, action, extra = {}) => ({
+  eventType,
+  action,
+  subject: `${eventType}.${action}`,
+  repository: { fullName: "octo-org/monorepo" },
+  pullRequest: { number: 42, title: "Add caching", html_url: "https://github.com/octo-org/monorepo/pull/42" },
+  ...extra,
+});
+
+describe("DigestService", () => {
+  test("picks digest delivery by preference, then repository recipient, then categories", () => {
+    const previous = process.env.DIGEST_CATEGORIES;
+    process.env.DIGEST_CATEGORIES = "check_results";
+    try {
+      const digestService = new DigestService(null);
+      const repoConfig = new RepositoryConfig("octo-org/monorepo", {
+        digest: { categories: ["pr_reviews"], recipients: { "lead@company.com": [], "octocat@company.com": ["check_results"] } },
+      });
+      const checks = notification("check_run", "completed", { repoConfig });
+      const review = notification("pull_request_review", "submitted", { repoConfig });
+      const emails = ["lead@company.com", "octocat@company.com", "hubot@company.com"];
+
+      assert.deepStrictEqual(digestService.partition(emails, checks), { immediate: ["lead@company.com", "hubot@company.com"], digest: ["octocat@company.com"] });
+      assert.deepStrictEqual(digestService.partition(emails, review), { immediate: ["lead@company.com", "octocat@company.com"], digest: ["hubot@company.com"] });
+      assert.deepStrictEqual(digestService.partition(emails, review, { "lead@company.com": "digest", "hubot@company.com": "immediate" }), { immediate: ["octocat@company.com", "hubot@company.com"], digest: ["lead@company.com"] });
+      assert.strictEqual(digestService.shouldDigest("hubot@company.com", notification("check_run", "completed")), true);
+      assert.strictEqual(digestService.shouldDigest("hubot@company.com", notification("pull_request", "edited")), false);
+    } finally {
+      if (previous === undefined) {
+        delete process.env.DIGEST_CATEGORIES;
+      } else {
+        process.env.DIGEST_CATEGORIES = previous;
+      }
+    }
+  });
+
+  test("keeps queued notifications in the store and re-queues failed digests a limited number of times", async () => {
+    const store = new MemoryStore();
+    const sent = [];
+    const results = [{ success: false, reason: "Invalid email address" }, { success: false, queued: true, reason: "Connection timeout" }];
+    const emailService = {
+      async sendNotification(to, subject) {
+        sent.push({ to, subject });
+        return results.shift() || { success: false, reason: "Mailbox unavailable" };
+      },
+    };
+
+    await new DigestService(emailService, store).enqueue("OctoCat@company.com", notification("check_run", "completed"));
+    const digestService = new DigestService(emailService, store);
+    await digestService.enqueue("octocat@company.com", notification("pull_request_review", "submitted"));
+    assert.strictEqual(await digestService.getQueuedCount(), 2);
+
+    await digestService.flush();
+    assert.deepStrictEqual(sent.map(email => email.to), ["octocat@company.com"]);
+    assert.strictEqual(await digestService.getQueuedCount(), 2);
+
+    await digestService.flush();
+    assert.strictEqual(await digestService.getQueuedCount(), 0);
+
+    await digestService.enqueue("hubot@company.com", notification("check_run", "completed"));
+    await digestService.flush();
+    await digestService.flush();
+    assert.strictEqual(await digestService.getQueuedCount(), 1);
+    await digestService.flush();
+    assert.strictEqual(await digestService.getQueuedCount(), 0);
+  });
+});
+
+describe("EmailTemplate.createDigestContent", () => {
+  test("groups entries by repository and pull request", () => {
+    const entries = [
+      { event: "check_run.completed", subject: "Checks failed", repository: "octo-org/monorepo", pullRequest: { number: 42, title: "Add caching", url: "https://github.com/octo-org/monorepo/pull/42" }, statusInfo: { status: "failure" } },
+      { event: "pull_request.opened", subject: "New Pull Request #7", repository: "octo-org/docs", pullRequest: { number: 7, title: "Fix typo", url: "https://github.com/octo-org/docs/pull/7" } },
+      { event: "pull_request_review.submitted", subject: "Review APPROVED", description: "Looks good", repository: "octo-org/monorepo", pullRequest: { number: 42, title: "Add caching", url: "https://github.com/octo-org/monorepo/pull/42" } },
+    ];
+
+    const { subject, textContent, htmlContent } = EmailTemplate.createDigestContent(entries);
+
+    assert.strictEqual(subject, "PR notification digest: 3 updates in 2 repositories");
+    assert.strictEqual(textContent, [
+      subject,
+      "",
+      "octo-org/monorepo",
+      "  #42 - Add caching (https://github.com/octo-org/monorepo/pull/42)",
+      "    - [failure] Checks failed",
+      "    - Review APPROVED: Looks good",
+      "",
+      "octo-org/docs",
+      "  #7 - Fix typo (https://github.com/octo-org/docs/pull/7)",
+      "    - New Pull Request #7",
+    ].join("\n"));
+    assert.match(htmlContent, /<h2>octo-org\/monorepo<\/h2>[\s\S]*Pull Request #42: Add caching[\s\S]*<h2>octo-org\/docs<\/h2>/);
+  });
+
+  test("renders the HTML part through the digest template and its overrides", () => {
+    const entries = [{ event: "pull_request.opened", subject: "New Pull Request #7", detailsUrl: "https://github.com/octo-org/docs/pull/7?tab=files&w=1", repository: "octo-org/docs", pullRequest: null }];
+    const layout = "<html><body class=\"acme\">{{{body}}}</body></html>";
+
+    const { htmlContent } = EmailTemplate.createDigestContent(entries, new Map([["layout", layout]]));
+
+    assert.match(htmlContent, /^<html><body class="acme">\s*<h2>octo-org\/docs<\/h2>/);
+    assert.match(htmlContent, /<li><a href="https:\/\/github\.com\/octo-org\/docs\/pull\/7\?tab=files&amp;w=1">New Pull Request #7<\/a><\/li>/);
+  });
+});
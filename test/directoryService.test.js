@@ -0,0 +1,93 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { describe, test } from "node:test";
+import assert from "node:assert";
+
+import { DirectoryService } from "../src/services/directoryService.js";
+import { GitHubService } from "../src/services/githubService.js";
+
+const profileContext = {
+  octokit: {
+    users: {
+      async getByUsername({ username }) {
+        return { data: { email: `${username}@users.noreply.example` } };
+      },
+    },
+  },
+};
+
+describe("DirectoryService", () => {
+  test("parses YAML, JSON and CSV directories", () => {
+    const yaml = DirectoryService.parse("Octocat: octocat@company.com\nhubot: [hubot@company.com, alerts@company.com]\n", "yaml");
+    const json = DirectoryService.parse('{"octocat": ["octocat@company.com"]}', "json");
+    const csv = DirectoryService.parse("login,email\noctocat,octocat@company.com\nhubot,hubot@company.com;alerts@company.com\n\n", "csv");
+
+    assert.deepStrictEqual(yaml.get("octocat"), ["octocat@company.com"]);
+    assert.deepStrictEqual(yaml.get("hubot"), ["hubot@company.com", "alerts@company.com"]);
+    assert.deepStrictEqual(json.get("octocat"), ["octocat@company.com"]);
+    assert.deepStrictEqual(csv.get("hubot"), ["hubot@company.com", "alerts@company.com"]);
+    assert.strictEqual(csv.size, 2);
+  });
+
+  test("reloads the local file and keeps entries when it becomes invalid", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "email-directory-"));
+    const file = path.join(dir, "directory.json");
+    const directory = new DirectoryService({ file });
+
+    fs.writeFileSync(file, '{"octocat": "octocat@company.com"}');
+    assert.strictEqual(directory.loadFile(), true);
+
+    fs.writeFileSync(file, '{"octocat": "octo@company.com", "hubot": "hubot@company.com"}');
+    directory.loadFile();
+    assert.deepStrictEqual(directory.fileEntries.get("octocat"), ["octo@company.com"]);
+
+    fs.writeFileSync(file, "{ not json");
+    assert.strictEqual(directory.loadFile(), false);
+    assert.strictEqual(directory.fileEntries.size, 2);
+
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("reads a repository-hosted directory and reloads it after a push", async () => {
+    let content = "octocat: octocat@company.com";
+    const context = {
+      octokit: {
+        repos: {
+          async getContent() {
+            return { data: { content: Buffer.from(content).toString("base64"), encoding: "base64" } };
+          },
+        },
+      },
+    };
+    const directory = new DirectoryService({ repo: "octo-org/people", path: "email-directory.yml", refreshMs: 60000 });
+
+    assert.deepStrictEqual(await directory.lookup(context, "octocat"), ["octocat@company.com"]);
+
+    content = "octocat: octo@company.com";
+    assert.deepStrictEqual(await directory.lookup(context, "octocat"), ["octocat@company.com"]);
+
+    directory.handlePush({
+      payload: {
+        ref: "refs/heads/main",
+        repository: { full_name: "octo-org/people", default_branch: "main" },
+        commits: [{ modified: ["email-directory.yml"] }],
+      },
+    });
+    assert.deepStrictEqual(await directory.lookup(context, "octocat"), ["octo@company.com"]);
+  });
+
+  test("takes precedence over public profile emails", async () => {
+    const directory = new DirectoryService({});
+    directory.fileEntries = DirectoryService.parse("octocat: [octocat@company.com, oc@company.com]", "yaml");
+    directory.config.file = "directory.yml";
+    const githubService = new GitHubService(null, directory);
+
+    const listed = await githubService.getUserEmail(profileContext, "octocat");
+    const unlisted = await githubService.getUserEmail(profileContext, "hubot");
+
+    assert.deepStrictEqual(listed.emails, ["octocat@company.com", "oc@company.com"]);
+    assert.strictEqual(listed.source, "directory");
+    assert.strictEqual(unlisted.source, "public_profile");
+  });
+});
@@ -0,0 +1,128 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { describe, beforeEach, afterEach, test } from "node:test";
+import assert from "node:assert";
+
+import { EmailService } from "../src/services/emailService.js";
+import { MemoryStore } from "../src/storage/memoryStore.js";
+import { SqliteStore } from "../src/storage/sqliteStore.js";
+
+function smtpError(message, responseCode, code) {
+  return Object.assign(new Error(message), { responseCode, code });
+}
+
+/**
+ * Transporter stand-in: fails with the queued errors, then succeeds
+ */
+function createTransporter(failures = []) {
+  const transporter = {
+    sent: [],
+    async sendMail(mailOptions) {
+      const failure = failures.shift();
+      if (failure) {
+        throw failure;
+      }
+      transporter.sent.push(mailOptions);
+      return { messageId: `<${transporter.sent.length}@test>` };
+    },
+  };
+  return transporter;
+}
+
+function send(emailService) {
+  return emailService.sendNotification(
+    "octocat@company.com",
+    "PR #42 Ready to Merge",
+    "<p>Ready</p>",
+    "Ready",
+    "pull_request",
+    "ready_to_merge",
+  );
+}
+
+describe("EmailService outbox", () => {
+  const savedEnv = { ...process.env };
+
+  beforeEach(() => {
+    process.env.SMTP_HOST = "smtp.company.com";
+    process.env.SMTP_USER = "bot@company.com";
+    process.env.SMTP_PASS = "secret";
+    process.env.EMAIL_RETRY_DELAY_MS = "0";
+    delete process.env.EMAIL_MAX_ATTEMPTS;
+  });
+
+  afterEach(() => {
+    process.env = { ...savedEnv };
+  });
+
+  test("retries transient failures until delivered", async () => {
+    const store = new MemoryStore();
+    const emailService = new EmailService(store);
+    emailService.transporter = createTransporter([
+      smtpError("Service not available", 421),
+      smtpError("Connection reset", undefined, "ECONNECTION"),
+    ]);
+
+    const result = await send(emailService);
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.queued, true);
+    assert.deepStrictEqual(await store.getOutboxCounts(), { pending: 1, dead: 0 });
+
+    assert.deepStrictEqual(await emailService.processOutbox(), { attempted: 1, delivered: 0 });
+    assert.deepStrictEqual(await emailService.processOutbox(), { attempted: 1, delivered: 1 });
+
+    assert.strictEqual(emailService.transporter.sent.length, 1);
+    assert.strictEqual(emailService.transporter.sent[0].to, "octocat@company.com");
+    assert.deepStrictEqual(await store.getOutboxCounts(), { pending: 0, dead: 0 });
+  });
+
+  test("dead-letters permanent failures immediately", async () => {
+    const store = new MemoryStore();
+    const emailService = new EmailService(store);
+    emailService.transporter = createTransporter([smtpError("Mailbox unavailable", 550)]);
+
+    const result = await send(emailService);
+
+    assert.strictEqual(result.deadLettered, true);
+    const [deadLetter] = await store.getOutbox("dead");
+    assert.strictEqual(deadLetter.attempts, 1);
+    assert.strictEqual(deadLetter.lastError, "Mailbox unavailable");
+    assert.strictEqual(deadLetter.message.mailOptions.subject, "PR #42 Ready to Merge");
+  });
+
+  test("dead-letters after EMAIL_MAX_ATTEMPTS attempts", async () => {
+    process.env.EMAIL_MAX_ATTEMPTS = "2";
+    const store = new MemoryStore();
+    const emailService = new EmailService(store);
+    emailService.transporter = createTransporter([
+      smtpError("Try again later", 451),
+      smtpError("Try again later", 451),
+    ]);
+
+    await send(emailService);
+    await emailService.processOutbox();
+
+    assert.deepStrictEqual(await store.getOutboxCounts(), { pending: 0, dead: 1 });
+    assert.strictEqual((await store.getOutbox("dead"))[0].attempts, 2);
+  });
+
+  test("resumes pending emails after a restart", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "pr-notifications-"));
+    const file = path.join(dir, "store.db");
+
+    const before = new EmailService(new SqliteStore(file));
+    before.transporter = createTransporter([smtpError("Service not available", 421)]);
+    await send(before);
+    await before.store.close();
+
+    const store = new SqliteStore(file);
+    const after = new EmailService(store);
+    after.transporter = createTransporter();
+    assert.deepStrictEqual(await after.processOutbox(), { attempted: 1, delivered: 1 });
+    assert.strictEqual(after.transporter.sent[0].subject, "PR #42 Ready to Merge");
+
+    await store.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
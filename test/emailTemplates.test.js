@@ -0,0 +1,89 @@
+import { describe, test } from "node:test";
+import assert from "node:assert";
+
+import { EmailTemplate } from "../src/templates/emailTemplate.js";
+import { TemplateRenderer } from "../src/templates/templateRenderer.js";
+import { TemplateService } from "../src/services/templateService.js";
+import { RepositoryConfig } from "../src/config/repositoryConfig.js";
+
+const pullRequest = {
+  number: 42,
+  title: "Add <caching>",
+  html_url: "https://github.com/octo-org/monorepo/pull/42",
+  user: { login: "octocat" },
+  head: { ref: "feature/cache" },
+  base: { ref: "main" },
+};
+
+const data = {
+  subject: "New Pull Request #42",
+  repository: "octo-org/monorepo",
+  pullRequest,
+  event: "pull_request.opened",
+  summary: "Adds a cache in front of the API",
+  detailsUrl: "https://github.com/octo-org/monorepo/pull/42/checks?sha=abc",
+};
+
+describe("HTML email templates", () => {
+  test("renders every field through the event's default template", () => {
+    const { htmlContent } = EmailTemplate.createEmailContent(data);
+
+    assert.match(htmlContent, /<h2>New Pull Request #42<\/h2>/);
+    assert.match(htmlContent, /octocat wants to merge <code>feature\/cache<\/code> into <code>main<\/code>/);
+    assert.match(htmlContent, /Pull Request #42: Add &lt;caching&gt;/);
+    assert.match(htmlContent, /Adds a cache in front of the API/);
+    assert.match(htmlContent, /href="https:\/\/github\.com\/octo-org\/monorepo\/pull\/42\/checks\?sha=abc"/);
+  });
+
+  test("falls back to the built-in templates an override set leaves out or breaks", () => {
+    const layout = "<html><body class=\"acme\">{{{body}}}</body></html>";
+    const branded = TemplateRenderer.render("pull_request.opened", data, new Map([["layout", layout]]));
+    const broken = TemplateRenderer.render("pull_request.opened", data, new Map([["pull_request.opened", "{{#if}}"]]));
+    const generic = TemplateRenderer.render("pull_request.reopened", data, new Map([["pull_request", "<p>{{event}}</p>"]]));
+
+    assert.match(branded, /^<html><body class="acme"><h2>New Pull Request #42<\/h2>/);
+    assert.match(broken, /octocat wants to merge/);
+    assert.match(generic, /<p>pull_request\.opened<\/p>/);
+  });
+});
+
+describe("TemplateService", () => {
+  test("loads repository templates over directory templates and reloads them after a push", async () => {
+    let layout = "<main>{{{body}}}</main>";
+    const requests = [];
+    const context = {
+      payload: { repository: { full_name: "octo-org/monorepo", name: "monorepo", owner: { login: "octo-org" } } },
+      octokit: {
+        repos: {
+          async getContent({ path }) {
+            requests.push(path);
+            if (path === ".github/email-templates") {
+              return { data: [{ type: "file", name: "layout.hbs", path: ".github/email-templates/layout.hbs" }, { type: "file", name: "README.md" }] };
+            }
+            return { data: { content: Buffer.from(layout).toString("base64"), encoding: "base64" } };
+          },
+        },
+      },
+    };
+    const repoConfig = new RepositoryConfig("octo-org/monorepo", { templates: { path: "/.github/email-templates/" } });
+    const service = new TemplateService({ refreshMs: 60000 });
+    service.directoryTemplates = new Map([["layout", "<div>{{{body}}}</div>"], ["default", "<p>{{subject}}</p>"]]);
+
+    const templates = await service.getTemplates(context, repoConfig);
+    await service.getTemplates(context, repoConfig);
+
+    assert.strictEqual(templates.get("layout"), "<main>{{{body}}}</main>");
+    assert.strictEqual(templates.get("default"), "<p>{{subject}}</p>");
+    assert.strictEqual(requests.length, 2);
+
+    layout = "<section>{{{body}}}</section>";
+    service.handlePush({
+      payload: {
+        ref: "refs/heads/main",
+        repository: { full_name: "octo-org/monorepo", default_branch: "main" },
+        commits: [{ modified: [".github/email-templates/layout.hbs"] }],
+      },
+    });
+    assert.strictEqual((await service.getTemplates(context, repoConfig)).get("layout"), "<section>{{{body}}}</section>");
+  });
+});
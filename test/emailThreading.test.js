@@ -0,0 +1,48 @@
+import { describe, test } from "node:test";
+import assert from "node:assert";
+
+import { EmailThreadService } from "../src/services/emailThreadService.js";
+import { EmailChannel } from "../src/channels/emailChannel.js";
+import { MemoryStore } from "../src/storage/memoryStore.js";
+
+const notification = (subject, action) => ({
+  eventType: "pull_request",
+  action,
+  subject,
+  repository: { fullName: "octo-org/monorepo" },
+  pullRequest: { number: 42, title: "Add caching", html_url: "https://github.com/octo-org/monorepo/pull/42" },
+});
+
+describe("Email threading", () => {
+  test("sends later emails about a PR as replies to the first one", async () => {
+    const sent = [];
+    const emailService = {
+      async sendBulkNotifications(emails, subject, htmlContent, textContent, eventType, action, personalize) {
+        emails.forEach((email) => sent.push({ subject, ...personalize(email) }));
+        return { success: true };
+      },
+    };
+    const emailThreadService = new EmailThreadService(new MemoryStore(), { enabled: true, domain: "company.com" });
+    const channel = new EmailChannel({ emailService, emailThreadService });
+
+    await channel.send(notification("New Pull Request #42", "opened"), { emails: ["octocat@company.com"] });
+    await channel.send(notification("PR #42 is ready to merge", "ready_to_merge"), { emails: ["octocat@company.com"] });
+
+    const [opened, ready] = sent;
+    assert.strictEqual(opened.subject, "[octo-org/monorepo] Add caching (PR #42)");
+    assert.match(opened.headers["Message-ID"], /^<octo-org\/monorepo\/pull\/42\/\d+\.[0-9a-f]+@company\.com>$/);
+    assert.strictEqual(opened.headers["In-Reply-To"], undefined);
+    assert.strictEqual(ready.subject, "Re: [octo-org/monorepo] Add caching (PR #42)");
+    assert.notStrictEqual(ready.headers["Message-ID"], opened.headers["Message-ID"]);
+    assert.strictEqual(ready.headers["In-Reply-To"], opened.headers["Message-ID"]);
+    assert.strictEqual(ready.headers["References"], opened.headers["Message-ID"]);
+    assert.match(ready.htmlContent, /<h2>PR #42 is ready to merge<\/h2>/);
+  });
+
+  test("sends unthreaded when disabled or the store fails", async () => {
+    const failing = { async claimThreadRoot() { throw new Error("database is locked"); } };
+
+    assert.strictEqual(await new EmailThreadService(new MemoryStore(), { enabled: false }).getThread(notification("x", "opened")), null);
+    assert.strictEqual(await new EmailThreadService(failing, { enabled: true }).getThread(notification("x", "opened")), null);
+  });
+});
@@ -0,0 +1,159 @@
+import { describe, test } from "node:test";
+import assert from "node:assert";
+
+import { GitHubService } from "../src/services/githubService.js";
+import { MemoryStore } from "../src/storage/memoryStore.js";
+
+function createContext() {
+  const calls = [];
+  const octokit = {
+    teams: { listMembersInOrg: "listMembersInOrg" },
+    users: {
+      async getByUsername({ username }) {
+        return { data: { email: `${username}@company.com` } };
+      },
+    },
+    async paginate(method, params) {
+      calls.push(params.team_slug);
+      return [{ login: "octocat" }, { login: "hubot" }];
+    },
+  };
+  return { calls, context: { octokit, payload: { repository: { name: "monorepo", owner: { login: "octo-org" } } } } };
+}
+
+describe("GitHubService team recipients", () => {
+  test("adds members of requested teams to the additional recipients", async () => {
+    const { context } = createContext();
+    const pullRequest = {
+      number: 42,
+      assignees: [{ login: "monalisa" }],
+      requested_reviewers: [],
+      requested_teams: [{ slug: "platform" }],
+    };
+
+    const result = await new GitHubService().getAdditionalPRRecipients(context, pullRequest, "octocat");
+
+    assert.deepStrictEqual(result.usernames, ["monalisa", "hubot"]);
+    assert.deepStrictEqual(result.emails, ["monalisa@company.com", "hubot@company.com"]);
+  });
+
+  test("caches team membership", async () => {
+    const { calls, context } = createContext();
+    const githubService = new GitHubService();
+
+    await githubService.getTeamMembers(context, "octo-org", "platform");
+    const second = await githubService.getTeamMembers(context, "Octo-Org", "Platform");
+
+    assert.deepStrictEqual(calls, ["platform"]);
+    assert.deepStrictEqual(second.usernames, ["octocat", "hubot"]);
+  });
+});
+
+describe("GitHubService commit author emails", () => {
+  test("uses commit author emails for users without a public email and remembers them", async () => {
+    let listed = 0;
+    const octokit = {
+      pulls: { listCommits: "listCommits" },
+      users: {
+        async getByUsername() {
+          return { data: { email: null } };
+        },
+      },
+      async paginate(method, params) {
+        assert.strictEqual(method, "listCommits");
+        assert.strictEqual(params.pull_number, 42);
+        listed++;
+        return [
+          { author: { login: "octocat" }, commit: { author: { email: "octocat@company.com" } } },
+          { author: { login: "hubot" }, commit: { author: { email: "1234+hubot@users.noreply.github.com" } } },
+          { author: null, commit: { author: { email: "someone@example.com" } } },
+        ];
+      },
+    };
+    const repository = { full_name: "octo-org/monorepo", name: "monorepo", owner: { login: "octo-org" } };
+    const context = { octokit, payload: { repository, pull_request: { number: 42, head: { sha: "abc" } } } };
+    const store = new MemoryStore();
+    const githubService = new GitHubService(null, null, store);
+
+    const octocat = await githubService.getUserEmail(context, "octocat");
+    const hubot = await githubService.getUserEmail(context, "hubot");
+    const later = await githubService.getUserEmail({ octokit, payload: { repository } }, "OctoCat");
+    const restarted = await new GitHubService(null, null, store).getUserEmail(context, "octocat");
+
+    assert.deepStrictEqual(octocat, { success: true, email: "octocat@company.com", emails: ["octocat@company.com"], source: "commit_author" });
+    assert.strictEqual(hubot.reason, "no_public_email");
+    assert.strictEqual(later.email, "octocat@company.com");
+    assert.strictEqual(restarted.email, "octocat@company.com");
+    assert.strictEqual(listed, 1);
+  });
+});
+
+describe("GitHubService creator email fallback", () => {
+  const repository = { full_name: "octo-org/monorepo", name: "monorepo", owner: { login: "octo-org", type: "Organization" } };
+  const context = {
+    payload: { repository },
+    octokit: {
+      async graphql(query, variables) {
+        assert.deepStrictEqual(variables, { login: "octocat", org: "octo-org" });
+        return { user: { organizationVerifiedDomainEmails: ["octocat@corp.example"] } };
+      },
+    },
+  };
+  const fallback = { emailOverrides: {}, defaultEmail: "prs@company.com", emailDomain: "company.com" };
+
+  test("uses the verified domain email ahead of the generated one", async () => {
+    const result = await new GitHubService().handlePRCreatorEmailFallback(context, "octocat", {
+      ...fallback,
+      strategies: ["override", "verified_domain", "default", "domain"],
+    });
+
+    assert.deepStrictEqual(result, { success: true, email: "octocat@corp.example", source: "verified_domain" });
+  });
+
+  test("follows the configured strategy order", async () => {
+    const result = await new GitHubService().handlePRCreatorEmailFallback(context, "octocat", {
+      ...fallback,
+      strategies: ["domain", "verified_domain"],
+    });
+
+    assert.deepStrictEqual(result, { success: true, email: "octocat@company.com", source: "domain_generation" });
+  });
+});
+
+describe("GitHubService.findComment", () => {
+  test("only finds comments posted by the app's own bot", async () => {
+    let lookups = 0;
+    const app = {
+      async auth() {
+        return {
+          apps: {
+            async getAuthenticated() {
+              lookups++;
+              return { data: { slug: "pr-notifier" } };
+            },
+          },
+        };
+      },
+    };
+    const context = {
+      payload: { repository: { name: "monorepo", owner: { login: "octo-org" } } },
+      octokit: {
+        issues: { listComments: "listComments" },
+        async paginate() {
+          return [
+            { id: 1, user: { login: "copycat[bot]", type: "Bot" }, body: "Quoting <!-- marker" },
+            { id: 2, user: { login: "octocat", type: "User" }, body: "<!-- marker" },
+            { id: 3, user: { login: "pr-notifier[bot]", type: "Bot" }, body: "<!-- marker -->" },
+          ];
+        },
+      },
+    };
+    const githubService = new GitHubService(app);
+
+    const found = await githubService.findComment(context, 42, "<!-- marker");
+    await githubService.findComment(context, 42, "<!-- marker");
+
+    assert.strictEqual(found.comment.id, 3);
+    assert.strictEqual(lookups, 1);
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, test } from "node:test";
+import assert from "node:assert";
+
+import { Markdown } from "../src/utils/markdown.js";
+import { EmailTemplate } from "../src/templates/emailTemplate.js";
+
+const description = [
+  "Fixes the cache. cc @octocat and @octo-org/platform, questions to ops@company.com",
+  "",
+  "- [x] Tests",
+  "- [ ] Docs",
+  "",
+  "```js",
+  "cache.set(key, value);",
+  "```",
+  "",
+  "| Check | Result |",
+  "|---|---|",
+  "| lint | **failed** |",
+].join("\n");
+
+describe("Markdown", () => {
+  test("renders task lists, code blocks, tables and @mentions as HTML", () => {
+    const html = Markdown.toHtml(description);
+
+    assert.match(html, /<a href="https:\/\/github\.com\/octocat">@octocat<\/a>/);
+    assert.match(html, /<a href="https:\/\/github\.com\/orgs\/octo-org\/teams\/platform">@octo-org\/platform<\/a>/);
+    assert.match(html, /<a href="mailto:ops@company\.com">ops@company\.com<\/a>/);
+    assert.match(html, /<li>☑ Tests<\/li>\s*<li>☐ Docs<\/li>/);
+    assert.match(html, /<pre><code class="language-js">cache\.set\(key, value\);/);
+    assert.match(html, /<td><strong>failed<\/strong><\/td>/);
+  });
+
+  test("strips scripts, event handlers and unsafe links", () => {
+    const html = Markdown.toHtml('Hi <script>alert(1)</script><b onclick="x()">there</b> [click](javascript:alert(1)) ![x](http://tracker.example/p.gif)');
+
+    assert.doesNotMatch(html, /script|onclick|javascript|<img|<b>/);
+    assert.match(html, /there/);
+  });
+
+  test("renders a readable plain-text fallback", () => {
+    assert.strictEqual(Markdown.toText(description), [
+      "Fixes the cache. cc @octocat and @octo-org/platform, questions to ops@company.com",
+      "",
+      "- [x] Tests",
+      "- [ ] Docs",
+      "",
+      "    cache.set(key, value);",
+      "",
+      "Check | Result",
+      "lint | failed",
+    ].join("\n"));
+    assert.strictEqual(Markdown.toText("See [the docs](https://docs.example/a) & `a < b`"), "See the docs (https://docs.example/a) & a < b");
+  });
+
+  test("renders Markdown summaries in both parts of the email", () => {
+    const { htmlContent, textContent } = EmailTemplate.createEmailContent({
+      subject: "Review APPROVED for PR #42",
+      repository: "octo-org/monorepo",
+      event: "pull_request_review.submitted",
+      summary: "**Looks good**, thanks @octocat",
+      summaryFormat: "markdown",
+    });
+
+    assert.match(htmlContent, /<div class="markdown"><p><strong>Looks good<\/strong>, thanks <a href="https:\/\/github\.com\/octocat">@octocat<\/a><\/p><\/div>/);
+    assert.match(textContent, /Summary:\nLooks good, thanks @octocat/);
+  });
+});
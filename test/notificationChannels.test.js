@@ -0,0 +1,116 @@
+import { describe, test } from "node:test";
+import assert from "node:assert";
+
+import { BaseChannel, NotificationChannelFactory } from "../src/channels/baseChannel.js";
+import { NotificationService } from "../src/services/notificationService.js";
+import { GitHubService } from "../src/services/githubService.js";
+import { MemoryStore } from "../src/storage/memoryStore.js";
+
+class ChatChannel extends BaseChannel {
+  static channelName = "chat";
+
+  isEnabledFor(notification) {
+    return notification.eventType === "pull_request";
+  }
+
+  async send() {
+    return { success: true };
+  }
+}
+
+class BrokenChannel extends BaseChannel {
+  static channelName = "broken";
+
+  async send() {
+    throw new Error("webhook unreachable");
+  }
+}
+
+class FailingChannel extends BaseChannel {
+  static channelName = "failing";
+
+  async send() {
+    return { success: false, reason: "rejected" };
+  }
+}
+
+const notification = {
+  eventType: "pull_request",
+  action: "opened",
+  repository: { fullName: "octo-org/monorepo" },
+  pullRequest: { number: 42 },
+};
+const recipients = { emails: ["octocat@company.com"] };
+
+describe("NotificationChannelFactory", () => {
+  test("creates an instance of every registered channel with the services", () => {
+    const registered = new Map(NotificationChannelFactory.channels);
+    try {
+      NotificationChannelFactory.channels.clear();
+      NotificationChannelFactory.register("chat", ChatChannel);
+      NotificationChannelFactory.register("broken", BrokenChannel);
+      const services = { emailService: {} };
+
+      const channels = NotificationChannelFactory.createChannels(services);
+
+      assert.deepStrictEqual(NotificationChannelFactory.getRegisteredChannels(), ["chat", "broken"]);
+      assert.deepStrictEqual(channels.map(channel => channel.name), ["chat", "broken"]);
+      assert.strictEqual(channels[0].services, services);
+    } finally {
+      NotificationChannelFactory.channels = registered;
+    }
+  });
+});
+
+describe("NotificationService channels", () => {
+  test("only uses the channels that accept a notification", () => {
+    const service = new NotificationService(null, null, null, [new ChatChannel(), new BrokenChannel()]);
+
+    assert.deepStrictEqual(service.getChannelsFor(notification, recipients).map(channel => channel.name), ["chat", "broken"]);
+    assert.deepStrictEqual(service.getChannelsFor({ ...notification, eventType: "check_run" }, recipients).map(channel => channel.name), ["broken"]);
+  });
+
+  test("keeps delivering when one channel throws and succeeds if any channel did", async () => {
+    const store = new MemoryStore();
+    const service = new NotificationService(null, null, null, [], store);
+
+    const result = await service.sendNotifications([new BrokenChannel(), new ChatChannel()], notification, recipients);
+    const failed = await service.sendNotifications([new BrokenChannel(), new FailingChannel()], notification, recipients);
+
+    assert.strictEqual(result.success, true);
+    assert.deepStrictEqual(result.channels, { broken: { success: false, reason: "webhook unreachable" }, chat: { success: true } });
+    assert.strictEqual(failed.success, false);
+    assert.deepStrictEqual((await store.getNotifications()).map(record => [record.channel, record.success]), [
+      ["failing", false], ["broken", false], ["chat", true], ["broken", false],
+    ]);
+  });
+
+  test("only loads expensive notification details once a channel accepted it", async () => {
+    const sent = [];
+    const channel = new ChatChannel();
+    channel.send = async notification => {
+      sent.push(notification);
+      return { success: true };
+    };
+    const service = new NotificationService(null, new GitHubService(null), null, [channel]);
+    service.determineRecipients = async () => recipients;
+    const context = {
+      octokit: {},
+      payload: { repository: { full_name: "octo-org/monorepo", owner: { login: "octo-org" } }, pull_request: { number: 42, user: { login: "octocat" } } },
+    };
+    let loads = 0;
+    const loadDetails = async () => {
+      loads++;
+      return { failures: [{ name: "lint" }] };
+    };
+
+    const skipped = await service.deliver(context, "check_run", "completed", { loadDetails });
+    const delivered = await service.deliver(context, "pull_request", "opened", { loadDetails });
+
+    assert.strictEqual(skipped.reason, "No notification channel accepted the notification");
+    assert.strictEqual(delivered.success, true);
+    assert.strictEqual(loads, 1);
+    assert.deepStrictEqual(sent[0].failures, [{ name: "lint" }]);
+    assert.strictEqual("loadDetails" in sent[0], false);
+  });
+});
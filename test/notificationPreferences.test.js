@@ -0,0 +1,65 @@
+import { describe, test } from "node:test";
+import assert from "node:assert";
+
+import { NotificationService } from "../src/services/notificationService.js";
+import { DigestService } from "../src/services/digestService.js";
+import { RepositoryConfig } from "../src/config/repositoryConfig.js";
+
+const pr = { number: 42, title: "Add caching", user: { login: "octocat" } };
+const context = { payload: { repository: { full_name: "octo-org/monorepo" }, pull_request: pr } };
+
+const githubService = {
+  async getUserEmail(context, username) {
+    return { success: true, email: `${username}@company.com`, emails: [`${username}@company.com`] };
+  },
+};
+
+function createConfig(preferences) {
+  return new RepositoryConfig("octo-org/monorepo", {
+    additional_recipients: { enabled: true },
+    preferences,
+  });
+}
+
+describe("NotificationService user preferences", () => {
+  const reviewers = ["senior@company.com", "hubot@company.com", "monalisa@company.com"];
+  const config = createConfig({
+    Senior: { events: ["pr_reviews", "pull_request.review_requested"] },
+    hubot: { channels: ["chat"] },
+    octocat: { delivery: "digest" },
+    monalisa: { mute: ["check_results"] },
+  });
+
+  test("drops recipients whose preferences exclude the event", async () => {
+    const service = new NotificationService(null, githubService, null);
+
+    const synchronize = await service.determineRecipients(context, pr, reviewers, config, [], { eventType: "pull_request", action: "synchronize" });
+    const reviewRequested = await service.determineRecipients(context, pr, reviewers, config, [], { eventType: "pull_request", action: "review_requested" });
+    const checks = await service.determineRecipients(context, pr, reviewers, config, [], { eventType: "check_run", action: "completed" });
+
+    assert.deepStrictEqual(synchronize.emails, ["octocat@company.com", "monalisa@company.com"]);
+    assert.deepStrictEqual(synchronize.summary.excludedByPreference, ["senior", "hubot"]);
+    assert.deepStrictEqual(reviewRequested.emails, ["octocat@company.com", "senior@company.com", "monalisa@company.com"]);
+    assert.deepStrictEqual(checks.emails, ["octocat@company.com"]);
+    assert.deepStrictEqual(checks.delivery, { "octocat@company.com": "digest" });
+  });
+
+  test("lets an opted-out PR owner go unnotified", async () => {
+    const service = new NotificationService(null, githubService, null);
+
+    const config = new RepositoryConfig("octo-org/monorepo", { preferences: { octocat: { opt_out: true } } });
+
+    const result = await service.determineRecipients(context, pr, null, config, [], { eventType: "pull_request", action: "closed" });
+
+    assert.deepStrictEqual(result.emails, []);
+  });
+
+  test("digest delivery choices override the digest categories", () => {
+    const digestService = new DigestService(null);
+    const notification = { eventType: "pull_request", action: "opened", repoConfig: createConfig({}) };
+
+    const result = digestService.partition(["octocat@company.com", "hubot@company.com"], notification, { "octocat@company.com": "digest" });
+
+    assert.deepStrictEqual(result, { immediate: ["hubot@company.com"], digest: ["octocat@company.com"] });
+  });
+});
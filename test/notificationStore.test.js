@@ -0,0 +1,132 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { describe, beforeEach, afterEach, test } from "node:test";
+import assert from "node:assert";
+
+import { MemoryStore } from "../src/storage/memoryStore.js";
+import { SqliteStore } from "../src/storage/sqliteStore.js";
+
+const record = {
+  repository: "octo-org/monorepo",
+  pullRequest: 42,
+  eventType: "pull_request",
+  action: "ready_to_merge",
+  channel: "email",
+  recipients: ["octocat@company.com"],
+  success: true,
+};
+
+for (const [name, createStore] of [
+  ["MemoryStore", () => new MemoryStore()],
+  ["SqliteStore", (file) => new SqliteStore(file)],
+]) {
+  describe(name, () => {
+    let dir;
+    let store;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "pr-notifications-"));
+      store = createStore(path.join(dir, "store.db"));
+    });
+
+    afterEach(async () => {
+      await store.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test("claims a dedup key once until it expires", async () => {
+      assert.strictEqual(await store.claimDedupKey("ready_to_merge:octo-org/monorepo#42", 60000), true);
+      assert.strictEqual(await store.claimDedupKey("ready_to_merge:octo-org/monorepo#42", 60000), false);
+      assert.strictEqual(await store.hasDedupKey("ready_to_merge:octo-org/monorepo#42"), true);
+
+      assert.strictEqual(await store.claimDedupKey("expired", -1), true);
+      assert.strictEqual(await store.hasDedupKey("expired"), false);
+      assert.strictEqual(await store.claimDedupKey("expired", 60000), true);
+    });
+
+    test("records opt-outs per repository and category", async () => {
+      await store.addOptOut({ email: "OctoCat@company.com", scope: "repository", value: "octo-org/Monorepo" });
+      await store.addOptOut({ email: "octocat@company.com", scope: "repository", value: "octo-org/monorepo" });
+      await store.addOptOut({ email: "hubot@company.com", scope: "category", value: "CHECK_RESULTS" });
+
+      assert.strictEqual(await store.isOptedOut("octocat@company.com", { repository: "octo-org/monorepo", category: "PR_UPDATES" }), true);
+      assert.strictEqual(await store.isOptedOut("octocat@company.com", { repository: "octo-org/docs", category: "PR_UPDATES" }), false);
+      assert.strictEqual(await store.isOptedOut("hubot@company.com", { repository: "octo-org/monorepo", category: "check_results" }), true);
+      assert.strictEqual(await store.isOptedOut("hubot@company.com", { repository: "octo-org/monorepo", category: null }), false);
+    });
+
+    test("remembers the latest commit author email per login", async () => {
+      await store.setCommitEmail("OctoCat", "octocat@old.example");
+      await store.setCommitEmail("octocat", "octocat@company.com");
+
+      assert.strictEqual(await store.getCommitEmail("OCTOCAT"), "octocat@company.com");
+      assert.strictEqual(await store.getCommitEmail("hubot"), null);
+    });
+
+    test("queues digest entries per recipient until they are cleared", async () => {
+      await store.enqueueDigest("OctoCat@company.com", { event: "check_run.completed" });
+      await store.enqueueDigest("hubot@company.com", { event: "pull_request.opened" });
+      await store.enqueueDigest("octocat@company.com", { event: "pull_request_review.submitted" }, 2);
+
+      assert.deepStrictEqual(await store.listDigests(), [{ recipient: "octocat@company.com", count: 2 }, { recipient: "hubot@company.com", count: 1 }]);
+      const cleared = await store.clearDigest("octocat@company.com");
+      assert.deepStrictEqual(cleared.map(digestEntry => [digestEntry.entry.event, digestEntry.attempts]), [["check_run.completed", 0], ["pull_request_review.submitted", 2]]);
+      assert.deepStrictEqual(await store.clearDigest("octocat@company.com"), []);
+      assert.deepStrictEqual(await store.listDigests(), [{ recipient: "hubot@company.com", count: 1 }]);
+    });
+
+    test("keeps the first thread root of a pull request", async () => {
+      const root = await store.claimThreadRoot("octo-org/monorepo#42", { messageId: "<a@company.com>", subject: "[octo-org/monorepo] Add caching (PR #42)" });
+      const reply = await store.claimThreadRoot("octo-org/monorepo#42", { messageId: "<b@company.com>", subject: "[octo-org/monorepo] Add a cache (PR #42)" });
+
+      assert.strictEqual(root.messageId, "<a@company.com>");
+      assert.deepStrictEqual(reply, root);
+      assert.strictEqual((await store.claimThreadRoot("octo-org/monorepo#43", { messageId: "<c@company.com>", subject: "Other" })).messageId, "<c@company.com>");
+    });
+
+    test("records and filters sent notifications", async () => {
+      await store.recordNotification(record);
+      await store.recordNotification({ ...record, pullRequest: 7, channel: "slack", success: false });
+
+      const forPr = await store.getNotifications({ repository: "octo-org/monorepo", pullRequest: 42 });
+      assert.strictEqual(forPr.length, 1);
+      assert.deepStrictEqual(forPr[0].recipients, ["octocat@company.com"]);
+      assert.strictEqual(forPr[0].success, true);
+      assert.ok(forPr[0].sentAt);
+
+      const all = await store.getNotifications();
+      assert.deepStrictEqual(all.map((entry) => entry.pullRequest), [7, 42]);
+    });
+
+    test("purges expired keys and old records", async () => {
+      await store.claimDedupKey("expired", -1);
+      await store.claimDedupKey("active", 60000);
+      await store.recordNotification({ ...record, sentAt: "2020-01-01T00:00:00.000Z" });
+      await store.recordNotification(record);
+
+      const purged = await store.purgeExpired(24 * 60 * 60 * 1000);
+
+      assert.deepStrictEqual(purged, { dedupKeys: 1, notifications: 1, deadLetters: 0 });
+      assert.strictEqual(await store.hasDedupKey("active"), true);
+      assert.strictEqual((await store.getNotifications()).length, 1);
+    });
+  });
+}
+
+describe("SqliteStore persistence", () => {
+  test("dedup keys survive reopening the database", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "pr-notifications-"));
+    const file = path.join(dir, "nested", "store.db");
+
+    const first = new SqliteStore(file);
+    assert.strictEqual(await first.claimDedupKey("ready_to_merge:octo-org/monorepo#42", 60000), true);
+    await first.close();
+
+    const second = new SqliteStore(file);
+    assert.strictEqual(await second.claimDedupKey("ready_to_merge:octo-org/monorepo#42", 60000), false);
+    await second.close();
+
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
@@ -0,0 +1,118 @@
+import { describe, beforeEach, afterEach, test } from "node:test";
+import assert from "node:assert";
+
+import { PrCommentChannel, PR_COMMENT_MARKER } from "../src/channels/prCommentChannel.js";
+
+/**
+ * GitHubService stand-in keeping comments in memory
+ */
+function createGithubService() {
+  const service = {
+    comments: [],
+    async findComment(context, pullNumber, marker) {
+      return { success: true, comment: service.comments.find((comment) => comment.body.includes(marker)) || null };
+    },
+    async postComment(context, pullNumber, body) {
+      const comment = { id: service.comments.length + 1, body, user: { type: "Bot" } };
+      service.comments.push(comment);
+      return { success: true, comment };
+    },
+    async updateComment(context, commentId, body) {
+      const comment = service.comments.find((item) => item.id === commentId);
+      comment.body = body;
+      return { success: true, comment };
+    },
+  };
+  return service;
+}
+
+function checkRunNotification(name, sha, status) {
+  return {
+    eventType: "check_run",
+    action: "completed",
+    description: `${name} ${status.toLowerCase()}`,
+    detailsUrl: `https://github.com/octo-org/monorepo/runs/${name}`,
+    statusInfo: { status, emoji: status === "SUCCESS" ? "✅" : "❌" },
+    repository: { fullName: "octo-org/monorepo" },
+    pullRequest: { number: 42, head: { sha } },
+    context: { octokit: {}, payload: { check_run: { name, head_sha: sha } } },
+  };
+}
+
+describe("PrCommentChannel", () => {
+  const savedEnv = { ...process.env };
+
+  beforeEach(() => {
+    process.env.PR_COMMENT_ENABLED = "true";
+    delete process.env.PR_COMMENT_CATEGORIES;
+  });
+
+  afterEach(() => {
+    process.env = { ...savedEnv };
+  });
+
+  test("creates one sticky comment and edits it in place", async () => {
+    const githubService = createGithubService();
+    const channel = new PrCommentChannel({ githubService });
+
+    const first = await channel.send(checkRunNotification("build", "aaa1111", "FAILURE"), { emails: [] });
+    const second = await channel.send(checkRunNotification("lint", "aaa1111", "SUCCESS"), { emails: [] });
+
+    assert.strictEqual(first.created, true);
+    assert.strictEqual(second.created, false);
+    assert.strictEqual(githubService.comments.length, 1);
+
+    const { body } = githubService.comments[0];
+    assert.ok(body.startsWith(PR_COMMENT_MARKER));
+    assert.match(body, /\| \[build\]\(https:\/\/github.com\/octo-org\/monorepo\/runs\/build\) \| ❌ FAILURE \|/);
+    assert.match(body, /\| \[lint\]\(.*\) \| ✅ SUCCESS \|/);
+  });
+
+  test("serializes concurrent updates for the same PR", async () => {
+    const githubService = createGithubService();
+    const channel = new PrCommentChannel({ githubService });
+
+    await Promise.all(["build", "lint", "test"].map((name) => channel.send(checkRunNotification(name, "aaa1111", "SUCCESS"), { emails: [] })));
+
+    assert.strictEqual(githubService.comments.length, 1);
+    const state = PrCommentChannel.parseState(githubService.comments[0].body);
+    assert.deepStrictEqual(Object.keys(state.checks).sort(), ["build", "lint", "test"]);
+  });
+
+  test("clears checks from a previous head commit", async () => {
+    const githubService = createGithubService();
+    const channel = new PrCommentChannel({ githubService });
+
+    await channel.send(checkRunNotification("build", "aaa1111", "FAILURE"), { emails: [] });
+    await channel.send(checkRunNotification("lint", "bbb2222", "SUCCESS"), { emails: [] });
+
+    const state = PrCommentChannel.parseState(githubService.comments[0].body);
+    assert.deepStrictEqual(Object.keys(state.checks), ["lint"]);
+    assert.strictEqual(state.headSha, "bbb2222");
+  });
+
+  test("clears ready to merge when a review is dismissed or a check fails on the same commit", () => {
+    const readyToMerge = { eventType: "pull_request", action: "ready_to_merge", statusInfo: { status: "READY TO MERGE", emoji: "✅" }, pullRequest: { number: 42, head: { sha: "aaa1111" } }, context: { payload: {} } };
+    const dismissed = { eventType: "pull_request_review", action: "dismissed", pullRequest: { number: 42, head: { sha: "aaa1111" } }, context: { payload: { review: { user: { login: "hubot" } } } } };
+    const failed = checkRunNotification("build", "aaa1111", "FAILURE");
+    failed.context.payload.check_run.conclusion = "failure";
+    const ready = PrCommentChannel.applyNotification(PrCommentChannel.parseState(), readyToMerge);
+
+    assert.strictEqual(ready.readyToMerge.status, "READY TO MERGE");
+    assert.strictEqual(PrCommentChannel.applyNotification(ready, checkRunNotification("lint", "aaa1111", "SUCCESS")).readyToMerge.status, "READY TO MERGE");
+    assert.strictEqual(PrCommentChannel.applyNotification(ready, dismissed).readyToMerge, null);
+    assert.strictEqual(PrCommentChannel.applyNotification(ready, failed).readyToMerge, null);
+  });
+
+  test("is disabled unless PR_COMMENT_ENABLED or the repository enables it", () => {
+    const channel = new PrCommentChannel({ githubService: createGithubService() });
+    const notification = checkRunNotification("build", "aaa1111", "SUCCESS");
+
+    process.env.PR_COMMENT_ENABLED = "false";
+    assert.strictEqual(channel.isEnabledFor(notification, { emails: [] }), false);
+    assert.strictEqual(
+      channel.isEnabledFor({ ...notification, repoConfig: { isPrCommentEnabled: () => true } }, { emails: [] }),
+      true,
+    );
+  });
+});
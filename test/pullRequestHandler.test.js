@@ -0,0 +1,106 @@
+import { describe, test } from "node:test";
+import assert from "node:assert";
+
+import { PullRequestHandler } from "../src/handlers/pullRequestHandler.js";
+import { MemoryStore } from "../src/storage/memoryStore.js";
+
+const pr = { number: 42, title: "Add caching", html_url: "https://github.com/octo-org/monorepo/pull/42", user: { login: "octocat" } };
+
+/**
+ * NotificationService stand-in recording what would be sent
+ */
+function createNotificationService() {
+  const service = {
+    sent: [],
+    store: new MemoryStore(),
+    githubService: {
+      async getReviewDismissal() {
+        return { success: true, message: "Outdated after rebase", dismissedBy: "monalisa" };
+      },
+      async getUserEmail(context, username) {
+        return { success: true, email: `${username}@company.com`, emails: [`${username}@company.com`] };
+      },
+    },
+    async sendPRNotification(context, eventType, action, data, customRecipients) {
+      service.sent.push({ eventType, action, data, customRecipients });
+      return { success: true };
+    },
+    async sendReadyToMergeNotification(context, data) {
+      service.sent.push({ eventType: "pull_request", action: "ready_to_merge", data });
+      return { success: true };
+    },
+  };
+  return service;
+}
+
+function dismissedContext(mergeableState) {
+  return {
+    payload: {
+      repository: { full_name: "octo-org/monorepo", name: "monorepo", owner: { login: "octo-org" } },
+      pull_request: pr,
+      review: { id: 7, user: { login: "hubot" }, html_url: `${pr.html_url}#pullrequestreview-7` },
+      sender: { login: "monalisa" },
+    },
+    octokit: {
+      pulls: {
+        async get() {
+          return { data: { ...pr, mergeable_state: mergeableState } };
+        },
+      },
+    },
+  };
+}
+
+describe("PullRequestHandler review dismissal", () => {
+  test("notifies the reviewer with the dismissal message and re-checks ready to merge", async () => {
+    const notificationService = createNotificationService();
+    const handler = new PullRequestHandler(notificationService);
+
+    const result = await handler.handle(dismissedContext("clean"), "dismissed");
+
+    assert.strictEqual(result.success, true);
+    const [dismissal, readyToMerge] = notificationService.sent;
+    assert.strictEqual(dismissal.eventType, "pull_request_review");
+    assert.strictEqual(dismissal.action, "dismissed");
+    assert.deepStrictEqual(dismissal.customRecipients, ["hubot@company.com"]);
+    assert.strictEqual(dismissal.data.description, "monalisa dismissed the review by hubot");
+    assert.strictEqual(dismissal.data.summary, "Dismissal message: Outdated after rebase");
+    assert.strictEqual(readyToMerge.action, "ready_to_merge");
+  });
+
+  test("re-arms ready to merge when a dismissal blocks merging", async () => {
+    const notificationService = createNotificationService();
+    const handler = new PullRequestHandler(notificationService);
+    await notificationService.store.claimDedupKey("ready_to_merge:octo-org/monorepo#42", 60000);
+
+    await handler.handle(dismissedContext("blocked"), "dismissed");
+
+    assert.strictEqual(notificationService.sent.length, 1);
+    assert.strictEqual(await notificationService.store.hasDedupKey("ready_to_merge:octo-org/monorepo#42"), false);
+  });
+});
+
+describe("PullRequestHandler team review requests", () => {
+  test("emails every team member except the PR author", async () => {
+    const notificationService = createNotificationService();
+    notificationService.githubService.getTeamMembers = async (context, org, slug) => {
+      assert.strictEqual(`${org}/${slug}`, "octo-org/platform");
+      return { success: true, usernames: ["hubot", "octocat", "monalisa"] };
+    };
+    notificationService.githubService.getBulkUserEmails = async (context, usernames) => ({
+      emails: usernames.map((login) => `${login}@company.com`),
+    });
+    const handler = new PullRequestHandler(notificationService);
+    const context = dismissedContext("clean");
+    delete context.payload.review;
+    context.payload.requested_team = { name: "Platform", slug: "platform" };
+
+    const result = await handler.handle(context, "review_requested");
+
+    assert.strictEqual(result.success, true);
+    const [sent] = notificationService.sent;
+    assert.strictEqual(sent.action, "review_requested");
+    assert.deepStrictEqual(sent.customRecipients, ["hubot@company.com", "monalisa@company.com"]);
+    assert.strictEqual(sent.data.description, "Review requested from team Platform");
+  });
+});
@@ -0,0 +1,75 @@
+import { describe, test } from "node:test";
+import assert from "node:assert";
+
+import { QuietHours } from "../src/utils/quietHours.js";
+import { NotificationService } from "../src/services/notificationService.js";
+import { EmailService } from "../src/services/emailService.js";
+import { RepositoryConfig } from "../src/config/repositoryConfig.js";
+import { MemoryStore } from "../src/storage/memoryStore.js";
+
+const pr = { number: 42, title: "Nightly build", user: { login: "octocat" } };
+const context = { payload: { repository: { full_name: "octo-org/monorepo", owner: { login: "octo-org" } }, pull_request: pr } };
+
+const githubService = {
+  async getUserEmail(context, username) {
+    return { success: true, email: `${username}@company.com`, emails: [`${username}@company.com`] };
+  },
+  async getTeamMembers(context, org, slug) {
+    return { success: true, usernames: `${org}/${slug}` === "octo-org/platform" ? ["hubot", "octocat"] : [] };
+  },
+};
+
+describe("QuietHours", () => {
+  test("finds the end of a window crossing midnight in the recipient's timezone", () => {
+    const window = QuietHours.parse({ start: "22:00", end: "07:00", timezone: "Europe/Berlin" });
+
+    // 01:30 UTC is 03:30 in Berlin (CEST)
+    assert.deepStrictEqual(QuietHours.getEnd(window, new Date("2024-07-01T01:30:00Z")), new Date("2024-07-01T05:00:00Z"));
+    assert.strictEqual(QuietHours.getEnd(window, new Date("2024-07-01T12:00:00Z")), null);
+    assert.strictEqual(QuietHours.parse({ start: "22:00", end: "07:00", timezone: "Mars/Olympus" }), null);
+    assert.strictEqual(QuietHours.parse({ start: "25:00", end: "07:00" }), null);
+  });
+});
+
+describe("NotificationService quiet hours", () => {
+  const config = new RepositoryConfig("octo-org/monorepo", {
+    additional_recipients: { enabled: true },
+    preferences: { octocat: { quiet_hours: { start: "00:00", end: "23:59", timezone: "Asia/Tokyo" } } },
+    quiet_hours: { teams: { platform: { start: "20:00", end: "08:00" } } },
+  });
+
+  test("assigns user windows over team windows", async () => {
+    const service = new NotificationService(null, githubService, null);
+
+    const result = await service.determineRecipients(context, pr, ["hubot@company.com"], config, [], { eventType: "check_run", action: "completed" });
+
+    assert.strictEqual(result.quietHours["octocat@company.com"].timezone, "Asia/Tokyo");
+    assert.strictEqual(result.quietHours["hubot@company.com"].timezone, "UTC");
+  });
+
+  test("ignores quiet hours for urgent events", async () => {
+    const service = new NotificationService(null, githubService, null);
+
+    const result = await service.determineRecipients(context, pr, ["hubot@company.com"], config, [], { eventType: "deployment_status", action: "failure" });
+
+    assert.deepStrictEqual(result.quietHours, {});
+  });
+});
+
+describe("EmailService held delivery", () => {
+  test("holds an email in the outbox until the window ends", async () => {
+    const store = new MemoryStore();
+    const emailService = new EmailService(store);
+    emailService.isConfigured = () => true;
+    const sendAt = new Date(Date.now() + 60 * 60 * 1000);
+
+    const result = await emailService.sendBulkNotifications(
+      ["octocat@company.com"], "Checks passed", "<p>ok</p>", "ok", "check_run", "completed",
+      () => ({ htmlContent: "<p>ok</p>", textContent: "ok", headers: {}, sendAt })
+    );
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.summary.held, 1);
+    assert.deepStrictEqual(await store.claimOutbox(10, 60000), []);
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, beforeEach, afterEach, test } from "node:test";
+import assert from "node:assert";
+
+import { ReminderService } from "../src/services/reminderService.js";
+import { RepositoryConfig } from "../src/config/repositoryConfig.js";
+import { MemoryStore } from "../src/storage/memoryStore.js";
+
+const HOUR = 60 * 60 * 1000;
+const now = new Date("2024-06-10T12:00:00Z");
+const hoursAgo = (hours) => new Date(now.getTime() - hours * HOUR).toISOString();
+
+const context = {
+  name: "reminder",
+  octokit: {},
+  payload: { repository: { full_name: "octo-org/monorepo", name: "monorepo", owner: { login: "octo-org" } } },
+};
+
+function createServices(pullRequests, settings = {}) {
+  const githubService = {
+    async listOpenPullRequests() {
+      return { success: true, pullRequests };
+    },
+    async getReviewRequestTimes() {
+      return { success: true, requestedAt: { hubot: new Date(hoursAgo(30)), monalisa: new Date(hoursAgo(2)) } };
+    },
+    async getLatestReviews(ctx, pullNumber) {
+      const reviews = pullNumber === 2 ? { hubot: { state: "APPROVED", submittedAt: new Date(hoursAgo(48)) } } : {};
+      return { success: true, reviews };
+    },
+    async getBulkUserEmails(ctx, usernames) {
+      return { emails: usernames.map((login) => `${login}@company.com`) };
+    },
+  };
+  const notificationService = {
+    sent: [],
+    store: new MemoryStore(),
+    async getRepositoryConfig() {
+      return new RepositoryConfig("octo-org/monorepo", settings);
+    },
+    async sendPRNotification(ctx, eventType, action, data, customRecipients) {
+      notificationService.sent.push({ pr: ctx.payload.pull_request.number, eventType, action, data, customRecipients });
+      return { success: true };
+    },
+  };
+  return { reminderService: new ReminderService(githubService, notificationService), notificationService };
+}
+
+const pullRequests = [
+  { number: 1, title: "Pending review", draft: false, created_at: hoursAgo(40), requested_reviewers: [{ login: "hubot" }, { login: "monalisa" }] },
+  { number: 2, title: "Approved", draft: false, created_at: hoursAgo(72), requested_reviewers: [] },
+  { number: 3, title: "Old draft", draft: true, updated_at: hoursAgo(24 * 10) },
+  { number: 4, title: "Fresh draft", draft: true, updated_at: hoursAgo(1) },
+];
+
+describe("ReminderService", () => {
+  const savedEnv = { ...process.env };
+
+  beforeEach(() => {
+    process.env.NOTIFY_REMINDERS = "true";
+  });
+
+  afterEach(() => {
+    process.env = { ...savedEnv };
+  });
+
+  test("sends reminders for overdue reviews, approved PRs and stale drafts", async () => {
+    const { reminderService, notificationService } = createServices(pullRequests);
+
+    assert.strictEqual(await reminderService.scanRepository(context, now), 3);
+
+    const sent = notificationService.sent.map(({ pr, action }) => `${pr}:${action}`);
+    assert.deepStrictEqual(sent, ["1:review_pending", "2:approved_unmerged", "3:stale_draft"]);
+    assert.deepStrictEqual(notificationService.sent[0].customRecipients, ["hubot@company.com"]);
+    assert.match(notificationService.sent[0].data.subject, /PR #1 is waiting for review/);
+  });
+
+  test("sends the same reminder at most once per interval", async () => {
+    const { reminderService, notificationService } = createServices(pullRequests);
+
+    await reminderService.scanRepository(context, now);
+    assert.strictEqual(await reminderService.scanRepository(context, now), 0);
+    assert.strictEqual(notificationService.sent.length, 3);
+  });
+
+  test("uses repository thresholds and opt-outs", async () => {
+    const { reminderService, notificationService } = createServices(pullRequests, {
+      reminders: { review_pending_hours: 48, stale_draft_days: 0 },
+    });
+    assert.strictEqual(await reminderService.scanRepository(context, now), 1);
+    assert.strictEqual(notificationService.sent[0].action, "approved_unmerged");
+
+    const optedOut = createServices(pullRequests, { notifications: { reminders: false } });
+    assert.strictEqual(await optedOut.reminderService.scanRepository(context, now), 0);
+  });
+});
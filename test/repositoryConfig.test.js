@@ -0,0 +1,108 @@
+import { describe, beforeEach, afterEach, test } from "node:test";
+import assert from "node:assert";
+
+import { RepositoryConfig } from "../src/config/repositoryConfig.js";
+
+const createContext = (config, fullName = "octo-org/monorepo") => {
+  const calls = [];
+  return {
+    calls,
+    payload: {
+      repository: {
+        full_name: fullName,
+        name: fullName.split("/")[1],
+        owner: { login: fullName.split("/")[0] },
+        default_branch: "main",
+      },
+    },
+    octokit: {
+      config: {
+        get: async (params) => {
+          calls.push(params);
+          return { config, files: [] };
+        },
+      },
+    },
+  };
+};
+
+describe("RepositoryConfig", () => {
+  const savedEnv = { ...process.env };
+
+  beforeEach(() => {
+    RepositoryConfig.clearCache();
+    process.env.NOTIFY_PR_LIFECYCLE = "true";
+    process.env.NOTIFY_CHECK_RESULTS = "false";
+    process.env.ADDITIONAL_RECIPIENT_EMAILS = "org@company.com";
+    delete process.env.ADDITIONAL_RECIPIENT_USERNAMES;
+    delete process.env.CREATOR_EMAIL_DOMAIN;
+  });
+
+  afterEach(() => {
+    process.env = { ...savedEnv };
+  });
+
+  test("falls back to environment defaults when the file is missing", async () => {
+    const context = createContext({});
+    const config = await RepositoryConfig.load(context);
+
+    assert.strictEqual(context.calls[0].path, ".github/pr-notifications.yml");
+    assert.strictEqual(config.isNotificationEnabled("pull_request", "opened"), true);
+    assert.strictEqual(config.isNotificationEnabled("check_run", "completed"), false);
+    assert.deepStrictEqual(config.getAdditionalRecipients(), {
+      emails: ["org@company.com"],
+      usernames: [],
+    });
+  });
+
+  test("repository settings override the environment defaults", async () => {
+    const context = createContext({
+      notifications: { check_results: true, pr_lifecycle: false },
+      additional_recipients: { usernames: ["octocat "] },
+      creator_fallback: { email_overrides: { OctoCat: "cat@company.com" }, email_domain: "company.com", strategies: ["Override", "domain"] },
+    });
+    const config = await RepositoryConfig.load(context);
+
+    assert.strictEqual(config.isNotificationEnabled("check_run", "completed"), true);
+    assert.strictEqual(config.isNotificationEnabled("pull_request", "opened"), false);
+    assert.deepStrictEqual(config.getAdditionalRecipients(), {
+      emails: ["org@company.com"],
+      usernames: ["octocat"],
+    });
+    assert.deepStrictEqual(config.getCreatorFallback(), {
+      emailOverrides: { octocat: "cat@company.com" },
+      defaultEmail: undefined,
+      emailDomain: "company.com",
+      strategies: ["override", "domain"],
+    });
+  });
+
+  test("caches per repository and reloads after the config file is pushed", async () => {
+    const context = createContext({ notifications: { check_results: true } });
+    await RepositoryConfig.load(context);
+    await RepositoryConfig.load(context);
+    assert.strictEqual(context.calls.length, 1);
+
+    const invalidated = RepositoryConfig.handlePush({
+      payload: {
+        ...context.payload,
+        ref: "refs/heads/main",
+        commits: [{ modified: [".github/pr-notifications.yml"] }],
+      },
+    });
+    assert.strictEqual(invalidated, true);
+
+    await RepositoryConfig.load(context);
+    assert.strictEqual(context.calls.length, 2);
+  });
+
+  test("uses environment defaults when the config cannot be read", async () => {
+    const context = createContext({});
+    context.octokit.config.get = async () => {
+      throw new Error("Bad credentials");
+    };
+    const config = await RepositoryConfig.load(context);
+
+    assert.strictEqual(config.isNotificationEnabled("pull_request", "closed"), true);
+  });
+});
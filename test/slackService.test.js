@@ -0,0 +1,103 @@
+import http from "node:http";
+import { describe, before, after, beforeEach, afterEach, test } from "node:test";
+import assert from "node:assert";
+
+import { SlackService } from "../src/services/slackService.js";
+
+const repository = { fullName: "octo-org/monorepo" };
+const pr = { number: 42, title: "Add <feature>" };
+const data = {
+  subject: "🎉 New Pull Request #42: Add <feature>",
+  description: "PR owner octocat opened a new pull request",
+  detailsUrl: "https://github.com/octo-org/monorepo/pull/42",
+  statusInfo: { status: "OPENED", emoji: "🎉", color: "#28a745" },
+};
+
+describe("SlackService", () => {
+  const savedEnv = { ...process.env };
+  let server;
+  let baseUrl;
+  let requests;
+  let responseStatus;
+
+  before(async () => {
+    // Local stand-in for the Slack incoming-webhook endpoint
+    server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+        res.writeHead(responseStatus, { "Content-Type": "text/plain" });
+        res.end(responseStatus === 200 ? "ok" : "invalid_payload");
+      });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  beforeEach(() => {
+    requests = [];
+    responseStatus = 200;
+    for (const key of Object.keys(process.env)) {
+      if (key.startsWith("SLACK_")) delete process.env[key];
+    }
+  });
+
+  afterEach(() => {
+    process.env = { ...savedEnv };
+  });
+
+  test("posts a Block Kit message with the status color", async () => {
+    process.env.SLACK_WEBHOOK_URL = `${baseUrl}/services/default`;
+    const slackService = new SlackService();
+
+    const result = await slackService.sendNotification(data, repository, pr, "pull_request", "opened");
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(requests.length, 1);
+    assert.strictEqual(requests[0].url, "/services/default");
+    assert.strictEqual(requests[0].headers["content-type"], "application/json");
+
+    const message = requests[0].body;
+    assert.strictEqual(message.text, data.subject);
+    assert.strictEqual(message.attachments[0].color, "#28a745");
+
+    const [section, context, actions] = message.attachments[0].blocks;
+    assert.strictEqual(
+      section.text.text,
+      "*<https://github.com/octo-org/monorepo/pull/42|🎉 New Pull Request #42: Add &lt;feature&gt;>*\nPR owner octocat opened a new pull request",
+    );
+    assert.strictEqual(context.elements[0].text, "🎉 OPENED · octo-org/monorepo · PR #42 · pull_request.opened");
+    assert.strictEqual(actions.elements[0].url, data.detailsUrl);
+  });
+
+  test("routes categories to their own webhook and honours the category filter", async () => {
+    process.env.SLACK_WEBHOOK_URL = `${baseUrl}/services/default`;
+    process.env.SLACK_WEBHOOK_URL_CHECK_RESULTS = `${baseUrl}/services/ci`;
+    process.env.SLACK_NOTIFY_CATEGORIES = "pr_lifecycle";
+    const slackService = new SlackService();
+
+    assert.strictEqual(slackService.isEnabledFor("pull_request", "opened"), true);
+    assert.strictEqual(slackService.isEnabledFor("pull_request", "synchronize"), false);
+
+    await slackService.sendNotification(data, repository, pr, "check_run", "completed");
+    assert.strictEqual(requests[0].url, "/services/ci");
+
+    const skipped = await slackService.sendNotification(data, repository, pr, "pull_request", "synchronize");
+    assert.strictEqual(skipped.success, false);
+    assert.strictEqual(requests.length, 1);
+  });
+
+  test("reports webhook errors", async () => {
+    process.env.SLACK_WEBHOOK_URL = `${baseUrl}/services/default`;
+    responseStatus = 400;
+    const slackService = new SlackService();
+
+    const result = await slackService.sendNotification(data, repository, pr, "pull_request", "opened");
+
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.status, 400);
+  });
+});
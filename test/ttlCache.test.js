@@ -0,0 +1,65 @@
+import { describe, test } from "node:test";
+import assert from "node:assert";
+
+import { TtlCache } from "../src/utils/ttlCache.js";
+import { GitHubService } from "../src/services/githubService.js";
+
+describe("TtlCache", () => {
+  test("expires entries and counts hits and misses", () => {
+    const cache = new TtlCache(60000);
+    cache.set("octocat", "octocat@company.com");
+    cache.set("hubot", null);
+    cache.set("expired", "gone@company.com", -1);
+
+    assert.strictEqual(cache.has("octocat"), true);
+    assert.strictEqual(cache.has("hubot"), true);
+    assert.strictEqual(cache.get("hubot"), null);
+    assert.strictEqual(cache.has("expired"), false);
+    assert.deepStrictEqual(cache.getStats(), { size: 2, hits: 2, misses: 1, hitRate: 2 / 3 });
+  });
+});
+
+describe("GitHubService user email cache", () => {
+  function createContext(profiles) {
+    const calls = [];
+    const octokit = {
+      users: {
+        async getByUsername({ username }) {
+          calls.push(username);
+          return { data: { email: profiles[username] || null } };
+        },
+      },
+    };
+    return { calls, context: { octokit, payload: { repository: { full_name: "octo-org/monorepo" } } } };
+  }
+
+  test("caches profile emails and users without a public email", async () => {
+    const { calls, context } = createContext({ octocat: "octocat@company.com" });
+    const githubService = new GitHubService();
+
+    await githubService.getBulkUserEmails(context, ["octocat", "hubot"]);
+    const result = await githubService.getBulkUserEmails(context, ["OctoCat", "hubot"]);
+
+    assert.deepStrictEqual(calls, ["octocat", "hubot"]);
+    assert.deepStrictEqual(result.emails, ["octocat@company.com"]);
+    assert.deepStrictEqual(githubService.getCacheStats(), { size: 2, hits: 2, misses: 2, hitRate: 0.5 });
+  });
+
+  test("drops a user's entry on member and membership events", async () => {
+    const profiles = {};
+    const { calls, context } = createContext(profiles);
+    const githubService = new GitHubService();
+    githubService.teamMembers.set("octo-org/platform", ["octocat"]);
+
+    await githubService.getUserEmail(context, "octocat");
+    profiles.octocat = "octocat@company.com";
+    githubService.handleMembershipEvent({
+      payload: { member: { login: "octocat" }, team: { slug: "platform" }, organization: { login: "octo-org" } },
+    });
+    const result = await githubService.getUserEmail(context, "octocat");
+
+    assert.strictEqual(result.email, "octocat@company.com");
+    assert.strictEqual(calls.length, 2);
+    assert.strictEqual(githubService.teamMembers.get("octo-org/platform"), undefined);
+  });
+});
@@ -0,0 +1,159 @@
+import { describe, test } from "node:test";
+import assert from "node:assert";
+
+import { UnsubscribeService } from "../src/services/unsubscribeService.js";
+import { NotificationService } from "../src/services/notificationService.js";
+import { EmailChannel } from "../src/channels/emailChannel.js";
+import { RepositoryConfig } from "../src/config/repositoryConfig.js";
+import { MemoryStore } from "../src/storage/memoryStore.js";
+import { DigestService } from "../src/services/digestService.js";
+
+const config = { secret: "s3cret", baseUrl: "https://notify.company.com/" };
+
+/**
+ * Express router stand-in capturing the registered handlers
+ */
+function createRouter() {
+  const routes = {};
+  return {
+    routes,
+    get(path, handler) {
+      routes[`GET ${path}`] = handler;
+    },
+    post(path, handler) {
+      routes[`POST ${path}`] = handler;
+    },
+  };
+}
+
+function createResponse() {
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    type() {
+      return res;
+    },
+    send(body) {
+      res.body = body;
+      return res;
+    },
+  };
+  return res;
+}
+
+describe("UnsubscribeService", () => {
+  test("signs links and rejects tampered tokens", () => {
+    const service = new UnsubscribeService(new MemoryStore(), config);
+    const links = service.createLinks("OctoCat@company.com", "octo-org/monorepo", "CHECK_RESULTS");
+    const token = new URL(links.categoryUrl).searchParams.get("token");
+
+    assert.match(links.repositoryUrl, /^https:\/\/notify\.company\.com\/pr-notifications\/unsubscribe\?token=/);
+    assert.deepStrictEqual(service.verifyToken(token), { email: "octocat@company.com", scope: "category", value: "CHECK_RESULTS" });
+    assert.strictEqual(service.verifyToken(`${token.split(".")[0]}x.${token.split(".")[1]}`), null);
+    assert.strictEqual(new UnsubscribeService(new MemoryStore(), { ...config, secret: "other" }).verifyToken(token), null);
+    assert.deepStrictEqual(UnsubscribeService.getHeaders(links), {
+      "List-Unsubscribe": `<${links.repositoryUrl}>`,
+      "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+    });
+  });
+
+  test("confirms on GET and records the opt-out on POST", async () => {
+    const store = new MemoryStore();
+    const service = new UnsubscribeService(store, config);
+    const router = createRouter();
+    service.registerRoutes(router);
+    const token = service.createToken({ email: "octocat@company.com", scope: "repository", value: "octo-org/monorepo" });
+
+    const page = createResponse();
+    router.routes["GET /unsubscribe"]({ query: { token }, originalUrl: `/pr-notifications/unsubscribe?token=${token}` }, page);
+    assert.match(page.body, /<form method="post"/);
+    assert.strictEqual(await store.isOptedOut("octocat@company.com", { repository: "octo-org/monorepo" }), false);
+
+    const confirmed = createResponse();
+    await router.routes["POST /unsubscribe"]({ query: { token } }, confirmed);
+    assert.strictEqual(confirmed.statusCode, 200);
+    assert.strictEqual(await store.isOptedOut("octocat@company.com", { repository: "octo-org/monorepo" }), true);
+
+    const invalid = createResponse();
+    await router.routes["POST /unsubscribe"]({ query: { token: "forged.token" } }, invalid);
+    assert.strictEqual(invalid.statusCode, 400);
+  });
+
+  test("adds per-recipient footers and headers to emails", async () => {
+    const sent = [];
+    const emailService = {
+      async sendBulkNotifications(emails, subject, htmlContent, textContent, eventType, action, personalize) {
+        emails.forEach((email) => sent.push({ email, ...personalize(email) }));
+        return { success: true };
+      },
+    };
+    const channel = new EmailChannel({ emailService, unsubscribeService: new UnsubscribeService(new MemoryStore(), config) });
+    const notification = {
+      eventType: "check_run",
+      action: "completed",
+      subject: "Checks passed",
+      repository: { fullName: "octo-org/monorepo" },
+      pullRequest: { number: 42, title: "Add caching", html_url: "https://github.com/octo-org/monorepo/pull/42" },
+    };
+
+    await channel.send(notification, { emails: ["octocat@company.com", "hubot@company.com"] });
+
+    assert.strictEqual(sent.length, 2);
+    assert.notStrictEqual(sent[0].headers["List-Unsubscribe"], sent[1].headers["List-Unsubscribe"]);
+    assert.match(sent[0].textContent, /Unsubscribe from check results notifications: https:\/\/notify\.company\.com/);
+    assert.match(sent[1].htmlContent, /class="footer"><a href="https:\/\/notify\.company\.com\/pr-notifications\/unsubscribe\?token=/);
+  });
+
+  test("leaves unsubscribed addresses out of notifications", async () => {
+    const store = new MemoryStore();
+    await store.addOptOut({ email: "hubot@company.com", scope: "category", value: "PR_UPDATES" });
+    const githubService = {
+      async getUserEmail(context, username) {
+        return { success: true, email: `${username}@company.com`, emails: [`${username}@company.com`] };
+      },
+    };
+    const service = new NotificationService(null, githubService, null, [], store);
+    const pr = { number: 42, user: { login: "octocat" } };
+    const context = { payload: { repository: { full_name: "octo-org/monorepo" }, pull_request: pr } };
+    const repoConfig = new RepositoryConfig("octo-org/monorepo", { additional_recipients: { enabled: true } });
+
+    const result = await service.determineRecipients(context, pr, ["hubot@company.com"], repoConfig, [], { eventType: "pull_request", action: "synchronize" });
+
+    assert.deepStrictEqual(result.emails, ["octocat@company.com"]);
+    assert.deepStrictEqual(result.summary.unsubscribed, ["hubot@company.com"]);
+  });
+
+  test("adds a digest unsubscribe link and stops digests once it is used", async () => {
+    const store = new MemoryStore();
+    const unsubscribeService = new UnsubscribeService(store, config);
+    const sent = [];
+    const emailService = {
+      async sendNotification(to, subject, htmlContent, textContent, eventType, action, headers) {
+        sent.push({ to, htmlContent, textContent, headers });
+        return { success: true };
+      },
+    };
+    const digestService = new DigestService(emailService, store, null, unsubscribeService);
+    const notification = { eventType: "check_run", action: "completed", subject: "Checks passed", repository: { fullName: "octo-org/monorepo" }, pullRequest: null };
+
+    await digestService.enqueue("octocat@company.com", notification);
+    await digestService.flush();
+
+    const [digest] = sent;
+    const url = digest.headers["List-Unsubscribe"].slice(1, -1);
+    assert.match(digest.textContent, /--\nUnsubscribe from digest notifications: https:\/\/notify\.company\.com\/pr-notifications\/unsubscribe\?token=/);
+    assert.match(digest.htmlContent, /<p class="footer"><a href="https:\/\/notify\.company\.com[^"]+">Unsubscribe from digest notifications<\/a><\/p>/);
+    assert.strictEqual(digest.headers["List-Unsubscribe-Post"], "List-Unsubscribe=One-Click");
+
+    await unsubscribeService.unsubscribe(new URL(url).searchParams.get("token"));
+    await digestService.enqueue("octocat@company.com", notification);
+    await digestService.flush();
+
+    assert.strictEqual(sent.length, 1);
+    assert.strictEqual(await digestService.getQueuedCount(), 0);
+  });
+});
@@ -0,0 +1,142 @@
+import http from "node:http";
+import crypto from "node:crypto";
+import { describe, before, after, beforeEach, afterEach, test } from "node:test";
+import assert from "node:assert";
+
+import { WebhookService } from "../src/services/webhookService.js";
+import { WebhookChannel, WEBHOOK_SCHEMA_VERSION } from "../src/channels/webhookChannel.js";
+
+const notification = {
+  eventType: "check_run",
+  action: "completed",
+  subject: "PR #42 - Checks: 1 failed",
+  description: "1 check failed, 2 passed",
+  detailsUrl: "https://github.com/octo-org/monorepo/pull/42",
+  statusInfo: { status: "CHECKS FAILED" },
+  summary: null,
+  repository: { fullName: "octo-org/monorepo", url: "https://github.com/octo-org/monorepo" },
+  pullRequest: {
+    number: 42,
+    title: "Add feature",
+    html_url: "https://github.com/octo-org/monorepo/pull/42",
+    user: { login: "octocat" },
+  },
+};
+const recipients = { emails: ["octocat@company.com"] };
+
+describe("WebhookChannel", () => {
+  const savedEnv = { ...process.env };
+  let server;
+  let baseUrl;
+  let requests;
+  let responses;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        requests.push({ headers: req.headers, body });
+        res.writeHead(responses.shift() || 200);
+        res.end();
+      });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  beforeEach(() => {
+    requests = [];
+    responses = [];
+    process.env.OUTBOUND_WEBHOOK_URLS = `${baseUrl}/hook`;
+    process.env.OUTBOUND_WEBHOOK_SECRET = "s3cret";
+    process.env.OUTBOUND_WEBHOOK_RETRY_DELAY_MS = "1";
+    delete process.env.OUTBOUND_WEBHOOK_CATEGORIES;
+    delete process.env.OUTBOUND_WEBHOOK_MAX_RETRIES;
+  });
+
+  afterEach(() => {
+    process.env = { ...savedEnv };
+  });
+
+  test("posts a signed, versioned payload", async () => {
+    const channel = new WebhookChannel({ webhookService: new WebhookService() });
+
+    const result = await channel.send(notification, recipients);
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(requests.length, 1);
+
+    const { headers, body } = requests[0];
+    const expected = `sha256=${crypto.createHmac("sha256", "s3cret").update(body).digest("hex")}`;
+    assert.strictEqual(headers["x-pr-notification-signature-256"], expected);
+    assert.strictEqual(headers["x-pr-notification-event"], "check_run.completed");
+
+    const payload = JSON.parse(body);
+    assert.strictEqual(headers["x-pr-notification-delivery"], payload.id);
+    assert.strictEqual(payload.schema_version, WEBHOOK_SCHEMA_VERSION);
+    assert.strictEqual(payload.event, "check_run");
+    assert.strictEqual(payload.action, "completed");
+    assert.deepStrictEqual(payload.repository, { full_name: "octo-org/monorepo", url: "https://github.com/octo-org/monorepo" });
+    assert.deepStrictEqual(payload.pull_request, {
+      number: 42,
+      title: "Add feature",
+      url: "https://github.com/octo-org/monorepo/pull/42",
+      author: "octocat",
+    });
+    assert.strictEqual(payload.status.status, "CHECKS FAILED");
+    assert.deepStrictEqual(payload.recipients, ["octocat@company.com"]);
+    assert.strictEqual(payload.details_url, notification.detailsUrl);
+  });
+
+  test("retries non-2xx responses with the same delivery", async () => {
+    responses = [500, 502];
+    const channel = new WebhookChannel({ webhookService: new WebhookService() });
+
+    const result = await channel.send(notification, recipients);
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.deliveries[0].attempts, 3);
+    assert.strictEqual(requests.length, 3);
+    assert.strictEqual(requests[0].body, requests[2].body);
+  });
+
+  test("gives up after the configured number of retries", async () => {
+    process.env.OUTBOUND_WEBHOOK_MAX_RETRIES = "1";
+    responses = [500, 500, 500];
+    const channel = new WebhookChannel({ webhookService: new WebhookService() });
+
+    const result = await channel.send(notification, recipients);
+
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.deliveries[0].reason, "HTTP 500");
+    assert.strictEqual(requests.length, 2);
+  });
+
+  test("skips retries that would not finish before the delivery time limit", async () => {
+    process.env.OUTBOUND_WEBHOOK_RETRY_DELAY_MS = "6000";
+    responses = [500, 500];
+    const channel = new WebhookChannel({ webhookService: new WebhookService() });
+
+    const started = Date.now();
+    const result = await channel.send(notification, recipients);
+
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.deliveries[0].attempts, 1);
+    assert.strictEqual(requests.length, 1);
+    assert.ok(Date.now() - started < 1000);
+  });
+
+  test("only accepts the configured categories", () => {
+    process.env.OUTBOUND_WEBHOOK_CATEGORIES = "ready_to_merge";
+    const channel = new WebhookChannel({ webhookService: new WebhookService() });
+
+    assert.strictEqual(channel.isEnabledFor(notification, recipients), false);
+    assert.strictEqual(
+      channel.isEnabledFor({ ...notification, eventType: "pull_request", action: "ready_to_merge" }, recipients),
+      true,
+    );
+  });
+});